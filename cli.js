@@ -4,114 +4,388 @@
  *
  * Usage:
  *   node cli.js                     scan — list all nearby BLE devices with match badges
+ *   node cli.js --watch             scan continuously — devices appearing, moving (smoothed RSSI), disappearing
  *   node cli.js <Name>              identify — GATT dump + profile match + config snippet
+ *   node cli.js <address>           same, for one device by MAC address / peripheral id (aa:bb:cc:dd:ee:ff, id:<id>)
  *   node cli.js <Name> --print      identify + send test print
- *   node cli.js <Name> --discover   interactive discovery: interview + protocol probing + GitHub JSON
+ *   node cli.js <Name> --discover   discovery: protocol detection from status replies (test prints as a fallback) + interview + GitHub JSON
  *   node cli.js --list              list known profiles
- *   node cli.js --update-profiles   force-fetch latest profiles from remote
- *   node cli.js <Name> --save       identify + save new profile to profiles.json
+ *   node cli.js --update-profiles   force-fetch latest profiles from remote (--dry-run: only show what would change)
+ *   node cli.js <Name> --save       identify + save new profile to profiles.user.json
+ *   node cli.js <Name> --print-image <file.png>   identify + print a PNG, scaled to the paper width
+ *   node cli.js <Name> --text "..."  identify + print text wrapped to the paper width (stdin with --text -)
+ *   node cli.js <Name> --qr "..."    identify + print a QR code (native GS ( k on ESC/POS, else a bitmap)
+ *   node cli.js <Name> --barcode <type> "..."    identify + print a barcode: code128, code39, ean13, ean8, upca, itf
+ *   node cli.js <Name> --status     identify + query printer status (paper, cover, temperature, battery, firmware)
+ *   node cli.js <Name> --benchmark  identify + find the fastest reliable MTU / chunk size / delay (prints test strips)
+ *   node cli.js <Name> --serve      identify + share the printer over raw TCP (9100) and HTTP (8080) until Ctrl-C
+ *   node cli.js --validate-profiles [file]        check a profile DB (default profiles.json + profiles.user.json) against the schema
+ *   node cli.js --config-check <config.json>      reconnect to every printer in an app config and check its activeProfile still matches
+ *
+ * Options:
+ *   --exact                         <Name> is the whole device name, not a part of it
+ *   --regex                         <Name> is a regular expression (case-insensitive)
+ *   --pick <N>                      when several devices match, take the Nth listed (strongest signal first)
+ *   --json / --ndjson               (scan) machine-readable output: one array at the end / one object per line
+ *   --duration <seconds>            (scan) how long to scan — default 20, or until Ctrl-C with --watch
+ *   --match [profileId]             (scan) only devices matching a profile (or that profile)
+ *   --min-rssi <dBm>                (scan) only devices at least this strong
+ *   --name <regex>                  (scan) only devices whose name matches (case-insensitive)
+ *   --dither <mode>                 (with --print-image) floyd-steinberg (default), atkinson or threshold
+ *   --align <left|center|right>     (with --text) default alignment
+ *   --bold / --double               (with --text) default style: bold, double width + height
+ *   --size <dots>                   (with --qr / --barcode) dots per module — default the largest that fits (QR up to 8, barcode up to 3)
+ *   --ec <L|M|Q|H>                  (with --qr) error correction level, default M
+ *   --height <dots>                 (with --barcode) bar height, default 80
+ *   --hri <none|above|below|both>   (with --barcode) where the human-readable digits go, default below
+ *   --raster                        (with --qr / --barcode) draw the code as a bitmap on ESC/POS printers too
+ *   --answers <file>                (with --discover) answer prompts from a JSON file — runs unattended
+ *   --yes / --no                    (with --discover) default for unanswered y/n prompts — runs unattended
+ *   --output <file>                 (with --discover) also write the discovery document to a file
+ *   --write-config <config.json>    (identify / --discover) merge the printer block into the app config instead of pasting it by hand
+ *   --config-name <name>            (with --write-config) write it as printers.<name>, one of several named printers
+ *   --protocol <name>               (identify) use this endpoint of the matched profile, when it has several
+ *   --patch <file>                  (with --discover) write the discovered profile as a patch for profiles.json (git apply)
+ *   --no-detect                     (with --discover) skip the status-query detection and confirm every protocol with a test print
+ *   --port <n|off>                  (with --serve) raw TCP port, default 9100
+ *   --http-port <n|off>             (with --serve) HTTP port, default 8080
+ *   --host <address>                (with --serve) address to listen on, default all (0.0.0.0)
+ *   --force                         print even when the printer reports no paper
+ *   --retries <n>                   connect attempts to repeat after a failure, and link drops to survive per job (default 3)
+ *   --on-drop <policy>              when the link drops mid-job: resume (default), restart or stop
+ *   --save                          (with --benchmark / --discover) write the tuned settings / the discovered profile to profiles.user.json
+ *   --dry-run                       (with --update-profiles) show added / changed / removed profiles, write nothing
+ *   --profiles-source <url|path>    fetch profiles from this URL or file instead of GitHub (e.g. an internal mirror)
+ *   --profiles-manifest <url|path>  only take downloaded profiles matching this manifest's SHA-256
+ *   --profiles-key <file.pem>       also require the manifest's signature to verify with this public key
+ *   --virtual                       use the built-in virtual printers instead of real BLE hardware
+ *   --png <file>                    (with --virtual) where to write the printed paper image
+ *   --virtual-fault <list>          (with --virtual) simulate faults: paperOut,coverOpen,overheating,lowBattery,connectFail,linkDrop
+ *   --record <file.jsonl>           log every BLE event of the run (advertisements, GATT, writes, notifications)
+ *   --replay <file.jsonl>           play a recorded session back instead of using BLE; alone, re-runs the recorded command
  */
 'use strict';
 
-const noble    = require('@abandonware/noble');
 const fs       = require('fs');
-const https    = require('https');
 const path     = require('path');
-const readline = require('readline');
+const bench    = require('./lib/benchmark');
+const gt01     = require('./lib/gt01');
+const image    = require('./lib/image');
+const jobs     = require('./lib/jobs');
+const text     = require('./lib/text');
+const qr       = require('./lib/qr');
+const barcode  = require('./lib/barcode');
+const { scan, connect, targetMatcher, profiles } = require('./index');
+const { Prompter, loadAnswers } = require('./lib/prompt');
+const session  = require('./lib/session');
+const devices  = require('./lib/devices');
+const { decode: decodeStatus } = require('./lib/status');
+const { detect } = require('./lib/detect');
+const { buildProfile, profilesPatch, paperWidthPx } = require('./lib/discovery');
+const { rulerWidthPx, rulerBitmap, measure } = require('./lib/calibration');
+const appConfig = require('./lib/config');
+const { normUuid, endpoints, overridesFor } = require('./lib/match');
+const { inherit } = require('./lib/inherit');
+const { validateProfiles, formatError } = require('./lib/schema');
+const { runStages, sendChunked } = require('./lib/transport');
+const { CONNECT_RETRIES, DROP_POLICIES } = require('./lib/printer');
+const { PrintServer } = require('./lib/server');
 
-const PROFILES_PATH = path.join(__dirname, 'profiles.json');
-const PROFILES_URL  = 'https://raw.githubusercontent.com/derSebastian/ble-printer-probe/main/profiles.json';
-const PROFILES_TTL  = 7 * 24 * 60 * 60 * 1000; // 7 days
 const SCAN_TIMEOUT  = 20000;
 
 // ── Args ──────────────────────────────────────────────────────────────────────
 
-const args          = process.argv.slice(2);
+let   args          = process.argv.slice(2);
+
+// --replay <file> with nothing else re-runs the command line the session was recorded with
+let replayLog = null;
+if (args.includes('--replay')) {
+    const file = args[args.indexOf('--replay') + 1];
+    if (!file) { console.error('--replay needs a session file.'); process.exit(1); }
+    try { replayLog = session.load(file); }
+    catch (e) { console.error(`Cannot replay ${file}: ${e.message}`); process.exit(1); }
+    if (args.length === 2) args = [...replayLog.header.args, '--replay', file];
+}
+
 const listMode      = args.includes('--list');
 const saveMode      = args.includes('--save');
 const printMode     = args.includes('--print');
+const statusMode    = args.includes('--status');
+const benchmarkMode = args.includes('--benchmark');
+const forceMode     = args.includes('--force');
 const discoverMode  = args.includes('--discover');
+const detectMode    = !args.includes('--no-detect');
+const serveMode     = args.includes('--serve');
 const updateMode    = args.includes('--update-profiles');
-const targetName    = args.find(a => !a.startsWith('--')) || null;
-
-// ── Profiles ──────────────────────────────────────────────────────────────────
+const dryRun        = args.includes('--dry-run');
+const virtualMode   = args.includes('--virtual');
+const validateMode  = args.includes('--validate-profiles');
+const watchMode     = args.includes('--watch');
+const jsonMode      = args.includes('--ndjson') || (watchMode && args.includes('--json')) ? 'ndjson'
+                    : args.includes('--json') ? 'json' : null;
+
+// Flags that take a value — their value must not be mistaken for the device name
+const VALUE_FLAGS   = ['--png', '--print-image', '--dither', '--validate-profiles', '--answers', '--output', '--virtual-fault', '--text', '--align',
+                       '--profiles-source', '--profiles-manifest', '--profiles-key', '--record', '--replay',
+                       '--duration', '--match', '--min-rssi', '--name', '--pick', '--retries', '--on-drop',
+                       '--port', '--http-port', '--host', '--qr', '--barcode', '--size', '--ec', '--height', '--hri',
+                       '--patch', '--write-config', '--config-name', '--config-check', '--protocol'];
+const argValue      = flag => { const i = args.indexOf(flag); return i >= 0 ? args[i + 1] ?? null : null; };
+const isValue       = i => VALUE_FLAGS.includes(args[i - 1]) || args[i - 2] === '--barcode';   // --barcode <type> <data>
+const targetName    = args.find((a, i) => !a.startsWith('--') && !isValue(i)) || null;
+const imagePath     = argValue('--print-image');
+const ditherMode    = argValue('--dither') || 'floyd-steinberg';
+const validateFile  = argValue('--validate-profiles')?.startsWith('--') ? null : argValue('--validate-profiles');
+const answersPath   = argValue('--answers');
+const outputPath    = argValue('--output');
+const patchPath     = argValue('--patch');
+const configPath    = argValue('--write-config');
+const configName    = argValue('--config-name');
+const configCheck   = argValue('--config-check');
+const protocolArg   = argValue('--protocol');
+const defaultYes    = args.includes('--yes') ? true : args.includes('--no') ? false : null;
+const sourceOpts    = Object.fromEntries(Object.entries({    // unset ones keep the environment defaults
+    source: argValue('--profiles-source'), manifest: argValue('--profiles-manifest'), publicKey: argValue('--profiles-key'),
+}).filter(([, v]) => v));
+const optArg        = flag => { const v = argValue(flag); return v && !v.startsWith('--') ? v : null; };
+const scanSeconds   = args.includes('--duration') ? Number(argValue('--duration')) : null;
+const minRssi       = args.includes('--min-rssi') ? Number(argValue('--min-rssi')) : null;
+const pickIndex     = args.includes('--pick') ? Number(argValue('--pick')) : null;
+const retries       = args.includes('--retries') ? Number(argValue('--retries')) : CONNECT_RETRIES;
+const onDrop        = argValue('--on-drop') || 'resume';
+const portArg       = (flag, fallback) => !args.includes(flag) ? fallback : argValue(flag) === 'off' ? null : Number(argValue(flag));
+const rawPort       = portArg('--port', 9100);
+const httpPort      = portArg('--http-port', 8080);
+const serveHost     = argValue('--host') || '0.0.0.0';
+const textStyle     = { align: argValue('--align') || 'left', bold: args.includes('--bold'), double: args.includes('--double') };
+const codeStyle     = {
+    size:   args.includes('--size') ? Number(argValue('--size')) : null,
+    ec:     (argValue('--ec') || 'M').toUpperCase(),
+    height: args.includes('--height') ? Number(argValue('--height')) : undefined,
+    hri:    argValue('--hri') || 'below',
+    raster: args.includes('--raster'),
+};
+
+// Load the image up front so a bad file fails before any scanning
+let sourceImage = null;
+if (args.includes('--print-image')) {
+    if (!imagePath) { console.error('--print-image needs a PNG file.'); process.exit(1); }
+    if (!image.DITHERS.includes(ditherMode)) {
+        console.error(`Unknown --dither "${ditherMode}" (use ${image.DITHERS.join(', ')}).`);
+        process.exit(1);
+    }
+    try { sourceImage = image.load(imagePath); }
+    catch (e) { console.error(`Cannot read ${imagePath}: ${e.message}`); process.exit(1); }
+}
 
-function loadProfiles() {
-    try { return JSON.parse(fs.readFileSync(PROFILES_PATH, 'utf8')); }
-    catch { return { version: 1, profiles: {} }; }
+// Text: the argument (\n and \t escapes allowed), or stdin for `--text -` or a bare --text
+// (a replay takes the recorded stdin)
+let textInput = null;
+let textStdin = false;
+if (args.includes('--text')) {
+    const v = argValue('--text');
+    textStdin = !v || v === '-' || v.startsWith('--');
+    try {
+        textInput = !textStdin ? v.replace(/\\n/g, '\n').replace(/\\t/g, '\t')
+                  : replayLog?.header.stdin ?? fs.readFileSync(0, 'utf8');
+    }
+    catch (e) { console.error(`Cannot read text from stdin: ${e.message}`); process.exit(1); }
+    if (!textInput.trim()) { console.error('--text needs some text, as an argument or on stdin.'); process.exit(1); }
+    if (!text.ALIGNS.includes(textStyle.align)) {
+        console.error(`Unknown --align "${textStyle.align}" (use ${text.ALIGNS.join(', ')}).`);
+        process.exit(1);
+    }
 }
 
-function saveProfiles(db) {
-    fs.writeFileSync(PROFILES_PATH, JSON.stringify(db, null, 2));
+// QR code / barcode: bad data, type or options fail before scanning; whether it
+// fits the paper is known once the profile is
+let codeInput = null;
+if (args.includes('--qr') || args.includes('--barcode')) {
+    const fail = msg => { console.error(msg); process.exit(1); };
+    if (args.includes('--qr') && args.includes('--barcode')) fail('Use one of --qr and --barcode.');
+    if (!qr.EC_LEVELS.includes(codeStyle.ec)) fail(`Unknown --ec "${codeStyle.ec}" (use ${qr.EC_LEVELS.join(', ')}).`);
+    if (!barcode.HRI.includes(codeStyle.hri)) fail(`Unknown --hri "${codeStyle.hri}" (use ${barcode.HRI.join(', ')}).`);
+    if (codeStyle.size !== null && !(Number.isInteger(codeStyle.size) && codeStyle.size > 0)) fail('--size needs a number of dots per module, e.g. --size 4.');
+    if (codeStyle.height !== undefined && !(Number.isInteger(codeStyle.height) && codeStyle.height >= 1 && codeStyle.height <= 255)) fail('--height needs a number of dots, 1–255.');
+    try {
+        if (args.includes('--qr')) {
+            const data = argValue('--qr');
+            if (!data) fail('--qr needs the text to encode, e.g. --qr "https://example.com".');
+            codeInput = { qr: data, code: qr.encode(data, { ec: codeStyle.ec }) };
+        } else {
+            const [type, data] = args.slice(args.indexOf('--barcode') + 1);
+            if (!type || !data || type.startsWith('--') || data.startsWith('--')) fail(`--barcode needs a type and the data, e.g. --barcode code128 "SHIP-00042" (types: ${barcode.TYPES.join(', ')}).`);
+            codeInput = { barcode: type, data, code: barcode.encode(type, data) };
+        }
+    } catch (e) { fail(`Cannot encode that: ${e.message}`); }
 }
 
-function fetchRemoteProfiles() {
-    return new Promise((resolve, reject) => {
-        const req = https.get(PROFILES_URL, { timeout: 5000 }, res => {
-            if (res.statusCode !== 200) {
-                reject(new Error(`HTTP ${res.statusCode}`));
-                res.resume();
-                return;
-            }
-            let raw = '';
-            res.on('data', chunk => raw += chunk);
-            res.on('end', () => {
-                try {
-                    const parsed = JSON.parse(raw);
-                    if (!parsed.version || !parsed.profiles) throw new Error('Invalid format');
-                    resolve(parsed);
-                } catch (e) { reject(e); }
-            });
-        });
-        req.on('error', reject);
-        req.on('timeout', () => { req.destroy(); reject(new Error('timeout')); });
+// Scan options
+if (scanSeconds !== null && !(scanSeconds > 0)) { console.error('--duration needs a number of seconds.'); process.exit(1); }
+if (minRssi !== null && Number.isNaN(minRssi))  { console.error('--min-rssi needs a number (dBm), e.g. -70.'); process.exit(1); }
+let scanFilter;
+try {
+    scanFilter = devices.filter({
+        match:   args.includes('--match') ? optArg('--match') || true : null,
+        minRssi,
+        name:    args.includes('--name') ? argValue('--name') : null,
     });
+} catch (e) { console.error(`Bad --name pattern: ${e.message}`); process.exit(1); }
+
+// Target: a bad --regex or --pick fails before scanning
+let target = null;
+if (targetName) {
+    try { target = targetMatcher(targetName, { exact: args.includes('--exact'), regex: args.includes('--regex') }); }
+    catch (e) { console.error(`Bad --regex pattern: ${e.message}`); process.exit(1); }
 }
+if (pickIndex !== null && !(Number.isInteger(pickIndex) && pickIndex > 0)) { console.error('--pick needs a number from the list, e.g. --pick 2.'); process.exit(1); }
 
-async function loadProfilesMaybeUpdate() {
-    const local = loadProfiles();
+// Connection resilience
+if (!(Number.isInteger(retries) && retries >= 0)) { console.error('--retries needs a whole number, e.g. --retries 5.'); process.exit(1); }
+if (!DROP_POLICIES.includes(onDrop)) { console.error(`Unknown --on-drop "${onDrop}" (use ${DROP_POLICIES.join(', ')}).`); process.exit(1); }
 
-    // Check if an update is warranted
-    const stat  = fs.statSync(PROFILES_PATH, { throwIfNoEntry: false });
-    const ageMs = stat ? Date.now() - stat.mtimeMs : Infinity;
-    if (!updateMode && ageMs < PROFILES_TTL) return local;
+// --serve listeners
+for (const [flag, port] of [['--port', rawPort], ['--http-port', httpPort]]) {
+    if (port !== null && !(Number.isInteger(port) && port >= 0 && port < 65536)) { console.error(`${flag} needs a port number or "off".`); process.exit(1); }
+}
+if (serveMode && rawPort === null && httpPort === null) { console.error('--serve needs at least one of --port / --http-port.'); process.exit(1); }
+
+// App config: an unreadable or malformed file fails before scanning
+for (const [flag, file] of [['--write-config', configPath], ['--config-check', configCheck]]) {
+    if (!args.includes(flag)) continue;
+    if (!file || file.startsWith('--')) { console.error(`${flag} needs a config file, e.g. ${flag} config.json.`); process.exit(1); }
+    try { appConfig.read(file); }
+    catch (e) { console.error(e.message); process.exit(1); }
+}
+if (args.includes('--config-name') && (!configName || configName.startsWith('--'))) { console.error('--config-name needs a name, e.g. --config-name kitchen.'); process.exit(1); }
 
-    try {
-        const remote = await fetchRemoteProfiles();
-        const localCount  = Object.keys(local.profiles).length;
-        const remoteCount = Object.keys(remote.profiles).length;
-
-        if (remote.version > local.version || remoteCount > localCount) {
-            saveProfiles(remote);
-            const tag = updateMode ? 'Updated' : 'Auto-updated';
-            console.log(`✓ Profiles ${tag}: v${remote.version}, ${remoteCount} profile(s)\n`);
-            return remote;
-        } else if (updateMode) {
-            console.log(`Profiles already current (v${local.version}, ${localCount} profile(s))\n`);
-        }
-    } catch (e) {
-        if (updateMode) console.warn(`Could not fetch remote profiles: ${e.message}\n`);
-        // silently fall back to local otherwise
+// With JSON on stdout, everything for humans goes to stderr
+const log = jsonMode ? console.error : console.log;
+
+// Same for the discovery answers file
+let answers = null;
+if (answersPath) {
+    try { answers = loadAnswers(answersPath); }
+    catch (e) { console.error(`Cannot read ${answersPath}: ${e.message}`); process.exit(1); }
+}
+
+// Session log for --record: the command line without --record, plus stdin text
+let recorder = null;
+if (args.includes('--record')) {
+    const file = argValue('--record');
+    if (!file) { console.error('--record needs a file.'); process.exit(1); }
+    const cmd = args.filter((a, i) => !['--record', '--replay'].includes(a) && !['--record', '--replay'].includes(args[i - 1]));
+    try { recorder = new session.Recorder(file, { args: cmd, ...(textStdin && { stdin: textInput }) }); }
+    catch (e) { console.error(`Cannot record to ${file}: ${e.message}`); process.exit(1); }
+}
+
+// Prompter options — a replay answers every prompt as recorded
+const promptOpts = () => ({
+    answers:  replayLog ? replayLog.answers : answers,
+    defaultYes,
+    onAnswer: (key, value) => recorder?.log('answer', { key, value }),
+});
+
+// ── BLE backend ───────────────────────────────────────────────────────────────
+// null means noble, which the library loads only when a mode scans — so
+// --list / --validate-profiles work without BLE support.
+
+function bleBackend() {
+    if (replayLog) return session.replay(replayLog);
+    const noble = virtualMode
+        ? require('./lib/virtual-printer').createNoble({
+            pngPath: argValue('--png'),
+            faults:  (argValue('--virtual-fault') || '').split(',').filter(Boolean),
+        })
+        : null;
+    return recorder ? recorder.wrap(noble || require('@abandonware/noble')) : noble;
+}
+
+// ── Profiles ──────────────────────────────────────────────────────────────────
+
+/** Invalid entries skipped in `file`, and with `unknownFields` the fields this version ignores. */
+function reportSchemaProblems(file, { error = null, errors, warnings = [] }, unknownFields = false) {
+    if (error) console.warn(`⚠ ${file} unreadable (${error.message}) — no profiles loaded from it.\n`);
+    if (errors.length) {
+        const ids = [...new Set(errors.map(e => e.id).filter(Boolean))];
+        console.warn(`⚠ ${file}: ${errors.length} schema problem(s) — skipped ${ids.join(', ') || 'nothing'}:`);
+        errors.forEach(e => console.warn(`    ${formatError(e)}`));
+        console.warn();
     }
+    if (unknownFields && warnings.length) {
+        console.warn(`⚠ ${file}: ${warnings.length} field(s) this version doesn't know — ignored:`);
+        warnings.forEach(e => console.warn(`    ${formatError(e)}`));
+        console.warn();
+    }
+}
 
-    return local;
+/**
+ * Load the profiles with profiles.user.json merged over them, refreshing the
+ * cached remote copy when stale (always with --update-profiles). Returns
+ * profiles.update()'s result.
+ */
+async function loadProfilesMaybeUpdate() {
+    // A replay matches against the profiles of the recorded run
+    if (replayLog?.profiles) return { db: replayLog.profiles, added: [], overridden: [], conflicts: [] };
+
+    const r = await profiles.update({ force: updateMode, dryRun: updateMode && dryRun, ...sourceOpts });
+    if (r.cacheError) console.warn(`⚠ Cached profiles not used: ${r.cacheError.message}\n`);
+    if (r.download && dryRun) reportSchemaProblems(sourceOpts.source || profiles.SOURCE, r.download, true);
+    reportSchemaProblems(r.file, r, updateMode && !dryRun);
+    reportSchemaProblems(profiles.USER_PATH, r.user);
+
+    const count = Object.keys(r.db.profiles).length;
+    if (r.updated) {
+        log(`✓ Profiles ${updateMode ? 'Updated' : 'Auto-updated'}: v${r.db.version}, ${count} profile(s)\n`);
+        if (r.kept.length) log(`✓ Kept ${r.kept.join(', ')} (not in the remote DB) as your profiles in ${profiles.USER_PATH}\n`);
+        const removed = r.changes.removed.filter(id => !r.db.profiles[id] && !r.download.errors.some(e => e.id === id));
+        if (removed.length) log(`✓ Removed ${removed.join(', ')} (no longer in the remote DB)\n`);
+    } else if (updateMode && r.remoteError) {
+        console.warn(`Could not fetch remote profiles from ${sourceOpts.source || profiles.SOURCE}: ${r.remoteError.message}\n`);
+    } else if (updateMode && !dryRun) {
+        console.log(`Profiles already current (v${r.db.version}, ${count} profile(s))\n`);
+    }
+    if (r.conflicts.length && !listMode) {
+        console.warn(`⚠ Remote changed since you saved your copy of: ${r.conflicts.join(', ')} — see --list\n`);
+    }
+    recorder?.log('profiles', { db: r.db });
+    return r;
 }
 
-function normUuid(uuid) {
-    let hex = uuid.replace(/-/g, '').toLowerCase();
-    // Expand Bluetooth SIG short UUIDs (16-bit or 32-bit) to full 128-bit form
-    if (hex.length === 4)  hex = `0000${hex}00001000800000805f9b34fb`;
-    if (hex.length === 8)  hex = `${hex}00001000800000805f9b34fb`;
-    if (hex.length !== 32) return uuid.toLowerCase();
-    return `${hex.slice(0,8)}-${hex.slice(8,12)}-${hex.slice(12,16)}-${hex.slice(16,20)}-${hex.slice(20)}`;
+/**
+ * The endpoints of profile `id` this device has — [{ protocol, ble }], the
+ * ones whose write characteristic is among `chars` (see match.endpoints).
+ */
+function deviceEndpoints(id, db, chars) {
+    const have = chars.map(c => c.uuid);
+    try { return endpoints(inherit(db.profiles[id], db)).filter(e => have.includes(normUuid(e.ble.writeCharUuid))); }
+    catch { return []; }
 }
 
-/** Returns ALL profiles whose serviceUuid appears in the given list. */
-function matchAllProfiles(serviceUuids, db) {
-    const normed = serviceUuids.map(normUuid);
-    return Object.values(db.profiles).filter(p => normed.includes(normUuid(p.ble.serviceUuid)));
+/** The protocol an app config should pin for `profile` — only when it speaks several on this device. */
+const primaryProtocol = (profile, db, chars) => deviceEndpoints(profile.id, db, chars).length > 1 ? profile.protocol : null;
+
+/** --update-profiles --dry-run: what taking the remote DB would do. */
+function printChanges(r) {
+    const { added, changed, removed } = r.changes;
+    if (!added.length && !changed.length && !removed.length) {
+        console.log('Remote profiles are the same as the local copy — nothing would change.');
+        return;
+    }
+    const invalid = id => r.download?.errors.some(e => e.id === id);
+    const yours   = id => r.kept.includes(id)       ? '  (would be kept in profiles.user.json)'
+                        : r.overridden.includes(id) ? '  (your copy in profiles.user.json stays in use)'
+                        : invalid(id)               ? '  (invalid in the download — skipped)'
+                        : '';
+    console.log(`Taking the remote profiles would change ${r.file}:`);
+    added.forEach(id   => console.log(`  + ${id.padEnd(16)} added${yours(id)}`));
+    changed.forEach(id => console.log(`  ~ ${id.padEnd(16)} changed${yours(id)}`));
+    removed.forEach(id => console.log(`  - ${id.padEnd(16)} removed${yours(id)}`));
+    console.log('\nDry run — nothing written.');
 }
 
+const pct = confidence => `${Math.round(confidence * 100)}%`;
+
 function ghUrl(deviceName, snippet) {
     const title = `New printer: ${deviceName}`;
 
@@ -143,136 +417,54 @@ function ghUrl(deviceName, snippet) {
            `?title=${encodeURIComponent(title)}&body=${encodeURIComponent(body)}`;
 }
 
-// ── Interactive prompt helper ─────────────────────────────────────────────────
-
-function ask(rl, question) {
-    return new Promise(resolve => rl.question(question, resolve));
-}
-
-// ── Test print builders ───────────────────────────────────────────────────────
-
-function escPosPrintBuffer(chunkSize, chunkDelay, label = 'BLE PROBE') {
-    const buf = Buffer.concat([
-        Buffer.from([0x1B, 0x40]),              // ESC @ — init
-        Buffer.from([0x1B, 0x21, 0x00]),        // ESC ! — normal weight
-        Buffer.from(`${label}\n`, 'ascii'),
-        Buffer.from([0x1B, 0x4A, 0x40]),        // ESC J 64 — feed
-        Buffer.from([0x1D, 0x56, 0x41, 0x0A]), // GS V A — partial cut
-    ]);
-    return [{ name: 'print', buf, chunk: chunkSize, delay: chunkDelay, pauseAfter: 0 }];
-}
-
-// ESC/POS capability tests — one print per test, one unambiguous question.
-// Code-page / symbol tests are omitted: whether a symbol looks "correct" is
-// language/region-dependent and has no universal yes/no answer.
-// Returns { tests: [{key, testN, buf, question}], finalN }.
-function escPosCapabilityTests(testNStart) {
-    const tests = [];
-    let n = testNStart;
-
-    const FEED = Buffer.from([0x1B, 0x4A, 0x40]);          // ESC J — feed
-    const CUT  = Buffer.from([0x1D, 0x56, 0x41, 0x0A]);    // GS V A — partial cut
-
-    // Build and push one test. Label uses the post-increment value of n.
-    const add = (key, mode, modeOff, question) => {
-        n++;
-        const label = `TEST ${n}`;
-        const buf = Buffer.concat([
-            Buffer.from([0x1B, 0x40]),   // ESC @ — init / reset all settings
-            Buffer.from(mode),
-            Buffer.from(`${label}\n`, 'ascii'),
-            Buffer.from(modeOff),
-            FEED, CUT,
-        ]);
-        tests.push({ key, testN: n, buf, question });
-    };
-
-    // Bold — text is visibly heavier regardless of language
-    add('bold',
-        [0x1B, 0x21, 0x08],   // ESC ! bold on
-        [0x1B, 0x21, 0x00],   // reset
-        'Does the text on the paper look noticeably thicker or heavier? (y/n): ',
-    );
-
-    // Double-wide — text occupies twice the horizontal space; universal
-    add('doubleWide',
-        [0x1B, 0x21, 0x20],   // ESC ! double-wide
-        [0x1B, 0x21, 0x00],
-        'Is the text stretched sideways — taking up noticeably more width on the paper? (y/n): ',
-    );
-
-    // Double-height — text occupies twice the vertical space; universal
-    add('doubleHeight',
-        [0x1B, 0x21, 0x10],   // ESC ! double-height
-        [0x1B, 0x21, 0x00],
-        'Is the text taller — taking up noticeably more vertical space on the paper? (y/n): ',
-    );
-
-    // Underline — either a line appears beneath the text or it doesn't
-    add('underline',
-        [0x1B, 0x2D, 0x01],   // ESC - underline on
-        [0x1B, 0x2D, 0x00],   // underline off
-        'Is there a visible line drawn directly beneath the text? (y/n): ',
-    );
-
-    return { tests, finalN: n };
-}
-
-function d1TestStages() {
-    // 32-row image: black border around white field
-    const PB = 48; // paper bytes (384px / 8)
-    const H  = 32;
-    const bmp = Buffer.alloc(PB * H, 0xFF); // white
-    // Top + bottom border (2 rows each)
-    for (let r = 0; r < 2; r++)
-        for (let b = 0; b < PB; b++) { bmp[r * PB + b] = 0x00; bmp[(H - 1 - r) * PB + b] = 0x00; }
-    // Left + right border (first and last byte of each row)
-    for (let r = 0; r < H; r++) { bmp[r * PB] = 0x00; bmp[r * PB + PB - 1] = 0x00; }
-
-    const wLE = PB & 0xFF, wHi = (PB >> 8) & 0xFF;
-    const hLE = H  & 0xFF, hHi = (H  >> 8) & 0xFF;
-    return [
-        { name: 'init',      buf: Buffer.from([0x10,0xFF,0xF1,0x03, 0x10,0xFF,0x10,0x00,0x01]),                chunk: 20,  delay: 80,  pauseAfter: 500  },
-        { name: 'wake',      buf: Buffer.alloc(1024, 0x00),                                                     chunk: 200, delay: 30,  pauseAfter: 1000 },
-        { name: 'image',     buf: Buffer.concat([Buffer.from([0x1D,0x76,0x30,0x00, wLE,wHi,hLE,hHi]), bmp]),   chunk: 200, delay: 30,  pauseAfter: 500  },
-        { name: 'feed+stop', buf: Buffer.concat([Buffer.from([0x1B,0x4A,0x64]), Buffer.from([0x10,0xFF,0xF1,0x45])]), chunk: 20, delay: 80, pauseAfter: 0 },
-    ];
-}
-
-// ── BLE send helpers ──────────────────────────────────────────────────────────
-
-function sendChunked(char, buf, chunkSize, delayMs, cb) {
-    const chunks = [];
-    for (let i = 0; i < buf.length; i += chunkSize) chunks.push(buf.slice(i, i + chunkSize));
-    let ci = 0;
-    function next() {
-        if (ci >= chunks.length) return cb(null);
-        char.write(chunks[ci++], true, err => err ? cb(err) : setTimeout(next, delayMs));
-    }
-    next();
-}
-
-function runStages(writeChar, stages) {
-    return new Promise((resolve, reject) => {
-        let si = 0;
-        function nextStage() {
-            if (si >= stages.length) return resolve();
-            const stage = stages[si++];
-            process.stdout.write(`  [${stage.name}] `);
-            sendChunked(writeChar, stage.buf, stage.chunk, stage.delay, err => {
-                if (err) return reject(err);
-                process.stdout.write(`done\n`);
-                setTimeout(nextStage, stage.pauseAfter || 10);
-            });
-        }
-        nextStage();
-    });
-}
-
 // ── Output helpers ────────────────────────────────────────────────────────────
 
 const LINE = '─'.repeat(60);
 
+// Progress for runStages: "  [image] done"
+const STAGE_LOG = {
+    onStage:     stage => process.stdout.write(`  [${stage.name}] `),
+    onStageDone: ()    => process.stdout.write('done\n'),
+};
+
+const size = bytes => bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+const mmss = ms => { const sec = Math.round(ms / 1000); return `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, '0')}`; };
+
+/**
+ * STAGE_LOG for print jobs. On a terminal the stage line also counts bytes
+ * sent, with an ETA from the rate since the job (or its last resume) started.
+ */
+function jobProgress() {
+    if (!process.stdout.isTTY) return STAGE_LOG;
+    let stage = null;
+    let start = null;   // { time, sent } the rate is measured from
+    let drawn = 0;
+    return {
+        onStage:     s => { stage = s; process.stdout.write(`  [${s.name}] `); },
+        onStageDone: () => process.stdout.write(`\r  [${stage.name}] done\x1b[K\n`),
+        onProgress:  ({ sent, total }) => {
+            const now = Date.now();
+            if (!start || sent < start.sent) start = { time: now, sent };
+            if (now - drawn < 200) return;
+            drawn = now;
+            const rate = (sent - start.sent) / Math.max(now - start.time, 1);
+            const eta  = rate > 0 ? `  ETA ${mmss((total - sent) / rate)}` : '';
+            process.stdout.write(`\r  [${stage.name}] ${size(sent)} / ${size(total)}  ${Math.floor(sent * 100 / total)}%${eta}\x1b[K`);
+        },
+    };
+}
+
+function printStatus(st) {
+    const show = (v, yes, no) => v === null ? '—' : v ? yes : no;
+    console.log(`  Ready:        ${show(st.ready, 'yes', 'no')}`);
+    console.log(`  Paper:        ${show(st.paperOut, 'OUT', 'loaded')}`);
+    console.log(`  Cover:        ${show(st.coverOpen, 'OPEN', 'closed')}`);
+    console.log(`  Temperature:  ${show(st.overheating, 'OVERHEATING', 'normal')}`);
+    console.log(`  Battery:      ${st.battery === null ? '—' : `${st.battery}%`}`);
+    console.log(`  Firmware:     ${st.firmware ?? '—'}`);
+    if (!st.raw.length) console.log('  (no reply — the printer may not answer status queries)');
+}
+
 function printSnippet(deviceName, snippet) {
     console.log(`\n${LINE}`);
     console.log('Paste into config.json:');
@@ -282,76 +474,210 @@ function printSnippet(deviceName, snippet) {
     console.log(ghUrl(deviceName, snippet) + '\n');
 }
 
+// ── Scan output ───────────────────────────────────────────────────────────────
+
+const signal = rssi => rssi > -50 ? 'strong' :
+                       rssi > -70 ? 'good'   :
+                       rssi > -85 ? 'weak'   : 'very weak';
+
+/** One human-readable line for a device record. */
+function deviceLine(rec) {
+    const name   = rec.name || `(unnamed) ${rec.address || rec.id}`;
+    const badge  = rec.matches.length ? `  [${rec.matches.map(m => `${m.id} ${pct(m.confidence)}`).join(' + ')}]` : '';
+    const extras = [
+        rec.txPower !== null        && `tx ${rec.txPower} dBm`,
+        rec.manufacturerId !== null && `mfr 0x${rec.manufacturerId.toString(16).padStart(4, '0')}`,
+        rec.connectable === false   && 'not connectable',
+    ].filter(Boolean).join(', ');
+    return `${name.padEnd(28)} RSSI: ${String(rec.rssi).padStart(4)} dBm  (${signal(rec.rssi)})${badge}${extras ? `  ${extras}` : ''}`;
+}
+
+/**
+ * A timed scan. Named devices print as they're found, unnamed ones at the end
+ * unless their name turns up. --json prints every device at the end;
+ * --ndjson prints each as found (again if its name arrives later).
+ */
+function listDevices(scanner) {
+    const found = new Map();
+    scanner.on('device', device => {
+        const rec = devices.record(device);
+        if (!scanFilter(rec)) return;
+        found.set(rec.id, rec);
+        if (jsonMode === 'ndjson') console.log(JSON.stringify(rec));
+        else if (!jsonMode && rec.name) console.log(`  ${deviceLine(rec)}`);
+    });
+
+    scanner.on('stop', () => {
+        const all = [...found.values()];
+        if (jsonMode === 'json') console.log(JSON.stringify(all, null, 2));
+        if (!jsonMode) {
+            const unnamed = all.filter(r => !r.name);
+            if (unnamed.length) {
+                console.log(`\nUnnamed devices:`);
+                unnamed.forEach(r => console.log(`  ${deviceLine(r)}`));
+            }
+            console.log(`\nDone. Found ${all.length - unnamed.length} named and ${unnamed.length} unnamed device(s).`);
+            console.log(`To identify:   node cli.js <DeviceName>`);
+            console.log(`To test print: node cli.js <DeviceName> --print`);
+            console.log(`To discover:   node cli.js <DeviceName> --discover`);
+        }
+        process.exit(0);
+    });
+}
+
+/** --watch: appear / update / disappear events until --duration or Ctrl-C. */
+function watchDevices(scanner) {
+    const tracker = new devices.Tracker(scanner, { filter: scanFilter });
+    const MARK    = { appear: '+', update: '~', disappear: '-' };
+    for (const event of Object.keys(MARK)) {
+        tracker.on(event, rec => {
+            if (jsonMode) return console.log(JSON.stringify({ event, time: new Date().toISOString(), ...rec }));
+            const time = new Date().toTimeString().slice(0, 8);
+            console.log(event === 'disappear'
+                ? `${time}  ${MARK[event]} ${rec.name || `(unnamed) ${rec.address || rec.id}`}  gone`
+                : `${time}  ${MARK[event]} ${deviceLine(rec)}`);
+        });
+    }
+    process.on('SIGINT', () => scanner.stop());
+    scanner.on('stop', () => {
+        log(`\nStopped. ${tracker.present().length} device(s) in range.`);
+        process.exit(0);
+    });
+}
+
 // ── --update-profiles mode ────────────────────────────────────────────────────
 
 if (updateMode) {
     (async () => {
-        await loadProfilesMaybeUpdate();
-        process.exit(0);
+        const r = await loadProfilesMaybeUpdate();
+        if (dryRun && r.changes) printChanges(r);
+        process.exit(r.remoteError ? 1 : 0);
     })();
 }
 
+// ── --validate-profiles mode ──────────────────────────────────────────────────
+
+else if (validateMode) {
+    const files = validateFile ? [validateFile]
+                : [profiles.PATH, profiles.USER_PATH].filter((f, i) => i === 0 || fs.existsSync(f));
+    const remote = profiles.load(profiles.active().file).db;   // what a user file's profiles may extend
+    let ok = true;
+    for (const file of files) {
+        let db;
+        try { db = profiles.read(file); }
+        catch (e) { console.error(`✗ ${file}: ${e.message}`); ok = false; continue; }
+
+        const problems = validateProfiles(db, file === profiles.PATH ? null : remote);
+        const errors   = problems.filter(e => !e.warning);
+        if (errors.length) {
+            console.log(`✗ ${file}: ${errors.length} problem(s)\n`);
+            errors.forEach(e => console.log(`  ${formatError(e)}`));
+            problems.filter(e => e.warning).forEach(e => console.log(`  ⚠ ${formatError(e)}`));
+            ok = false;
+            continue;
+        }
+        console.log(`✓ ${file}: ${Object.keys(db.profiles).length} profile(s) valid (v${db.version})`);
+        problems.forEach(e => console.log(`  ⚠ ${formatError(e)}`));
+    }
+    process.exit(ok ? 0 : 1);
+}
+
 // ── --list mode ───────────────────────────────────────────────────────────────
 
 else if (listMode) {
     (async () => {
-        const db       = await loadProfilesMaybeUpdate();
+        const r        = await loadProfilesMaybeUpdate();
+        const db       = r.db;
         const profiles = Object.values(db.profiles);
-        console.log(`\nKnown BLE printer profiles (v${db.version}) — ${profiles.length} total\n`);
-        for (const p of profiles) {
-            const tag = p.notes?.includes('Unimplemented') ? '  [identification only]' : '';
+        const userCount = r.added.length + r.overridden.length;
+        console.log(`\nKnown BLE printer profiles (v${db.version}) — ${profiles.length} total` +
+                    (userCount ? `, ${userCount} from profiles.user.json` : '') + '\n');
+        for (const stored of profiles) {
+            let p;
+            try { p = inherit(stored, db); }
+            catch { continue; }   // its base failed validation — reported above
+            const tag = (p.notes?.includes('Unimplemented') ? '  [identification only]' : '') +
+                        (r.added.includes(p.id) ? '  [yours]' : r.overridden.includes(p.id) ? '  [yours, overrides remote]' : '');
             console.log(`  [${p.id}]  ${p.name}${tag}`);
-            console.log(`    Protocol:  ${p.protocol}`);
-            console.log(`    Service:   ${p.ble.serviceUuid}`);
-            console.log(`    Write:     ${p.ble.writeCharUuid}`);
-            if (p.ble.notifyCharUuid) console.log(`    Notify:    ${p.ble.notifyCharUuid}`);
-            console.log(`    Chunk:     ${p.ble.chunkSize}b / ${p.ble.chunkDelay}ms  MTU: ${p.ble.mtu}`);
+            if (r.conflicts.includes(p.id)) console.log('    ⚠ Conflict: the remote profile changed since your copy was saved');
+            if (stored.extends) console.log(`    Extends:   [${stored.extends}]`);
+            for (const [i, { protocol, ble }] of endpoints(p).entries()) {
+                if (i) console.log(`    Also:      ${protocol} on ${ble.writeCharUuid}${ble.chunkSize !== p.ble.chunkSize ? `, chunk ${ble.chunkSize}b / ${ble.chunkDelay}ms` : ''}`);
+                else {
+                    console.log(`    Protocol:  ${protocol}`);
+                    console.log(`    Service:   ${ble.serviceUuid}`);
+                    console.log(`    Write:     ${ble.writeCharUuid}`);
+                    if (ble.notifyCharUuid) console.log(`    Notify:    ${ble.notifyCharUuid}`);
+                    console.log(`    Chunk:     ${ble.chunkSize}b / ${ble.chunkDelay}ms  MTU: ${ble.mtu}`);
+                }
+            }
+            for (const o of p.overrides || []) {
+                const when = Object.entries(o.deviceInfo).map(([k, v]) => `${k} /${v}/`).join(', ');
+                console.log(`    Override:  ${when} → ${Object.keys(o).filter(k => k !== 'deviceInfo').join(', ')}`);
+            }
             if (p.variants) console.log(`    Variants:  ${p.variants.join(', ')}`);
             if (p.notes)    console.log(`    Notes:     ${p.notes}`);
             console.log();
         }
+        if (r.conflicts.length) {
+            console.log(`To take the remote version of a conflicting profile, delete it from ${profiles.USER_PATH}.`);
+            console.log('To keep yours, delete its entry under "bases" there.\n');
+        }
         process.exit(0);
     })();
 }
 
-// ── Scan-only mode ────────────────────────────────────────────────────────────
-
-else if (!targetName) {
-    console.log(`Scanning for BLE devices (${SCAN_TIMEOUT / 1000}s)...\n`);
-    const seen = new Map();
-    let db;
-
-    loadProfilesMaybeUpdate().then(loaded => { db = loaded; });
-
-    noble.on('stateChange', state => {
-        if (state === 'poweredOn') noble.startScanning([], false);
-        else { console.error(`BLE state: ${state}`); process.exit(1); }
-    });
+// ── --config-check mode ───────────────────────────────────────────────────────
 
-    noble.on('discover', peripheral => {
-        const name = peripheral.advertisement.localName;
-        if (!name || seen.has(peripheral.id)) return;
-        seen.set(peripheral.id, true);
+else if (configCheck) {
+    (async () => {
+        const { db }  = await loadProfilesMaybeUpdate();
+        const entries = appConfig.printers(appConfig.read(configCheck));
+        if (!entries.length) {
+            console.log(`✗ ${configCheck} has no "printer" or "printers" block.`);
+            process.exit(1);
+        }
+        console.log(`\nChecking ${entries.length} printer(s) in ${configCheck}...\n`);
+        const noble = bleBackend();
+        let ok = true;
+        for (const { name, block } of entries) {
+            const label   = name === null ? 'printer' : `printers.${name}`;
+            const profile = block?.ble?.activeProfile;
+            const where   = block?.ble?.address || block?.ble?.deviceName || '?';
+            let r;
+            try { r = await appConfig.check(block, { db, noble, timeout: SCAN_TIMEOUT, retries }); }
+            catch (e) { r = { result: 'error', error: e }; }
+            switch (r.result) {
+                case 'ok':              console.log(`  ✓ ${label}: ${r.found.name} (${where}) matches [${profile}]`); break;
+                case 'better':          console.log(`  ⚠ ${label}: ${r.found.name} (${where}) still matches [${profile}], but [${r.best}] matches better`); break;
+                case 'mismatch':        console.log(`  ✗ ${label}: ${r.found.name} (${where}) no longer matches [${profile}]${r.best ? ` — best match is [${r.best}]` : ' — no profile matches'}`); break;
+                case 'no_endpoint':     console.log(`  ✗ ${label}: ${r.found.name} (${where}) matches [${profile}], but not over ${block.ble.protocol}`); break;
+                case 'unknown_profile': console.log(`  ✗ ${label}: activeProfile ${profile ? `"${profile}" is not a known profile` : 'is missing'}`); break;
+                case 'not_found':       console.log(`  ✗ ${label}: ${where} not found within ${SCAN_TIMEOUT / 1000}s`); break;
+                default:                console.log(`  ✗ ${label}: ${where} — ${r.error.message}`);
+            }
+            if (r.result !== 'ok' && r.result !== 'better') ok = false;
+        }
+        console.log('');
+        process.exit(ok ? 0 : 1);
+    })();
+}
 
-        // Match against advertised service UUIDs (may be partial / empty for many printers)
-        const advUuids = (peripheral.advertisement.serviceUuids || []).map(normUuid);
-        const matches  = advUuids.length ? matchAllProfiles(advUuids, db) : [];
-        const badge    = matches.length ? `  [${matches.map(m => m.id).join('+')}]` : '';
+// ── Scan-only mode ────────────────────────────────────────────────────────────
 
-        const sig = peripheral.rssi > -50 ? 'strong' :
-                    peripheral.rssi > -70 ? 'good'   :
-                    peripheral.rssi > -85 ? 'weak'   : 'very weak';
-        console.log(`  ${name.padEnd(28)} RSSI: ${String(peripheral.rssi).padStart(4)} dBm  (${sig})${badge}`);
-    });
+else if (!targetName) {
+    const duration = scanSeconds ? scanSeconds * 1000 : watchMode ? null : SCAN_TIMEOUT;
+    log(watchMode
+        ? `Watching BLE devices (${duration ? `${duration / 1000}s` : 'Ctrl-C to stop'})...\n`
+        : `Scanning for BLE devices (${duration / 1000}s)...\n`);
 
-    setTimeout(() => {
-        noble.stopScanning();
-        console.log(`\nDone. Found ${seen.size} named device(s).`);
-        console.log(`To identify:   node cli.js <DeviceName>`);
-        console.log(`To test print: node cli.js <DeviceName> --print`);
-        console.log(`To discover:   node cli.js <DeviceName> --discover`);
-        process.exit(0);
-    }, SCAN_TIMEOUT);
+    (async () => {
+        const { db }  = await loadProfilesMaybeUpdate();
+        const scanner = scan({ noble: bleBackend(), db, timeout: duration, allowDuplicates: watchMode });
+        scanner.on('error', e => { console.error(e.message); process.exit(1); });
+        if (watchMode) watchDevices(scanner);
+        else listDevices(scanner);
+    })();
 
     return; // halt top-level execution (Node wraps modules in a function)
 }
@@ -360,43 +686,82 @@ else if (!targetName) {
 
 else {
 
-const modeLabel = discoverMode ? 'discover' : printMode ? 'print' : 'identify';
+const modeLabel = serveMode ? 'serve' : discoverMode ? 'discover' : printMode ? 'print' : sourceImage ? 'print-image' : textInput !== null ? 'text'
+                : codeInput ? (codeInput.qr ? 'qr' : 'barcode') : statusMode ? 'status' : benchmarkMode ? 'benchmark' : 'identify';
 console.log(`\nScanning for "${targetName}" [${modeLabel}]...\n`);
 
-noble.on('stateChange', state => {
-    if (state === 'poweredOn') noble.startScanning([], false);
-    else { console.error(`BLE state: ${state}`); process.exit(1); }
-});
-
-noble.on('discover', peripheral => {
-    const name = peripheral.advertisement.localName || '';
-    if (!name.includes(targetName)) return;
-
-    clearTimeout(scanTimer);
-    noble.stopScanning();
-    console.log(`Found: ${name}  (${peripheral.id})\n`);
-
-    peripheral.connect(err => {
-        if (err) { console.error('Connect error:', err); process.exit(1); }
-        peripheral.discoverAllServicesAndCharacteristics((_e, services, characteristics) => {
-            handleDevice(peripheral, name, services, characteristics).catch(e => {
-                console.error('Error:', e.message);
-                peripheral.disconnect(() => process.exit(1));
-            });
-        });
+// The device last used for this name goes first (a replay uses the recorded one)
+const lastUsed = pickIndex !== null || target.unique ? null
+               : replayLog ? replayLog.answers['device.lastUsed'] ?? null
+               : devices.lastUsed(targetName)?.id ?? null;
+if (lastUsed) recorder?.log('answer', { key: 'device.lastUsed', value: lastUsed });
+
+connect(targetName, {
+    noble:   bleBackend(),
+    timeout: SCAN_TIMEOUT,
+    exact:   args.includes('--exact'),
+    regex:   args.includes('--regex'),
+    prefer:  lastUsed,
+    choose:  chooseDevice,
+    retries,
+    onRetry: ({ attempt, retries: max, error, wait }) => console.log(`  Connect failed (${error.message}) — retry ${attempt}/${max} in ${wait / 1000}s`),
+}).then(printer => {
+    console.log(`Found: ${printer.name}  (${printer.address || printer.id})${printer.id === lastUsed ? `  — last used for "${targetName}"; give --pick N to choose another (the list is shown first)` : ''}\n`);
+    if (!target.unique && !replayLog) {
+        try { devices.rememberUsed(targetName, printer); }
+        catch (e) { console.log(`⚠ Cannot remember this device: ${e.message}`); }
+    }
+    printer.on('warning', message => console.log(`⚠ ${message}`));
+    printer.on('disconnect', () => { console.log('Disconnected.'); });
+    printer.on('retry', ({ attempt, retries: max, error, wait }) => console.log(`  Reconnect failed (${error.message}) — retry ${attempt}/${max} in ${wait / 1000}s`));
+    printer.on('drop', ({ at, drops }) => console.log(`\n⚠ Link lost at byte ${at.offset} of stage ${at.stage + 1} (drop ${drops}/${retries}) — reconnecting...`));
+    printer.on('resume', ({ from, restart }) => console.log(restart
+        ? '↻ Reconnected — stop sequence sent, printing again from the start.'
+        : `↻ Reconnected — resuming at byte ${from.offset} of stage ${from.stage + 1}.`));
+
+    handleDevice(printer).catch(e => {
+        console.error('Error:', e.message);
+        printer.disconnect().then(() => process.exit(1));
     });
-
-    peripheral.on('disconnect', () => { console.log('Disconnected.'); });
+}, e => {
+    if (e.code === 'NOT_FOUND') console.log(`\nTimeout: "${targetName}" not found within ${SCAN_TIMEOUT / 1000}s.`);
+    else if (e.code === 'BLE_STATE' || e.code === 'AMBIGUOUS') console.error(e.message);
+    else console.error('Connect error:', e.message);
+    process.exit(1);
 });
 
-async function handleDevice(peripheral, deviceName, services, characteristics) {
-    const db           = await loadProfilesMaybeUpdate();
-    const serviceUuids = services.map(s => normUuid(s.uuid));
-    const chars        = characteristics.map(c => ({
-        uuid:       normUuid(c.uuid),
-        properties: c.properties,
-        _char:      c,
-    }));
+/**
+ * Several devices fit the target: list them, then --pick, the answers file
+ * ("device": N) or a prompt says which one.
+ */
+async function chooseDevice(list) {
+    console.log(`${list.length} devices match "${targetName}":\n`);
+    list.forEach((d, i) => console.log(`  ${String(i + 1).padStart(2)}. ${deviceLine(devices.record(d))}  ${d.address || d.id}`));
+    console.log('');
+    const ambiguous = message => Object.assign(new Error(message), { code: 'AMBIGUOUS' });
+
+    if (pickIndex !== null) {
+        if (pickIndex > list.length) throw ambiguous(`--pick ${pickIndex}: only ${list.length} devices match.`);
+        return pickIndex - 1;
+    }
+    const prompter = new Prompter(promptOpts());
+    if (prompter.interactive && !process.stdin.isTTY) {
+        throw ambiguous('Choose one with --pick <N>, or give its address instead of the name.');
+    }
+    const answer = await prompter.text('device', `Which one? [1-${list.length}]: `);
+    prompter.close();
+    const n = Number(answer);
+    if (!(Number.isInteger(n) && n >= 1 && n <= list.length)) {
+        throw ambiguous('No device chosen — use --pick <N>, or give its address instead of the name.');
+    }
+    return n - 1;
+}
+
+async function handleDevice(printer) {
+    const { db }       = await loadProfilesMaybeUpdate();
+    const { peripheral, name: deviceName } = printer;
+    const serviceUuids = printer.services;
+    const chars        = printer.characteristics;
 
     // ── GATT dump ─────────────────────────────────────────────────────────────
 
@@ -406,37 +771,39 @@ async function handleDevice(peripheral, deviceName, services, characteristics) {
     chars.forEach(c => console.log(`  ${c.uuid}  [${c.properties.join(', ')}]`));
     console.log();
 
-    // ── Device Information Service (180a) — always read if present ────────────
+    // ── Device Information Service (180a) + profile matching ──────────────────
 
-    const DIS_CHARS = { '2a29': 'manufacturer', '2a24': 'model', '2a26': 'firmware', '2a25': 'serial' };
-    const deviceInfo = {};
-    const disChars   = chars.filter(c => DIS_CHARS[c.uuid]);
+    const { deviceInfo, matches: ranked } = await printer.identify({ db });
+    if (Object.keys(deviceInfo).length) {
+        console.log('Device info (180a):');
+        for (const [k, v] of Object.entries(deviceInfo)) console.log(`  ${k.padEnd(12)} ${v}`);
+        console.log();
+    }
 
-    if (disChars.length) {
-        for (const c of disChars) {
-            const val = await new Promise(resolve => {
-                c._char.read((err, data) => resolve(err ? null : data?.toString('utf8').replace(/\0/g, '').trim()));
-            });
-            if (val) deviceInfo[DIS_CHARS[c.uuid]] = val;
-        }
-        if (Object.keys(deviceInfo).length) {
-            console.log('Device info (180a):');
-            for (const [k, v] of Object.entries(deviceInfo)) console.log(`  ${k.padEnd(12)} ${v}`);
-            console.log();
+    // --protocol: another endpoint of the best match
+    if (protocolArg && ranked.length) {
+        try {
+            ranked[0] = { ...ranked[0], profile: printer.use(ranked[0].profile.id, { protocol: protocolArg }).profile };
+        } catch (e) {
+            if (e.code !== 'NO_PROFILE') throw e;
+            console.log(`✗ ${e.message} — using ${ranked[0].profile.protocol}.\n`);
         }
     }
 
-    // ── Profile matching — all matches ────────────────────────────────────────
+    // ── Matches, ranked by confidence ─────────────────────────────────────────
 
-    const matches   = matchAllProfiles(serviceUuids, db);
+    const matches   = ranked.map(r => r.profile);
     const writable  = chars.filter(c => c.properties.includes('write') || c.properties.includes('writeWithoutResponse'));
     const notifyable = chars.filter(c => c.properties.includes('notify'));
 
     if (matches.length) {
-        console.log(`✓ ${matches.length === 1 ? 'Matches profile' : `Matches ${matches.length} profiles`}:`);
-        for (const m of matches) {
-            console.log(`  [${m.id}]  ${m.name}`);
+        console.log(`✓ ${matches.length === 1 ? 'Matches profile' : `Matches ${matches.length} profiles, best first`}:`);
+        for (const { profile: m, confidence, reasons } of ranked) {
+            console.log(`  [${m.id}]  ${m.name}  — ${pct(confidence)}`);
             console.log(`    Protocol: ${m.protocol}  |  ${m.paper.widthMm}mm / ${m.paper.widthPx}px  |  chunk ${m.ble.chunkSize}b/${m.ble.chunkDelay}ms  MTU: ${m.ble.mtu}`);
+            console.log(`    Why:      ${reasons.join(', ')}`);
+            const speaks = deviceEndpoints(m.id, db, chars);
+            if (speaks.length > 1) console.log(`    Speaks:   ${speaks.map(e => e.protocol === m.protocol ? `${e.protocol} (in use)` : e.protocol).join(', ')}`);
             if (m.notes) console.log(`    Notes:    ${m.notes}`);
         }
     } else {
@@ -447,13 +814,12 @@ async function handleDevice(peripheral, deviceName, services, characteristics) {
 
     const primary = matches[0] || null;
     let snippet;
+    let failed = false;   // a job or query asked for didn't go through — exit 1 so scripts can tell
 
     if (primary) {
-        snippet = { printer: { transport: 'ble', ble: { deviceName, activeProfile: primary.id } } };
-        if (matches.length > 1) {
-            snippet._allProfiles = matches.map(m => m.id);
-            snippet._note        = `Device supports ${matches.length} profiles. Change activeProfile to switch.`;
-        }
+        snippet = { printer: appConfig.printerBlock({ deviceName, profileId: primary.id, protocol: primaryProtocol(primary, db, chars) }) };
+        const speaks = deviceEndpoints(primary.id, db, chars).map(e => e.protocol);
+        if (speaks.length > 1) snippet._note = `[${primary.id}] speaks ${speaks.join(' and ')} on this device. Change protocol to switch.`;
     } else {
         snippet = {
             deviceName,
@@ -465,38 +831,128 @@ async function handleDevice(peripheral, deviceName, services, characteristics) {
         };
     }
 
+    // ── --status mode ─────────────────────────────────────────────────────────
+
+    if (statusMode) {
+        if (!primary) {
+            console.log('\n--status requires an identified profile. Run without --status first to confirm the profile.');
+            failed = true;
+        } else {
+            try {
+                const st = await printer.status();
+                console.log(`\nPrinter status via [${primary.id}] (${primary.protocol}):`);
+                printStatus(st);
+            } catch (e) {
+                if (!e.code) throw e;
+                console.log(`\n✗ ${e.message}.`);
+                failed = true;
+            }
+        }
+    }
+
     // ── --print mode ──────────────────────────────────────────────────────────
 
     if (printMode) {
         if (!primary) {
             console.log('\n--print requires an identified profile. Run without --print first to confirm the profile.');
+            failed = true;
         } else {
             console.log(`\nSending test print via [${primary.id}] (${primary.protocol})...`);
-            const writeCharObj  = chars.find(c => normUuid(c.uuid) === normUuid(primary.ble.writeCharUuid));
-            const notifyCharObj = primary.ble.notifyCharUuid
-                ? chars.find(c => normUuid(c.uuid) === normUuid(primary.ble.notifyCharUuid))
-                : null;
+            if (await printJob(printer, jobs.testStages(primary))) console.log('✓ Test print sent — check printer.');
+            else failed = true;
+        }
+    }
 
-            if (!writeCharObj) {
-                console.log(`✗ Write characteristic ${primary.ble.writeCharUuid} not found on device.`);
-            } else {
-                const run = async () => {
-                    if (primary.protocol === 'd1') {
-                        await runStages(writeCharObj._char, d1TestStages());
-                    } else {
-                        await runStages(writeCharObj._char, escPosPrintBuffer(primary.ble.chunkSize, primary.ble.chunkDelay));
-                    }
-                    console.log('✓ Test print sent — check printer.');
-                };
-
-                if (notifyCharObj) {
-                    await new Promise(resolve => notifyCharObj._char.subscribe(() => resolve()));
-                }
-                await run();
+    // ── --print-image mode ────────────────────────────────────────────────────
+
+    if (sourceImage) {
+        if (!primary) {
+            console.log('\n--print-image requires an identified profile. Run without --print-image first to confirm the profile.');
+            failed = true;
+        } else {
+            const bitmap = image.toBitmap(sourceImage, primary.paper.widthPx, { dither: ditherMode });
+            console.log(`\nPrinting ${path.basename(imagePath)} (${bitmap.width}×${bitmap.height}px, ${ditherMode}) via [${primary.id}] (${primary.protocol})...`);
+            if (await printJob(printer, jobs.imageStages(primary, bitmap))) console.log('✓ Image sent — check printer.');
+            else failed = true;
+        }
+    }
+
+    // ── --text mode ───────────────────────────────────────────────────────────
+
+    if (textInput !== null) {
+        if (!primary) {
+            console.log('\n--text requires an identified profile. Run without --text first to confirm the profile.');
+            failed = true;
+        } else {
+            const lines  = text.layout(textInput, primary.paper.widthPx, textStyle);
+            const stages = jobs.textStages(primary, textInput, textStyle);
+            const how    = stages.some(s => s.name === 'text') ? 'native text' : 'bitmap font';
+            console.log(`\nPrinting ${lines.length} line(s) of text (${how}, ${text.columns(primary.paper.widthPx)} columns) via [${primary.id}] (${primary.protocol})...`);
+            if (await printJob(printer, stages)) console.log('✓ Text sent — check printer.');
+            else failed = true;
+        }
+    }
+
+    // ── --qr / --barcode mode ─────────────────────────────────────────────────
+
+    if (codeInput) {
+        const flag = codeInput.qr ? '--qr' : '--barcode';
+        if (!primary) {
+            console.log(`\n${flag} requires an identified profile. Run without ${flag} first to confirm the profile.`);
+            failed = true;
+        } else {
+            const { code } = codeInput;
+            const native   = primary.protocol === 'escpos' && !codeStyle.raster && jobs.can(primary, codeInput.qr ? 'qr' : 'barcode');
+            let stages = null;
+            try {
+                stages = codeInput.qr ? jobs.qrStages(primary, codeInput.qr, codeStyle)
+                       : jobs.barcodeStages(primary, codeInput.barcode, codeInput.data, codeStyle);
+            } catch (e) {
+                console.log(`\n✗ ${e.message}`);
+                failed = true;
             }
+            if (stages) {
+                const what = codeInput.qr ? `QR code (version ${code.version}, ${code.size}×${code.size} modules, level ${code.ec})`
+                           : `${code.type} barcode "${code.text}"`;
+                const how  = native ? (codeInput.qr ? 'native GS ( k' : 'native GS k') : 'bitmap';
+                console.log(`\nPrinting ${what} (${how}) via [${primary.id}] (${primary.protocol})...`);
+                if (await printJob(printer, stages)) console.log(`✓ ${codeInput.qr ? 'QR code' : 'Barcode'} sent — check printer.`);
+                else failed = true;
+            }
+        }
+    }
+
+    // ── --benchmark mode ──────────────────────────────────────────────────────
+
+    if (benchmarkMode) {
+        if (!primary) {
+            console.log('\n--benchmark requires an identified profile. Run without --benchmark first to confirm the profile.');
+            failed = true;
+        } else if (primary.protocol === 'unknown') {
+            console.log(`\n✗ [${primary.id}] has no known protocol — nothing to benchmark with.`);
+            failed = true;
+        } else if (!printer.writeChar) {
+            console.log(`✗ Write characteristic ${primary.ble.writeCharUuid} not found on device.`);
+            failed = true;
+        } else if (!(await runBenchmark(printer, primary))) {
+            failed = true;
         }
     }
 
+    // ── --serve mode ──────────────────────────────────────────────────────────
+
+    if (serveMode) {
+        if (!primary) {
+            console.log('\n--serve requires an identified profile. Run without --serve first to confirm the profile.');
+        } else if (!printer.writeChar) {
+            console.log(`✗ Write characteristic ${primary.ble.writeCharUuid} not found on device.`);
+        } else if (await runServer(printer, primary)) {
+            return; // runs until Ctrl-C
+        }
+        await printer.disconnect();
+        process.exit(1);
+    }
+
     // ── --discover mode ───────────────────────────────────────────────────────
 
     if (discoverMode) {
@@ -508,12 +964,12 @@ async function handleDevice(peripheral, deviceName, services, characteristics) {
 
     printSnippet(deviceName, snippet);
 
-    if (saveMode) {
+    if (saveMode && !benchmarkMode) {
         if (primary) {
             console.log(`Profile "${primary.id}" already in database — no change.`);
         } else {
             const newId = deviceName.toLowerCase().replace(/[^a-z0-9]/g, '_').slice(0, 24);
-            db.profiles[newId] = {
+            const entry = {
                 id:                newId,
                 name:              `${deviceName} (community)`,
                 deviceNamePattern: deviceName,
@@ -527,24 +983,271 @@ async function handleDevice(peripheral, deviceName, services, characteristics) {
                 paper:  { widthPx: 384, widthMm: 58 },
                 notes:  'Auto-discovered. Protocol unknown.',
             };
-            saveProfiles(db);
-            console.log(`✓ Saved profile "${newId}" to profiles.json`);
+            const errors = validateProfiles({ version: 1, profiles: { [newId]: entry } });
+            if (errors.length) {
+                console.log(`✗ Not saved — profile "${newId}" would be invalid:`);
+                errors.forEach(e => console.log(`    ${formatError(e)}`));
+            } else {
+                profiles.saveUser(entry);
+                console.log(`✓ Saved profile "${newId}" to ${profiles.USER_PATH}`);
+                console.log('  Protocol and paper are placeholders — --discover --save finds the real ones.');
+            }
         }
     }
 
-    peripheral.disconnect(() => process.exit(0));
+    if (configPath) {
+        if (primary) writeConfig(deviceName, printer.address, primary.id, primaryProtocol(primary, db, chars));
+        else console.log(`✗ Nothing written to ${configPath} — no profile matches. --discover --save --write-config builds one.`);
+    }
+
+    printer.disconnect().then(() => process.exit(failed ? 1 : 0));
+}
+
+/** Merge the printer block for this device into the --write-config file. */
+function writeConfig(deviceName, address, profileId, protocol = null) {
+    const block = appConfig.printerBlock({ deviceName, address, profileId, protocol });
+    try {
+        appConfig.write(configPath, appConfig.setPrinter(appConfig.read(configPath), block, configName));
+    } catch (e) {
+        console.log(`✗ Cannot write ${configPath}: ${e.message}`);
+        return;
+    }
+    console.log(`✓ ${configName === null ? '"printer"' : `"printers.${configName}"`} → [${profileId}] written to ${configPath}`);
+}
+
+/** Printer preflight for a CLI job. False, after saying why, when the printer refuses the job. */
+async function preflight(printer) {
+    try {
+        await printer.preflight({ force: forceMode });
+        return true;
+    } catch (e) {
+        if (e.code !== 'PAPER_OUT') throw e;
+        console.log('✗ Printer reports no paper — not printing. Load paper, or use --force to print anyway.');
+        return false;
+    }
+}
+
+/** Preflight, then send `stages` with progress. False if nothing was sent. */
+async function printJob(printer, stages) {
+    if (!printer.writeChar) {
+        console.log(`✗ Write characteristic ${printer.profile.ble.writeCharUuid} not found on device.`);
+        return false;
+    }
+    if (!(await preflight(printer))) return false;
+
+    // Ctrl-C stops the job with the protocol's stop sequence; a second one quits at once
+    const stop = new AbortController();
+    const onSigint = () => {
+        if (stop.signal.aborted) process.exit(130);
+        console.log('\nStopping — sending the stop sequence (Ctrl-C again to quit now)...');
+        stop.abort();
+    };
+    process.on('SIGINT', onSigint);
+    const t0 = Date.now();
+    try {
+        await printer.send(stages, { ...jobProgress(), onDrop, signal: stop.signal });
+    } catch (e) {
+        if (e.code !== 'ABORTED' && e.code !== 'LINK_LOST') throw e;
+        console.log(e.code === 'ABORTED' ? '✗ Print stopped.' : `✗ ${e.message}.`);
+        if (printer.connected) await printer.disconnect();
+        process.exit(e.code === 'ABORTED' ? 130 : 1);
+    } finally {
+        process.removeListener('SIGINT', onSigint);
+    }
+    const bytes = stages.reduce((n, s) => n + s.buf.length, 0);
+    console.log(`  ${size(bytes)} in ${((Date.now() - t0) / 1000).toFixed(1)}s`);
+    return true;
+}
+
+// ── Print server ──────────────────────────────────────────────────────────────
+
+/** --serve: share the printer until Ctrl-C. False if it couldn't listen. */
+async function runServer(printer, profile) {
+    const server = new PrintServer(printer, {
+        host: serveHost, rawPort, httpPort,
+        print: { force: forceMode, onDrop, dither: ditherMode },
+    });
+    let ports;
+    try { ports = await server.listen(); }
+    catch (e) {
+        console.log(`✗ Cannot listen on ${serveHost}: ${e.message}`);
+        return false;
+    }
+
+    const where = serveHost === '0.0.0.0' ? '<this host>' : serveHost;
+    console.log(`\nServing [${profile.id}] (${profile.protocol}), jobs print one at a time. Ctrl-C to stop.`);
+    if (ports.raw)  console.log(`  raw TCP  ${where}:${ports.raw}                 e.g. nc ${where} ${ports.raw} < receipt.bin`);
+    if (ports.http) console.log(`  HTTP     http://${where}:${ports.http}/print    POST image/png, text/plain or raw bytes; GET /status`);
+    console.log('');
+
+    const time = () => new Date().toTimeString().slice(0, 8);
+    const what = job => `#${job.id} ${job.source}${job.client ? ` ${job.client}` : ''} ${job.kind || 'job'}${job.bytes ? ` ${size(job.bytes)}` : ''}`;
+    server.on('queued', job => { if (server.pending > 1) console.log(`${time()}  ${what(job)} queued, ${server.pending - 1} ahead`); });
+    server.on('start',  job => console.log(`${time()}  ${what(job)} ...`));
+    server.on('done',   job => console.log(`${time()}  ${what(job)} ✓ ${(job.ms / 1000).toFixed(1)}s`));
+    server.on('failed', job => console.log(`${time()}  ${what(job)} ✗ ${job.error.message}`));
+
+    // Ctrl-C: stop listening, stop the current job cleanly, disconnect; a second one quits at once
+    let stopping = false;
+    process.on('SIGINT', async () => {
+        if (stopping) process.exit(130);
+        stopping = true;
+        console.log('\nStopping the server...');
+        await server.close();
+        await server.tail;
+        if (printer.connected) await printer.disconnect();
+        process.exit(0);
+    });
+    return true;
+}
+
+// ── Benchmark ─────────────────────────────────────────────────────────────────
+
+const CONFIRM_RUNS = 2; // extra runs the winning setting must survive
+
+const kbps = r => `${(bench.rate(r) / 1024).toFixed(1)} KB/s`;
+
+/**
+ * The profile as stored, with link settings `tuned` written where this
+ * unit's current ones come from: the last matching override that sets any,
+ * else the endpoint in use, else the profile's own `ble`. Inherited
+ * overrides and endpoints are copied in to be changed.
+ */
+function withLink(printer, profile, tuned) {
+    const stored = printer.db?.profiles[profile.id];
+    if (!stored) return { ...profile, ble: { ...profile.ble, ...tuned } };
+    const entry  = JSON.parse(JSON.stringify(stored));
+    const merged = inherit(stored, printer.db);
+    const tune   = (list, i) => list.map((x, n) => n === i ? { ...x, ble: { ...x.ble, ...tuned } } : x);
+
+    const applied = overridesFor(merged, printer.deviceInfo).filter(o => Object.keys(tuned).some(k => o.ble?.[k] !== undefined));
+    const end     = endpoints(merged).findIndex(e => e.protocol === profile.protocol && e.ble.writeCharUuid === profile.ble.writeCharUuid);
+    if (applied.length)  entry.overrides = tune(merged.overrides, merged.overrides.indexOf(applied[applied.length - 1]));
+    else if (end > 0)    entry.endpoints = tune(merged.endpoints, end - 1);
+    else                 entry.ble       = { ...entry.ble, ...tuned };
+    return entry;
+}
+
+function printTrial(r) {
+    const cols = `${String(r.chunk).padStart(5)}b  ${String(r.delay).padStart(4)}ms  ${String(r.ms).padStart(6)}ms  ${kbps(r).padStart(10)}`;
+    console.log(`  ${cols}  ${r.ok ? '✓' : `✗ ${r.reason}`}`);
+}
+
+/** Tune the link settings of `profile` on this printer. False when no setting could be trusted or saved. */
+async function runBenchmark(printer, profile) {
+    const { writeChar, notifyChar } = printer;
+
+    console.log(`\n${LINE}`);
+    console.log(`BENCHMARK  [${profile.id}] (${profile.protocol})`);
+    console.log(`${LINE}\n`);
+
+    // Integrity: only trust status replies if the printer answered one before we started
+    if (!(await preflight(printer))) return false;
+    const st = await printer.status().catch(() => null);
+    const checkStatus = !!st?.raw.length;
+    console.log(checkStatus
+        ? 'Integrity check: status reply after every job.'
+        : 'Integrity check: none available — inspect the printed strips.');
+
+    // MTU — zero bytes are ignored by every supported protocol
+    const probe = len => new Promise(resolve => writeChar.write(Buffer.alloc(len), true, err => resolve(!err)));
+    const found = await bench.negotiateMtu(probe, { negotiated: printer.mtu });
+    const max   = bench.maxPayload(found || bench.MTU_STEPS[0]);
+    console.log(found
+        ? `MTU: ${found} (stack negotiated ${printer.mtu}) — up to ${max} bytes per write.\n`
+        : `MTU: not reported by the BLE stack — trying up to ${max} bytes per write; the largest chunk that prints sets it.\n`);
+
+    const trial = (chunk, delay) => bench.runTrial(profile, writeChar, notifyChar, checkStatus, chunk, delay);
+
+    console.log('  chunk   delay      time        rate');
+    console.log('  Current profile settings:');
+    const current = await trial(profile.ble.chunkSize, profile.ble.chunkDelay);
+    printTrial(current);
+    console.log('  Sweep:');
+    const results = await bench.sweep(trial, { sizes: bench.chunkSizes(max), onResult: printTrial });
+
+    // The winner has to hold up a few more times before we believe it
+    let best = null;
+    for (const candidate of bench.ranking([current, ...results])) {
+        console.log(`  Confirming ${candidate.chunk}b / ${candidate.delay}ms:`);
+        let held = true;
+        for (let n = 0; n < CONFIRM_RUNS && held; n++) {
+            const r = await trial(candidate.chunk, candidate.delay);
+            printTrial(r);
+            held = r.ok;
+        }
+        if (held) { best = candidate; break; }
+    }
+
+    console.log();
+    if (!best) {
+        console.log('✗ No setting was reliable — not even the current one. Check the connection and paper, then retry.');
+        return false;
+    }
+    // Without a stack MTU only trials that were checked prove a chunk size: with
+    // no status replies that is the winner, whose strips the user checks below
+    const mtu     = found || bench.provenMtu(checkStatus ? [current, ...results] : [best]);
+    const speedup = bench.rate(best) / bench.rate(current);
+    console.log(`Fastest reliable: ${best.chunk}b / ${best.delay}ms, MTU ${mtu}${found ? '' : ' (from the trials)'} — ${kbps(best)}`);
+    if (current.ok) console.log(`Current:          ${current.chunk}b / ${current.delay}ms, MTU ${profile.ble.mtu} — ${kbps(current)} (${speedup.toFixed(1)}× slower)`);
+
+    const prompter = new Prompter(promptOpts());
+    const clean = await prompter.confirm(['benchmark', 'ok'], '\nDid the last strips print cleanly — no gaps, shifted or garbled rows? (y/n): ');
+    prompter.close();
+    if (!clean) {
+        console.log('Not using the result. Retry after checking the paper path, or keep the current settings.');
+        return false;
+    }
+
+    const tuned = { chunkSize: best.chunk, chunkDelay: best.delay, mtu };
+    if (!saveMode) {
+        console.log(`\nTuned "ble" values: ${JSON.stringify(tuned)}`);
+        console.log('Run with --save to write them into your copy of the profile (profiles.user.json).');
+        return true;
+    }
+    const entry  = withLink(printer, profile, tuned);
+    const errors = validateProfiles({ version: 1, profiles: { [profile.id]: entry } }, printer.db).filter(e => !e.warning);
+    if (errors.length) {
+        console.log(`✗ Not saved — profile "${profile.id}" would be invalid:`);
+        errors.forEach(e => console.log(`    ${formatError(e)}`));
+        return false;
+    }
+    profiles.saveUser(entry);
+    console.log(`✓ Saved ${best.chunk}b / ${best.delay}ms, MTU ${mtu} to profile "${profile.id}" in ${profiles.USER_PATH}`);
+    return true;
+}
+
+// ── Label stock ───────────────────────────────────────────────────────────────
+
+// Niimbot printers write and notify on one characteristic (the PT-210's UUID)
+const NIIMBOT_CHAR = 'bef8d6c9-9c21-4c9e-b632-bd58c1009f9f';
+
+/** "40x30" → { widthMm: 40, heightMm: 30 }; null for "roll", an empty or an unreadable answer. */
+function parseLabelSize(answer) {
+    const m = /^\s*(\d+(?:\.\d+)?)\s*[x×*]\s*(\d+(?:\.\d+)?)\s*(?:mm)?\s*$/i.exec(answer || '');
+    if (!m) {
+        if (answer && !/^\s*roll\s*$/i.test(answer)) console.log(`  "${answer}" isn't WIDTHxHEIGHT — assuming a paper roll.`);
+        return null;
+    }
+    return { widthMm: parseFloat(m[1]), heightMm: parseFloat(m[2]) };
 }
 
+/** A profile's paper.label for die-cut labels of `size`, null for a roll. */
+const labelStock = size => size ? { heightMm: size.heightMm, type: 'gap' } : null;
+
 // ── Discovery flow — unified: always probe, known or not ─────────────────────
 // The user told us it's a printer. Our job: find what actually works on it.
 // 1. Show what we already know (profile matches)
-// 2. Try known protocol chars first (test print)
-// 3. Probe any remaining writable chars (ESC/POS → D1 → GT01)
-// 4. Collect context (model, app, paper width) — pre-filled from 180a where possible
-// 5. Output full discovery document + GitHub URL
+// 2. Ask every writable char for its status — the replies name the protocol
+//    without printing, so this works for someone who can't see the printer
+// 3. Test-print on known protocol chars the replies didn't confirm
+// 4. Probe any remaining writable chars with test prints (ESC/POS → D1 → GT01 → Phomemo → Niimbot)
+// 5. Print a ruler to measure the real printable width and offset
+// 6. Collect context (model, app, paper width) — pre-filled from 180a where possible
+// 7. Output full discovery document + GitHub URL
 
 async function runDiscoveryFlow(peripheral, deviceName, serviceUuids, chars, writable, notifyable, matches, db, deviceInfo) {
-    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const prompter = new Prompter(promptOpts());
 
     console.log(`\n${LINE}`);
     console.log('DISCOVERY');
@@ -553,23 +1256,76 @@ async function runDiscoveryFlow(peripheral, deviceName, serviceUuids, chars, wri
     // ── Context questions (pre-fill from 180a where possible) ────────────────
 
     const modelDefault   = deviceInfo.model        ? ` (Enter for "${deviceInfo.model}")` : ' (or Enter to skip)';
-    const modelNumber    = await ask(rl, `Model number from sticker${modelDefault}: `) || deviceInfo.model || null;
-    const brandName      = await ask(rl, 'Brand name on the box/packaging (e.g. Peripage, Phomemo, HPRT, or skip): ');
-    const paperWidthMm   = await ask(rl, 'Paper roll width in mm — 58 or 80 (Enter for 58): ') || '58';
-    const appName        = await ask(rl, 'App used to print from phone (e.g. iPrint, PrinterOn, or skip): ');
-
-    // ── Phase 1: test known matched protocols ─────────────────────────────────
+    const brandDefault   = deviceInfo.manufacturer ? `Enter for "${deviceInfo.manufacturer}"` : 'or skip';
+    const modelNumber    = await prompter.text('model', `Model number from sticker${modelDefault}: `, deviceInfo.model || null);
+    const brandName      = await prompter.text('brand', `Brand name on the box/packaging (e.g. Peripage, Phomemo, HPRT, ${brandDefault}): `, deviceInfo.manufacturer || null);
+    // The best match's paper is the likely answer; 58 mm roll when nothing matched
+    const paper          = matches[0]?.paper;
+    const labelDefault   = paper?.label ? `${paper.widthMm}x${paper.label.heightMm}` : null;
+    const rollDefault    = String(!paper?.label && paper?.widthMm || 58);
+    const labelSize      = parseLabelSize(await prompter.text('label', `Label printer? Label size in mm as WIDTHxHEIGHT, e.g. 40x30 (${labelDefault
+                               ? `Enter for ${labelDefault}, "roll" for a paper roll` : 'Enter for a paper roll'}): `, labelDefault));
+    const paperWidthMm   = labelSize ? String(labelSize.widthMm)
+                         : await prompter.text('paperWidthMm', `Paper roll width in mm — 58 or 80 (Enter for ${rollDefault}): `, rollDefault);
+    const appName        = await prompter.text('app', 'App used to print from phone (e.g. iPrint, PrinterOn, or skip): ');
+    const widthMm        = parseInt(paperWidthMm, 10) || 58;
+    const probeWidthPx   = paperWidthPx(widthMm, !!labelSize);   // test prints sized to the answer until the ruler says better
+
+    // ── Phase 0: status queries — nothing printed, nobody needs to watch ──────
 
     const probingResults  = {};
-    const confirmedChars  = []; // { uuid, protocol }
+    const confirmedChars  = []; // { uuid, protocol, confirmedBy: 'status' | 'print', notifyCharUuid? }
+    const detected        = {}; // uuid → protocol named by its status replies
     let testN = 0; // global test counter so each print has a unique label
 
-    if (matches.length) {
-        console.log(`\nKnown profile(s) matched: ${matches.map(m => m.id).join(', ')}`);
-        console.log('Sending one test print per protocol — watch the paper.\n');
+    if (detectMode && writable.length) {
+        console.log(`\n${LINE}`);
+        console.log(`DETECTING — status queries on ${writable.length} writable char(s), nothing is printed\n`);
+        const notifyChars = notifyable.map(c => c._char);
+        for (const c of writable) {
+            const r = await detect(c._char, notifyChars);
+            if (r.error) {
+                console.log(`  ✗ ${c.uuid}: write error (${r.error})`);
+                probingResults[c.uuid] = { detect: 'write_error' };
+            } else if (!r.protocol) {
+                console.log(`  ? ${c.uuid}: no reply`);
+                probingResults[c.uuid] = { detect: 'no_response' };
+            } else {
+                console.log(`  ✓ ${c.uuid}: ${r.protocol} — replies on ${r.notifyCharUuid} to ${r.answered.join(', ')}`);
+                probingResults[c.uuid] = { detect: r.protocol, notifyCharUuid: r.notifyCharUuid, answered: r.answered };
+                detected[c.uuid] = r;
+            }
+        }
     }
+    const confirmDetected = (uuid, protocol) => {
+        if (detected[uuid]?.protocol !== protocol) return false;
+        if (!confirmedChars.some(c => c.uuid === uuid)) {
+            confirmedChars.push({ uuid, protocol, confirmedBy: 'status', notifyCharUuid: detected[uuid].notifyCharUuid });
+        }
+        return true;
+    };
+
+    // ── Phase 1: test known matched protocols ─────────────────────────────────
+    // Only the ones the status replies didn't already confirm
 
+    const untested = [];
     for (const m of matches) {
+        const uuid = normUuid(m.ble.writeCharUuid);
+        if (detected[uuid] && detected[uuid].protocol !== m.protocol) {
+            console.log(`  [${m.id}] skipped — status replies say ${detected[uuid].protocol}, not ${m.protocol}`);
+            continue;
+        }
+        if (!confirmDetected(uuid, m.protocol)) { untested.push(m); continue; }
+        probingResults[uuid].profile = m.id;
+        console.log(`  [${m.id}] confirmed by status replies — no test print needed`);
+    }
+
+    if (untested.length) {
+        console.log(`\nKnown profile(s) matched: ${untested.map(m => m.id).join(', ')}`);
+        console.log('Sending one test print per protocol — watch the paper.\n');
+    }
+
+    for (const m of untested) {
         const writeCharObj  = chars.find(c => c.uuid === normUuid(m.ble.writeCharUuid));
         const notifyCharObj = m.ble.notifyCharUuid ? chars.find(c => c.uuid === normUuid(m.ble.notifyCharUuid)) : null;
         if (!writeCharObj) { console.log(`  [${m.id}] write char not found — skipping`); continue; }
@@ -579,29 +1335,25 @@ async function runDiscoveryFlow(peripheral, deviceName, serviceUuids, chars, wri
         console.log(`  Sending ${label} via [${m.id}] (${writeCharObj.uuid})...`);
 
         const go = async () => {
-            if (m.protocol === 'd1') {
-                await runStages(writeCharObj._char, d1TestStages()).catch(() => {});
-            } else {
-                await runStages(writeCharObj._char, escPosPrintBuffer(m.ble.chunkSize, m.ble.chunkDelay, label)).catch(() => {});
-            }
+            await runStages(writeCharObj._char, jobs.testStages(m, label), STAGE_LOG).catch(() => {});
         };
         if (notifyCharObj) await new Promise(r => notifyCharObj._char.subscribe(() => r()));
         await go();
         await new Promise(r => setTimeout(r, 1500)); // let printer flush before asking
 
-        const confirmQ = m.protocol === 'd1'
-            ? `  ${label}: Did a black rectangular border print on the paper? (y/n): `
+        const confirmQ = jobs.RASTER_PROTOCOLS.includes(m.protocol)
+            ? `  ${label}: Did a black rectangular border print on the ${m.paper.label ? 'label' : 'paper'}? (y/n): `
             : `  ${label}: Did the text "${label}" appear on the paper? (y/n): `;
-        const r = await ask(rl, confirmQ);
-        const worked = r.toLowerCase().startsWith('y');
-        probingResults[writeCharObj.uuid] = { protocol: m.protocol, profile: m.id, result: worked ? 'printed' : 'no_response' };
-        if (worked) confirmedChars.push({ uuid: writeCharObj.uuid, protocol: m.protocol });
+        const worked = await prompter.confirm(['print', m.id], confirmQ);
+        probingResults[writeCharObj.uuid] = { ...probingResults[writeCharObj.uuid], protocol: m.protocol, profile: m.id, result: worked ? 'printed' : 'no_response' };
+        if (worked) confirmedChars.push({ uuid: writeCharObj.uuid, protocol: m.protocol, confirmedBy: 'print' });
     }
 
     // ── Phase 2: probe writable chars not covered by a known profile ──────────
 
     const knownWriteUuids = new Set(matches.map(m => normUuid(m.ble.writeCharUuid)));
-    const unprobed        = writable.filter(c => !knownWriteUuids.has(c.uuid));
+    for (const c of writable.filter(c => detected[c.uuid])) confirmDetected(c.uuid, detected[c.uuid].protocol);
+    const unprobed        = writable.filter(c => !knownWriteUuids.has(c.uuid) && !detected[c.uuid]);
 
     if (unprobed.length) {
         console.log(`\n${LINE}`);
@@ -615,16 +1367,15 @@ async function runDiscoveryFlow(peripheral, deviceName, serviceUuids, chars, wri
             const label = `TEST ${testN}`;
             console.log(`  Sending ${label} to ${c.uuid}...`);
             let writeErr = false;
-            await runStages(c._char, escPosPrintBuffer(20, 80, label)).catch(() => { writeErr = true; });
+            await runStages(c._char, jobs.escPosPrintBuffer(20, 80, label), STAGE_LOG).catch(() => { writeErr = true; });
             if (writeErr) {
-                probingResults[c.uuid] = { escPos: 'write_error' };
+                probingResults[c.uuid] = { ...probingResults[c.uuid], escPos: 'write_error' };
                 console.log('  ✗ write error — skipping');
                 continue;
             }
-            const r = await ask(rl, `  ${label}: Did the text "${label}" appear on the paper? (y/n): `);
-            const worked = r.toLowerCase().startsWith('y');
-            probingResults[c.uuid] = { escPos: worked ? 'printed' : 'no_response' };
-            if (worked) confirmedChars.push({ uuid: c.uuid, protocol: 'escpos' });
+            const worked = await prompter.confirm(['probe', 'escpos', c.uuid], `  ${label}: Did the text "${label}" appear on the paper? (y/n): `);
+            probingResults[c.uuid] = { ...probingResults[c.uuid], escPos: worked ? 'printed' : 'no_response' };
+            if (worked) confirmedChars.push({ uuid: c.uuid, protocol: 'escpos', confirmedBy: 'print' });
         }
 
         // Round B — D1 family: full staged test print on ff02.
@@ -636,53 +1387,95 @@ async function runDiscoveryFlow(peripheral, deviceName, serviceUuids, chars, wri
             testN++;
             console.log(`\nRound B: D1 family — sending TEST ${testN} (black rectangular border) via ff02...`);
             let notifyFired = false;
+            const notifyData = [];
             if (ff01) {
-                ff01._char.on('data', () => { notifyFired = true; });
+                ff01._char.on('data', data => { notifyFired = true; notifyData.push(data); });
                 await new Promise(resolve => ff01._char.subscribe(() => resolve()));
                 await new Promise(resolve => setTimeout(resolve, 200));
             }
             let ljErr = false;
-            await runStages(ff02._char, d1TestStages()).catch(() => { ljErr = true; });
+            await runStages(ff02._char, jobs.d1TestStages(200, 30, probeWidthPx), STAGE_LOG).catch(() => { ljErr = true; });
             if (ljErr) {
-                probingResults[ff02.uuid] = { d1: 'write_error' };
+                probingResults[ff02.uuid] = { ...probingResults[ff02.uuid], d1: 'write_error' };
                 console.log('  ✗ write error');
             } else {
                 if (notifyFired) console.log('  Notify received during send.');
-                const r = await ask(rl, `  TEST ${testN}: Did a black rectangular border appear on the paper? (y/n): `);
-                const worked = r.toLowerCase().startsWith('y');
-                probingResults[ff02.uuid] = { d1: worked ? 'printed' : (notifyFired ? 'notify_only' : 'no_response') };
-                if (worked) confirmedChars.push({ uuid: ff02.uuid, protocol: 'd1' });
+                const worked = await prompter.confirm(['probe', 'd1', ff02.uuid], `  TEST ${testN}: Did a black rectangular border appear on the paper? (y/n): `);
+                probingResults[ff02.uuid] = { ...probingResults[ff02.uuid], d1: worked ? 'printed' : (notifyFired ? 'notify_only' : 'no_response') };
+                if (notifyData.length) probingResults[ff02.uuid].notify = decodeStatus('d1', Buffer.concat(notifyData));
+                if (worked) confirmedChars.push({ uuid: ff02.uuid, protocol: 'd1', confirmedBy: 'print' });
             }
         }
 
-        // Round C — GT01: enable + feed command on ae01.
-        // A device-state query packet. If paper advances ~5mm, GT01 protocol confirmed.
+        // Round C — GT01: feed command on ae01.
+        // If paper advances ~5mm (40 dot rows), GT01 protocol confirmed.
         const ae01 = unprobed.find(c => c.uuid === normUuid('ae01'));
         if (ae01 && !confirmedChars.length) {
             testN++;
             console.log(`\nRound C: GT01 — sending TEST ${testN} (feed command) via ae01...`);
-            // GT01 packet: 51 78 [cmd] 00 [len] 00 [data] [CRC8] FF
-            // BD = feedPaper, 01 = 1 line
-            const gt01Feed = Buffer.from([0x51, 0x78, 0xBD, 0x00, 0x01, 0x00, 0x01, 0xBD, 0xFF]);
+            const gt01Feed = gt01.feed(40);
             let gt01Err = false;
             await new Promise(resolve => {
                 sendChunked(ae01._char, gt01Feed, 20, 80, err => { gt01Err = !!err; resolve(); });
             });
             if (gt01Err) {
-                probingResults[ae01.uuid] = { gt01: 'write_error' };
+                probingResults[ae01.uuid] = { ...probingResults[ae01.uuid], gt01: 'write_error' };
+                console.log('  ✗ write error');
+            } else {
+                const worked = await prompter.confirm(['probe', 'gt01', ae01.uuid], `  TEST ${testN}: Did the paper advance by a few millimetres? (y/n): `);
+                probingResults[ae01.uuid] = { ...probingResults[ae01.uuid], gt01: worked ? 'paper_advanced' : 'no_response' };
+                if (worked) confirmedChars.push({ uuid: ae01.uuid, protocol: 'gt01', confirmedBy: 'print' });
+            }
+        }
+
+        // Round D — Phomemo: border test print on ff02, replies on ff03.
+        // The D1 didn't take it; Phomemo's setup commands and label feed differ.
+        if (ff02 && !confirmedChars.length) {
+            testN++;
+            console.log(`\nRound D: Phomemo — sending TEST ${testN} (black rectangular border) via ff02...`);
+            const ff03 = chars.find(c => c.uuid === normUuid('ff03'));
+            const notifyData = [];
+            if (ff03) {
+                ff03._char.on('data', data => notifyData.push(data));
+                await new Promise(resolve => ff03._char.subscribe(() => resolve()));
+            }
+            let phErr = false;
+            await runStages(ff02._char, jobs.phomemoTestStages(20, 80, probeWidthPx, labelStock(labelSize)), STAGE_LOG).catch(() => { phErr = true; });
+            if (phErr) {
+                probingResults[ff02.uuid] = { ...probingResults[ff02.uuid], phomemo: 'write_error' };
+                console.log('  ✗ write error');
+            } else {
+                const worked = await prompter.confirm(['probe', 'phomemo', ff02.uuid], `  TEST ${testN}: Did a black rectangular border appear on the ${labelSize ? 'label' : 'paper'}? (y/n): `);
+                probingResults[ff02.uuid] = { ...probingResults[ff02.uuid], phomemo: worked ? 'printed' : 'no_response' };
+                if (notifyData.length) probingResults[ff02.uuid].notify = decodeStatus('phomemo', Buffer.concat(notifyData));
+                if (worked) confirmedChars.push({ uuid: ff02.uuid, protocol: 'phomemo', confirmedBy: 'print' });
+            }
+        }
+
+        // Round E — Niimbot: border test print on bef8d6c9. Packets, so only
+        // once nothing else worked.
+        const niim = unprobed.find(c => c.uuid === normUuid(NIIMBOT_CHAR));
+        if (niim && !confirmedChars.length) {
+            testN++;
+            console.log(`\nRound E: Niimbot — sending TEST ${testN} (black rectangular border) via ${niim.uuid}...`);
+            let niErr = false;
+            await runStages(niim._char, jobs.niimbotTestStages(20, 80, probeWidthPx, labelStock(labelSize)), STAGE_LOG).catch(() => { niErr = true; });
+            if (niErr) {
+                probingResults[niim.uuid] = { ...probingResults[niim.uuid], niimbot: 'write_error' };
                 console.log('  ✗ write error');
             } else {
-                const r = await ask(rl, `  TEST ${testN}: Did the paper advance by a few millimetres? (y/n): `);
-                const worked = r.toLowerCase().startsWith('y');
-                probingResults[ae01.uuid] = { gt01: worked ? 'paper_advanced' : 'no_response' };
-                if (worked) confirmedChars.push({ uuid: ae01.uuid, protocol: 'gt01' });
+                const worked = await prompter.confirm(['probe', 'niimbot', niim.uuid], `  TEST ${testN}: Did a black rectangular border appear on the ${labelSize ? 'label' : 'paper'}? (y/n): `);
+                probingResults[niim.uuid] = { ...probingResults[niim.uuid], niimbot: worked ? 'printed' : 'no_response' };
+                if (worked) confirmedChars.push({ uuid: niim.uuid, protocol: 'niimbot', confirmedBy: 'print' });
             }
         }
     }
 
     // ── Phase 3: ESC/POS capability tests on first confirmed char ────────────
-    // Only runs if ESC/POS is confirmed. Tests bold, wide, tall, underline.
-    // Each is one print → one unambiguous yes/no question.
+    // Only runs if ESC/POS is confirmed. Tests text styles, alignment,
+    // inverse, raster images, QR codes, barcodes, density, feed and cut.
+    // Each is one print → one unambiguous yes/no question. The answers are
+    // the profile's `capabilities` (see lib/jobs).
 
     const capabilities   = {};
     const escPosConfirmed = confirmedChars.find(c => c.protocol === 'escpos');
@@ -692,20 +1485,61 @@ async function runDiscoveryFlow(peripheral, deviceName, serviceUuids, chars, wri
             console.log(`\n${LINE}`);
             console.log('ESC/POS CAPABILITY TESTS\n');
 
-            const { tests: capTests } = escPosCapabilityTests(testN);
+            const { tests: capTests } = jobs.escPosCapabilityTests(testN);
+            const failed = [];
             for (const t of capTests) {
                 testN = t.testN;
+                if (t.needs && capabilities[t.needs] !== true) {
+                    console.log(`  TEST ${testN}: ${t.key} — skipped, needs ${t.needs}`);
+                    continue;
+                }
                 console.log(`  Sending TEST ${testN}: ${t.key}...`);
                 let err = false;
-                await runStages(writeChar._char, [{ name: t.key, buf: t.buf, chunk: 20, delay: 80, pauseAfter: 500 }])
+                await runStages(writeChar._char, [{ name: t.key, buf: t.buf, chunk: 20, delay: 80, pauseAfter: 500 }], STAGE_LOG)
                     .catch(() => { err = true; });
                 if (err) {
-                    capabilities[t.key] = 'write_error';
+                    failed.push(t.key);
                     console.log('  ✗ write error');
                     continue;
                 }
-                const r = await ask(rl, `  TEST ${testN}: ${t.question}`);
-                capabilities[t.key] = r.toLowerCase().startsWith('y');
+                capabilities[t.key] = await prompter.confirm(['capability', t.key], `  TEST ${testN}: ${t.question}`);
+            }
+            if (failed.length) probingResults[writeChar.uuid] = { ...probingResults[writeChar.uuid], capabilityWriteErrors: failed };
+        }
+    }
+
+    // ── Phase 4: calibration ruler ────────────────────────────────────────────
+    // The roll width answer only says which paper is loaded. A ruler as wide
+    // as the whole roll shows where this head really prints on it: the mm
+    // marks at the paper's edges give the offset and the printable width.
+
+    let calibration = null;
+    const calibrateOn = confirmedChars[0];
+    if (calibrateOn && await prompter.confirm(['calibrate'], `\nPrint a ruler to measure the printable width of the ${labelSize ? 'label' : 'paper'}? (y/n): `)) {
+        const writeChar = chars.find(c => c.uuid === calibrateOn.uuid);
+        const rulerPx   = rulerWidthPx(widthMm);
+        const link      = matches.find(m => m.protocol === calibrateOn.protocol)?.ble || { chunkSize: 20, chunkDelay: 80 };
+        const profile   = {
+            protocol: calibrateOn.protocol,
+            ble:      link,
+            paper:    { widthPx: rulerPx, widthMm, label: labelStock(labelSize) },
+            capabilities,
+        };
+        console.log(`\n${LINE}`);
+        console.log(`CALIBRATION — a ${widthMm} mm ruler with a tick every mm, numbered every 5\n`);
+        let err = false;
+        await runStages(writeChar._char, jobs.imageStages(profile, rulerBitmap(rulerPx)), STAGE_LOG).catch(() => { err = true; });
+        if (err) console.log('  ✗ write error — keeping the width from the roll size');
+        else {
+            const left  = await prompter.text('rulerStartMm', '  At which mm mark does the ruler start on the paper? (Enter for 0 — the solid bar at its left end printed): ', '0');
+            const right = await prompter.text('rulerEndMm', '  At which mm mark does it end at the right edge? (Enter to skip): ');
+            if (right) {
+                try {
+                    calibration = measure(parseFloat(left), parseFloat(right), rulerPx);
+                    console.log(`  Printable width ${calibration.widthPx} dots (${calibration.widthPx / 8} mm)${calibration.offsetPx ? `, ${calibration.offsetPx} dots in from the head's first dot` : ''}`);
+                } catch (e) {
+                    console.log(`  ✗ ${e.message} — keeping the width from the roll size`);
+                }
             }
         }
     }
@@ -718,27 +1552,74 @@ async function runDiscoveryFlow(peripheral, deviceName, serviceUuids, chars, wri
         deviceInfo:      Object.keys(deviceInfo).length ? deviceInfo : null,
         model:           modelNumber || null,
         brand:           brandName   || null,
-        paperWidthMm:    parseInt(paperWidthMm, 10) || 58,
+        paperWidthMm:    widthMm,
+        label:           labelStock(labelSize),
+        calibration,
         app:             appName || null,
         profileMatches:  matches.map(m => m.id),
         confirmedChars:  confirmedChars.length ? confirmedChars : null,
         capabilities:    Object.keys(capabilities).length ? capabilities : null,
         services:        serviceUuids,
-        characteristics: chars.map(c => ({ uuid: c.uuid, properties: c.properties })),
+        characteristics: chars.map(c => ({ uuid: c.uuid, properties: c.properties, service: c.service })),
         probing:         probingResults,
     };
 
-    rl.close();
+    prompter.close();
     printSnippet(deviceName, discovery);
+    if (outputPath) {
+        fs.writeFileSync(outputPath, JSON.stringify(discovery, null, 2) + '\n');
+        console.log(`✓ Discovery document written to ${outputPath}`);
+    }
+    const profileId = saveDiscovered(discovery, matches, db);
+    if (configPath) {
+        if (profileId) writeConfig(deviceName, peripheral.address && peripheral.address !== 'unknown' ? peripheral.address : null, profileId);
+        else console.log(`✗ Nothing written to ${configPath} — the discovered profile is new; add --save so the config can name it.`);
+    }
     console.log('Submit the snippet above via the GitHub link.\n');
     peripheral.disconnect(() => process.exit(0));
 }
 
-} // end else (identify/print/discover)
-
-const scanTimer = setTimeout(() => {
-    if (targetName) {
-        console.log(`\nTimeout: "${targetName}" not found within ${SCAN_TIMEOUT / 1000}s.`);
-        process.exit(1);
+/**
+ * The profile discovery proved (lib/discovery): with --save into your
+ * profiles.user.json, with --patch as a patch for profiles.json, otherwise
+ * just shown. Returns its id when the profile database has it, else null.
+ */
+function saveDiscovered(discovery, matches, db) {
+    const built = buildProfile(discovery, { matches, db });
+    if (!built) {
+        console.log('No write characteristic confirmed — no profile to save.');
+        return null;
+    }
+    const { profile, family, changes } = built;
+    const errors = validateProfiles({ version: 1, profiles: { [profile.id]: profile } }, db).filter(e => !e.warning);
+    if (errors.length) {
+        console.log(`✗ Profile "${profile.id}" from discovery would be invalid:`);
+        errors.forEach(e => console.log(`    ${formatError(e)}`));
+        return null;
+    }
+    const unchanged = family && !changes.length;
+    console.log(unchanged ? `Profile from discovery: [${profile.id}], already in the database.`
+        : `Profile from discovery: ${family ? `[${profile.id}] + ${changes.join(', ')}` : `new profile [${profile.id}]`}`);
+    if (!unchanged) console.log(JSON.stringify(profile, null, 2));
+    const off = jobs.CAPABILITIES.filter(k => profile.capabilities?.[k] === false);
+    if (off.length) console.log(`Not supported on [${profile.id}]: ${off.join(', ')} — printing will use a raster fallback (or leave the command out).`);
+
+    if (patchPath) {
+        const patch = profilesPatch(profile, profiles.PATH);
+        if (!patch) console.log('profiles.json already has this profile — no patch written.');
+        else {
+            fs.writeFileSync(patchPath, patch);
+            console.log(`✓ Patch for profiles.json written to ${patchPath} — apply with: git apply ${patchPath}`);
+        }
     }
-}, SCAN_TIMEOUT);
+    if (unchanged) return profile.id;
+    if (!saveMode) {
+        console.log(`Run with --save to store profile "${profile.id}" in profiles.user.json${patchPath ? '' : ', or --patch <file> for a profiles.json patch'}.`);
+        return family ? family.id : null;
+    }
+    profiles.saveUser(profile);
+    console.log(`✓ Saved profile "${profile.id}" to ${profiles.USER_PATH}`);
+    return profile.id;
+}
+
+} // end else (identify/print/discover)
@@ -0,0 +1,36 @@
+'use strict';
+/**
+ * ble-printer-probe — library entry point. The CLI (cli.js) is built on this.
+ *
+ *   const { scan, connect, Printer, profiles } = require('ble-printer-probe');
+ *
+ *   const printer = await connect('PPS1');          // scan by name (or address), connect
+ *   const { matches } = await printer.identify();   // 180a + ranked profiles
+ *   await printer.print(image.load('logo.png'));    // Buffer | string | image | bitmap | { qr } | { barcode, data }
+ *   console.log(await printer.status());
+ *   await printer.disconnect();
+ *
+ * Every call takes an optional `noble` — pass require('./lib/virtual-printer').createNoble()
+ * to run without Bluetooth hardware.
+ */
+
+const { Scanner, Printer, scan, connect, targetMatcher } = require('./lib/printer');
+const profiles = require('./lib/profiles');
+const image    = require('./lib/image');
+const jobs     = require('./lib/jobs');
+const qr       = require('./lib/qr');
+const barcode  = require('./lib/barcode');
+const status   = require('./lib/status');
+const discovery = require('./lib/discovery');
+const session  = require('./lib/session');
+const devices  = require('./lib/devices');
+const { PrintServer } = require('./lib/server');
+const { normUuid, rankProfiles, effective } = require('./lib/match');
+const { inherit }                           = require('./lib/inherit');
+const { validateProfiles }                  = require('./lib/schema');
+
+module.exports = {
+    scan, connect, targetMatcher, Scanner, Printer, PrintServer,
+    profiles, image, jobs, qr, barcode, status, discovery, session, devices,
+    normUuid, rankProfiles, effective, inherit, validateProfiles,
+};
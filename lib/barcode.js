@@ -0,0 +1,267 @@
+'use strict';
+/**
+ * 1D barcodes — Code 128, Code 39, EAN-13, EAN-8, UPC-A and ITF — as bar
+ * widths, as a bitmap, and as the data of an ESC/POS `GS k` command.
+ *
+ *   const code = barcode.encode('code128', 'SHIP-00042');
+ *   code.bars;                 // module widths, bar first: [2, 1, 1, 2, 3, 2, ...]
+ *   code.text;                 // human-readable line (check digits included)
+ *   barcode.toBitmap(code, 384, { scale: 2, height: 80, hri: 'below' });
+ *
+ * EAN / UPC take the number with or without its check digit; a check digit
+ * that is given must be right. ITF takes an even number of digits.
+ */
+
+const text = require('./text');
+
+const TYPES = ['code128', 'code39', 'ean13', 'ean8', 'upca', 'itf'];
+const HRI   = ['none', 'above', 'below', 'both'];
+const QUIET = 10;   // modules of white either side
+
+// GS k m (format B, length-prefixed) by type
+const ESCPOS_TYPE = { upca: 65, ean13: 67, ean8: 68, code39: 69, itf: 70, code128: 73 };
+
+function barcodeError(message) {
+    return Object.assign(new Error(message), { code: 'BAD_INPUT' });
+}
+
+// ── Code 128 ──────────────────────────────────────────────────────────────────
+// Symbol values 0–106 as bar/space widths; 103–105 start A/B/C, 106 stop
+
+const C128 = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232', '2331112',
+];
+const C128_START = { B: 104, C: 105 };
+const C128_SHIFT = { B: 100, C: 99 };   // "code B" / "code C" from the other set
+const C128_STOP  = 106;
+
+/**
+ * Split Code 128 data into code set B (printable ASCII) and C (digit pairs)
+ * runs: C for four or more digits in a row (two if that is all the data),
+ * leaving an odd digit out in B.
+ */
+function code128Segments(data) {
+    if (!/^[\x20-\x7E]*$/.test(data) || !data) throw barcodeError('Code 128 takes printable ASCII');
+    const segments = [];
+    const push = (set, chars) => {
+        if (!chars) return;
+        const last = segments[segments.length - 1];
+        if (last && last.set === set) last.chars += chars;
+        else segments.push({ set, chars });
+    };
+    for (const run of data.match(/\d+|\D+/g)) {
+        if (!/^\d/.test(run) || run.length < (run === data ? 2 : 4)) { push('B', run); continue; }
+        const odd = run.length % 2;
+        push('B', run.slice(0, odd));
+        push('C', run.slice(odd));
+    }
+    return segments;
+}
+
+function code128(data) {
+    const segments = typeof data === 'string' ? code128Segments(data) : data;
+    const values   = [C128_START[segments[0].set]];
+    segments.forEach((seg, i) => {
+        if (i > 0) values.push(C128_SHIFT[seg.set]);
+        if (seg.set === 'C') for (let k = 0; k < seg.chars.length; k += 2) values.push(Number(seg.chars.slice(k, k + 2)));
+        else for (const ch of seg.chars) values.push(ch.charCodeAt(0) - 32);
+    });
+    values.push(values.reduce((sum, v, i) => sum + v * Math.max(i, 1), 0) % 103, C128_STOP);
+    return {
+        bars:     values.flatMap(v => [...C128[v]].map(Number)),
+        text:     segments.map(s => s.chars).join(''),
+        segments,
+    };
+}
+
+// ── Code 39 ───────────────────────────────────────────────────────────────────
+// Five bars and four spaces per character, three of them wide (1)
+
+const C39_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ-. *$/+%';
+const C39 = [
+    '000110100', '100100001', '001100001', '101100000', '000110001', '100110000', '001110000', '000100101', '100100100', '001100100',
+    '100001001', '001001001', '101001000', '000011001', '100011000', '001011000', '000001101', '100001100', '001001100', '000011100',
+    '100000011', '001000011', '101000010', '000010011', '100010010', '001010010', '000000111', '100000110', '001000110', '000010110',
+    '110000001', '011000001', '111000000', '010010001', '110010000', '011010000', '010000101', '110000100', '011000100', '010010100',
+    '010101000', '010100010', '010001010', '000101010',
+];
+const WIDE = 3;   // Code 39 / ITF wide element, in narrow modules
+
+function code39(data) {
+    if (!data || /[^0-9A-Z\-. $/+%]/.test(data)) throw barcodeError('Code 39 takes 0-9, A-Z, space and - . $ / + %');
+    const bars = [];
+    for (const ch of `*${data}*`) {
+        if (bars.length) bars.push(1);                  // gap between characters
+        for (const w of C39[C39_CHARS.indexOf(ch)]) bars.push(w === '1' ? WIDE : 1);
+    }
+    return { bars, text: data };
+}
+
+// ── EAN / UPC ─────────────────────────────────────────────────────────────────
+
+const EAN_L      = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const EAN_G      = EAN_L.map(p => [...p].map(b => b === '1' ? '0' : '1').reverse().join(''));
+const EAN_R      = EAN_L.map(p => [...p].map(b => b === '1' ? '0' : '1').join(''));
+const EAN_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+/** Check digit for an EAN / UPC number without one. */
+function eanCheck(digits) {
+    const sum = [...digits].reverse().reduce((s, d, i) => s + Number(d) * (i % 2 ? 1 : 3), 0);
+    return String((10 - sum % 10) % 10);
+}
+
+// `digits` with its check digit, given `len` digits without it
+function withCheck(name, digits, len) {
+    if (!new RegExp(`^\\d{${len},${len + 1}}$`).test(digits)) throw barcodeError(`${name} takes ${len} digits, or ${len + 1} with the check digit`);
+    const check = eanCheck(digits.slice(0, len));
+    if (digits.length > len && digits[len] !== check) throw barcodeError(`${name} check digit of ${digits.slice(0, len)} is ${check}, not ${digits[len]}`);
+    return digits.slice(0, len) + check;
+}
+
+// Module pattern string → run lengths, starting with a bar
+function runs(pattern) {
+    return pattern.match(/1+|0+/g).map(r => r.length);
+}
+
+function ean(digits) {
+    const first  = digits.length === 13 ? Number(digits[0]) : null;
+    const body   = first === null ? digits : digits.slice(1);
+    const half   = body.length / 2;
+    const left   = [...body.slice(0, half)].map((d, i) => (first !== null && EAN_PARITY[first][i] === 'G' ? EAN_G : EAN_L)[d]).join('');
+    const right  = [...body.slice(half)].map(d => EAN_R[d]).join('');
+    return runs(`101${left}01010${right}101`);
+}
+
+const ean13 = data => { const d = withCheck('EAN-13', data, 12); return { bars: ean(d), text: d }; };
+const ean8  = data => { const d = withCheck('EAN-8', data, 7);   return { bars: ean(d), text: d }; };
+const upca  = data => { const d = withCheck('UPC-A', data, 11);  return { bars: ean(`0${d}`), text: d }; };
+
+// ── ITF (interleaved 2 of 5) ──────────────────────────────────────────────────
+
+const ITF = ['00110', '10001', '01001', '11000', '00101', '10100', '01100', '00011', '10010', '01010'];
+
+function itf(data) {
+    if (!/^(\d\d)+$/.test(data)) throw barcodeError('ITF takes an even number of digits');
+    const bars = [1, 1, 1, 1];                          // start
+    for (let i = 0; i < data.length; i += 2) {
+        const b = ITF[data[i]], s = ITF[data[i + 1]];
+        for (let k = 0; k < 5; k++) bars.push(b[k] === '1' ? WIDE : 1, s[k] === '1' ? WIDE : 1);
+    }
+    bars.push(WIDE, 1, 1);                              // stop
+    return { bars, text: data };
+}
+
+// ── Public ────────────────────────────────────────────────────────────────────
+
+const ENCODERS = { code128, code39, ean13, ean8, upca, itf };
+
+/** Normalise a type name: 'EAN13', 'ean-13', 'Code128' → 'ean13', 'code128'. */
+function typeName(type) {
+    const t = String(type).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return { upc: 'upca', ean: 'ean13', i25: 'itf', interleaved2of5: 'itf' }[t] || t;
+}
+
+/**
+ * Encode `data` (a string) as `type` (see TYPES). Returns { type, bars, text }:
+ * `bars` are module widths alternating bar / space, starting with a bar;
+ * `text` is the human-readable line. Bad data throws with code BAD_INPUT.
+ */
+function encode(type, data) {
+    const name = typeName(type);
+    if (!ENCODERS[name]) throw barcodeError(`Unknown barcode type "${type}" (use ${TYPES.join(', ')})`);
+    return { type: name, ...ENCODERS[name](String(data)) };
+}
+
+/** Width of a code in modules, quiet zones included. */
+const modules = code => code.bars.reduce((n, w) => n + w, 0) + 2 * QUIET;
+
+/** Largest module scale (up to `max`) at which a code fits `widthPx`; 0 if none. */
+function fitScale(code, widthPx, max = 6) {
+    for (let s = max; s >= 1; s--) if (modules(code) * s <= widthPx) return s;
+    return 0;
+}
+
+/**
+ * Draw a code as a `widthPx`-wide bitmap (rows MSB-first, 1 = black),
+ * centred: bars `height` dots tall and `scale` dots per module, with the
+ * human-readable line per `hri` (none, above, below, both).
+ */
+function toBitmap(code, widthPx, { scale = 2, height = 80, hri = 'below' } = {}) {
+    if (!HRI.includes(hri)) throw barcodeError(`Unknown HRI position "${hri}" (use ${HRI.join(', ')})`);
+    const width = code.bars.reduce((n, w) => n + w, 0) * scale;
+    if (width > widthPx) throw barcodeError(`This ${code.type} barcode is ${width} dots wide at ${scale} dots per module; the paper is ${widthPx}`);
+    const bytesPerRow = Math.ceil(widthPx / 8);
+    const row  = Buffer.alloc(bytesPerRow);
+    let x = Math.floor((widthPx - width) / 2);
+    code.bars.forEach((w, i) => {
+        if (i % 2 === 0) for (let k = x; k < x + w * scale; k++) row[k >> 3] |= 0x80 >> (k & 7);
+        x += w * scale;
+    });
+
+    const label = () => text.toBitmap([{ text: text.toAscii(code.text), align: 'center', bold: false, double: false }], widthPx).data;
+    const parts = [];
+    if (hri === 'above' || hri === 'both') parts.push(label());
+    for (let y = 0; y < height; y++) parts.push(row);
+    if (hri === 'below' || hri === 'both') parts.push(Buffer.alloc(bytesPerRow * 4), label());
+    const data = Buffer.concat(parts);
+    return { width: widthPx, height: data.length / bytesPerRow, bytesPerRow, data };
+}
+
+// ── ESC/POS ───────────────────────────────────────────────────────────────────
+
+/**
+ * The data bytes of `GS k m n d…` for a code: EAN / UPC without the check
+ * digit (the printer adds it), Code 128 with `{B` / `{C` code set selects.
+ */
+function escPosData(code) {
+    switch (code.type) {
+        case 'ean13': return Buffer.from(code.text.slice(0, 12), 'ascii');
+        case 'ean8':  return Buffer.from(code.text.slice(0, 7), 'ascii');
+        case 'upca':  return Buffer.from(code.text.slice(0, 11), 'ascii');
+        case 'code128': return Buffer.concat(code.segments.map(s => Buffer.concat([
+            Buffer.from(`{${s.set}`, 'ascii'),
+            s.set === 'C'
+                ? Buffer.from(s.chars.match(/../g).map(Number))
+                : Buffer.from(s.chars.replace(/\{/g, '{{'), 'ascii'),
+        ])));
+        default:      return Buffer.from(code.text, 'ascii');
+    }
+}
+
+/**
+ * The code a `GS k m n d…` command describes, or null for types not handled
+ * here. Code 128 data needs a `{B` or `{C` select first; `{A` is not handled.
+ */
+function fromEscPos(m, data) {
+    const type = Object.keys(ESCPOS_TYPE).find(t => ESCPOS_TYPE[t] === m);
+    if (!type) return null;
+    if (type !== 'code128') return encode(type, data.toString('latin1'));
+
+    const segments = [];
+    let set = null;
+    for (let i = 0; i < data.length; i++) {
+        if (data[i] === 0x7B && data[i + 1] !== 0x7B) {
+            set = String.fromCharCode(data[++i]);
+            if (set !== 'B' && set !== 'C') return null;
+            segments.push({ set, chars: '' });
+            continue;
+        }
+        if (!set || (set === 'C' && data[i] > 99)) return null;
+        if (data[i] === 0x7B) i++;                      // {{ is a literal {
+        segments[segments.length - 1].chars += set === 'C' ? String(data[i]).padStart(2, '0') : String.fromCharCode(data[i]);
+    }
+    if (!segments.length || segments.some(s => !s.chars)) return null;
+    return { type, ...code128(segments) };
+}
+
+module.exports = { TYPES, HRI, QUIET, ESCPOS_TYPE, eanCheck, encode, modules, fitScale, toBitmap, escPosData, fromEscPos };
@@ -0,0 +1,155 @@
+'use strict';
+/**
+ * Throughput benchmark — finds the fastest chunk size / inter-chunk delay a
+ * printer takes reliably.
+ *
+ * The search itself is transport-agnostic: the caller supplies `probe(len)`
+ * (one write of `len` bytes, resolves true on success) for MTU negotiation and
+ * `trial(chunk, delay)` (one full print job, resolves a trial result) for the
+ * chunk/delay sweep; runTrial() is the trial over a real connection. A trial
+ * result is
+ *   { chunk, delay, bytes, ms, ok, reason }
+ * where `ms` is the time spent writing and `reason` says why a failed trial
+ * failed (write error, back-pressure, no status reply afterwards).
+ */
+
+const gt01  = require('./gt01');
+const jobs  = require('./jobs');
+const { queryStatus } = require('./status');
+const { SETTLE, sleep, sendChunked } = require('./transport');
+
+const ATT_OVERHEAD = 3;                               // ATT opcode + handle per write
+const MTU_STEPS    = [517, 247, 185, 128, 64, 23];
+const CHUNK_SIZES  = [509, 244, 182, 128, 64, 20];
+const DELAYS       = [80, 40, 20, 10, 5, 0];          // slowest first
+
+// Every trial prints a checkerboard strip, so a bad setting shows on paper as
+// gaps or shifted rows even on printers that can't report lost data.
+const BENCH_ROWS   = 64;
+
+/** Largest write payload for an MTU. */
+const maxPayload = mtu => mtu - ATT_OVERHEAD;
+
+/** Chunk sizes to try for a given maximum payload, largest first. */
+function chunkSizes(max) {
+    return [...new Set([max, ...CHUNK_SIZES.filter(c => c < max)])];
+}
+
+/** Bytes per second for a trial. */
+const rate = r => r.bytes * 1000 / Math.max(r.ms, 1);
+
+/**
+ * Notify data that tells the sender to slow down. GT01 printers send a flow
+ * control packet (AE, data 01 = pause); the other protocols have none.
+ */
+function isBackPressure(protocol, data) {
+    if (protocol !== 'gt01') return false;
+    for (let i = data.indexOf(0x51); i >= 0 && i + 6 < data.length; i = data.indexOf(0x51, i + 1)) {
+        if (data[i + 1] === 0x78 && data[i + 2] === gt01.CMD.FLOW_CONTROL && data[i + 6] === 0x01) return true;
+    }
+    return false;
+}
+
+/**
+ * Largest MTU up to `negotiated` — the MTU the BLE stack reports (noble's
+ * peripheral.mtu) — whose full payload can be written. Null when the stack
+ * reports none: a write without response is never acknowledged, so an
+ * oversized one doesn't fail and probing can't tell; provenMtu() takes the
+ * MTU from the trials instead.
+ */
+async function negotiateMtu(probe, { negotiated = null } = {}) {
+    if (!negotiated) return null;
+    const steps = MTU_STEPS.filter(m => m <= negotiated);
+    if (!steps.includes(negotiated)) steps.unshift(negotiated);
+    for (const mtu of steps) {
+        if (await probe(maxPayload(mtu))) return mtu;
+    }
+    return 23;
+}
+
+/** The MTU reliable trials showed works — room for their largest chunk — or null if none passed. */
+function provenMtu(results) {
+    const ok = results.filter(r => r.ok);
+    return ok.length ? Math.max(...ok.map(r => r.chunk)) + ATT_OVERHEAD : null;
+}
+
+/**
+ * Sweep chunk sizes (largest first) and delays (slowest first). A chunk size
+ * stops at its first failing delay. Trials that can't beat the best reliable
+ * rate so far, even with zero write time, are skipped, and once a chunk size
+ * works back-to-back (delay 0) smaller chunks aren't tried at all.
+ */
+async function sweep(trial, { sizes, delays = DELAYS, onResult = () => {} }) {
+    const results = [];
+    let best = 0;
+    for (const chunk of sizes) {
+        let backToBack = false;
+        for (const delay of delays) {
+            if (delay > 0 && chunk * 1000 / delay <= best) continue;
+            const r = await trial(chunk, delay);
+            results.push(r);
+            onResult(r);
+            if (!r.ok) break;
+            best = Math.max(best, rate(r));
+            if (delay === 0) backToBack = true;
+        }
+        if (backToBack) break;
+    }
+    return results;
+}
+
+function benchBitmap(widthPx) {
+    const bytesPerRow = widthPx / 8;
+    const data = Buffer.alloc(bytesPerRow * BENCH_ROWS);
+    for (let y = 0; y < BENCH_ROWS; y++)
+        for (let b = 0; b < bytesPerRow; b++) data[y * bytesPerRow + b] = ((y >> 3) + b) % 2 ? 0xFF : 0x00;
+    return { width: widthPx, height: BENCH_ROWS, bytesPerRow, data };
+}
+
+/**
+ * One benchmark job for `profile` at `chunk` / `delay` over noble
+ * characteristics. Fails on a write error, on flow-control notifications, or —
+ * when `checkStatus` is set — when the printer stops answering status queries
+ * afterwards (it lost part of the job and is still waiting for the rest of a
+ * command).
+ */
+async function runTrial(profile, writeChar, notifyChar, checkStatus, chunk, delay) {
+    const tuned  = { ...profile, ble: { ...profile.ble, chunkSize: chunk, chunkDelay: delay } };
+    const stages = jobs.imageStages(tuned, benchBitmap(profile.paper.widthPx));
+    const result = { chunk, delay, bytes: 0, ms: 0, ok: true, reason: null };
+
+    let pauses = 0;
+    const onData = data => { if (isBackPressure(profile.protocol, data)) pauses++; };
+    if (notifyChar) notifyChar.on('data', onData);
+    try {
+        for (const stage of stages) {
+            const t0 = Date.now();
+            await new Promise((resolve, reject) => sendChunked(writeChar, stage.buf, stage.chunk, stage.delay, err => err ? reject(err) : resolve()));
+            result.ms    += Date.now() - t0;
+            result.bytes += stage.buf.length;
+            await sleep(stage.pauseAfter || 10);
+        }
+    } catch (e) {
+        Object.assign(result, { ok: false, reason: `write error: ${e.message}` });
+    } finally {
+        if (notifyChar) notifyChar.removeListener('data', onData);
+    }
+
+    if (result.ok && pauses) Object.assign(result, { ok: false, reason: `${pauses} flow-control pause(s)` });
+    if (result.ok && checkStatus) {
+        const st = await queryStatus(writeChar, notifyChar, profile.protocol, { timeout: 1500 }).catch(() => null);
+        if (!st?.raw.length) Object.assign(result, { ok: false, reason: 'no status reply afterwards — data lost' });
+    }
+    if (!result.ok) await sleep(SETTLE);
+    return result;
+}
+
+/** Reliable results, fastest first. */
+function ranking(results) {
+    return results.filter(r => r.ok).sort((a, b) => rate(b) - rate(a));
+}
+
+module.exports = {
+    ATT_OVERHEAD, MTU_STEPS, DELAYS,
+    maxPayload, chunkSizes, rate, isBackPressure, negotiateMtu, provenMtu, benchBitmap, runTrial, sweep, ranking,
+};
@@ -0,0 +1,70 @@
+'use strict';
+/**
+ * Calibration print — a ruler for measuring where a printer really prints,
+ * instead of trusting the roll width.
+ *
+ * The ruler is as wide as the whole roll (8 dots per mm), so it reaches past
+ * anything the head can print: a tick every millimetre, a longer one every
+ * 5 mm with its number under it, and a solid edge marker at both ends. What
+ * the head can't reach is simply missing from the paper, so the mm marks
+ * where the ruler starts and ends on the paper give the left offset and the
+ * printable width.
+ */
+
+const font = require('./font');
+
+const DOTS_PER_MM = 8;
+
+const TICK_H   = { 1: 12, 5: 28 };  // tick heights in dots, every mm / every 5 mm
+const NUMBER_Y = 34;                // top of the numbers under the 5 mm ticks
+const SCALE    = 2;                 // numbers in the 5×7 font at 2× — 14 dots tall
+const HEIGHT   = NUMBER_Y + font.HEIGHT * SCALE + 8;
+const EDGE_W   = 4;                 // edge markers, dots
+
+/** Ruler width in dots for a roll `widthMm` wide, a multiple of 8. */
+const rulerWidthPx = widthMm => Math.ceil(widthMm * DOTS_PER_MM / 8) * 8;
+
+/** The ruler as a bitmap `widthPx` wide (the shared layout: MSB first, 1 = black). */
+function rulerBitmap(widthPx) {
+    const bytesPerRow = widthPx / 8;
+    const data = Buffer.alloc(bytesPerRow * HEIGHT);
+    const fill = (x0, y0, w, h) => {
+        for (let y = y0; y < y0 + h; y++)
+            for (let x = Math.max(0, x0); x < Math.min(widthPx, x0 + w); x++) data[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+    };
+
+    fill(0, 0, widthPx, 2);                                             // baseline
+    for (let mm = 0; mm * DOTS_PER_MM < widthPx; mm++) {
+        const x = mm * DOTS_PER_MM;
+        fill(x, 0, 2, TICK_H[mm % 5 ? 1 : 5]);
+        if (mm % 5 || !mm) continue;
+        const label = String(mm);
+        let   nx    = x + 1 - Math.floor(label.length * (font.WIDTH + 1) * SCALE / 2);  // centred under the tick
+        for (const ch of label) {
+            font.glyph(ch.charCodeAt(0)).forEach((col, gx) => {
+                for (let gy = 0; gy < font.HEIGHT; gy++) if ((col >> gy) & 1) fill(nx + gx * SCALE, NUMBER_Y + gy * SCALE, SCALE, SCALE);
+            });
+            nx += (font.WIDTH + 1) * SCALE;
+        }
+    }
+    fill(0, 0, EDGE_W, HEIGHT);                                         // edge markers
+    fill(widthPx - EDGE_W, 0, EDGE_W, HEIGHT);
+    return { width: widthPx, height: HEIGHT, bytesPerRow, data };
+}
+
+/**
+ * Offset and printable width from where the ruler starts and ends on the
+ * paper, in mm: { offsetPx, widthPx }, the width a multiple of 8. Throws
+ * BAD_INPUT when the marks don't make sense for a ruler `maxPx` wide.
+ */
+function measure(leftMm, rightMm, maxPx = Infinity) {
+    const bad = message => Object.assign(new Error(message), { code: 'BAD_INPUT' });
+    if (!Number.isFinite(leftMm) || !Number.isFinite(rightMm) || leftMm < 0) throw bad('Ruler marks must be numbers of mm, 0 or more');
+    if (rightMm * DOTS_PER_MM > maxPx) throw bad(`The ruler ends at ${maxPx / DOTS_PER_MM} mm, not ${rightMm}`);
+    const offsetPx = Math.round(leftMm * DOTS_PER_MM);
+    const widthPx  = Math.floor((rightMm - leftMm) * DOTS_PER_MM / 8) * 8;
+    if (widthPx < 8) throw bad(`The ruler must end at least 1 mm right of where it starts (${leftMm} → ${rightMm} mm)`);
+    return { offsetPx, widthPx };
+}
+
+module.exports = { DOTS_PER_MM, rulerWidthPx, rulerBitmap, measure };
@@ -0,0 +1,127 @@
+'use strict';
+/**
+ * The consuming app's config.json — the printer blocks the identify /
+ * discover snippet describes, written in place instead of pasted by hand.
+ *
+ *   { "printer":  { "transport": "ble", "ble": { "deviceName", "address", "activeProfile", "protocol" } },
+ *     "printers": { "<name>": { ...the same, one per named printer } } }
+ *
+ * `protocol` picks one of the profile's endpoints when it has several.
+ *
+ * Only the block being written changes; every other key in the file, and
+ * every other key inside that block, is kept. The file keeps its
+ * indentation.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const { connect } = require('./printer');
+
+function configError(message) {
+    return Object.assign(new Error(message), { code: 'BAD_CONFIG' });
+}
+
+/** Parse a config file. A missing file is an empty config; anything but a JSON object throws BAD_CONFIG. */
+function read(file) {
+    let text;
+    try { text = fs.readFileSync(file, 'utf8'); }
+    catch (e) {
+        if (e.code === 'ENOENT') return {};
+        throw configError(`Cannot read ${file}: ${e.message}`);
+    }
+    let config;
+    try { config = JSON.parse(text); }
+    catch (e) { throw configError(`${file} is not valid JSON: ${e.message}`); }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) throw configError(`${file} does not hold a JSON object`);
+    return config;
+}
+
+/** The indentation a JSON file uses (two spaces when it can't tell). */
+function indentOf(file) {
+    try { return fs.readFileSync(file, 'utf8').match(/^[ \t]+(?=")/m)?.[0] || 2; }
+    catch { return 2; }
+}
+
+/** Write `config` to `file` in its existing indentation, via a temp file so a crash leaves the old one. */
+function write(file, config) {
+    const tmp = `${file}.tmp`;
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(tmp, `${JSON.stringify(config, null, indentOf(file))}\n`);
+    fs.renameSync(tmp, file);
+}
+
+/** The printer block for a device: { transport, ble: { deviceName, address?, activeProfile, protocol? } }. */
+function printerBlock({ deviceName, address = null, profileId, protocol = null }) {
+    const ble = { deviceName };
+    if (address) ble.address = address;
+    ble.activeProfile = profileId;
+    if (protocol) ble.protocol = protocol;
+    return { transport: 'ble', ble };
+}
+
+/**
+ * `config` with `block` merged in as `printer`, or as `printers[name]` —
+ * keys already in that block that `block` doesn't set are kept, except an
+ * old `protocol`: it picked an endpoint of the old active profile.
+ */
+function setPrinter(config, block, name = null) {
+    const merge = (old = {}) => {
+        const ble = { ...old.ble, ...block.ble };
+        if (!block.ble.protocol) delete ble.protocol;
+        return { ...old, ...block, ble };
+    };
+    if (name === null) return { ...config, printer: merge(config.printer) };
+    return { ...config, printers: { ...config.printers, [name]: merge(config.printers?.[name]) } };
+}
+
+/** Every printer block in `config`: [{ name, block }] — name null for `printer`. */
+function printers(config) {
+    const list = config.printer ? [{ name: null, block: config.printer }] : [];
+    for (const [name, block] of Object.entries(config.printers || {})) list.push({ name, block });
+    return list;
+}
+
+/**
+ * Connect to the printer a block names (its address when there is one, else
+ * its exact device name), identify it against `db` and disconnect. Resolves
+ * { result, found, best } — `found` the device's { name, address }, `best`
+ * the best-matching profile id — with `result`:
+ *   ok                 the active profile is the best match
+ *   better             the active profile still matches, but another matches better
+ *   mismatch           the active profile no longer matches the device
+ *   no_endpoint        it matches, but not with the block's `protocol`
+ *   unknown_profile    the active profile isn't in `db`
+ *   not_found          no such device in range
+ * Other connection errors reject.
+ */
+async function check(block, { db, noble = null, timeout, retries } = {}) {
+    const { deviceName, address, activeProfile, protocol } = block?.ble || {};
+    if (!activeProfile || !db.profiles[activeProfile]) return { result: 'unknown_profile', found: null, best: null };
+    if (!address && !deviceName) throw configError('Printer block has neither ble.address nor ble.deviceName');
+
+    let printer;
+    try {
+        printer = await connect(address || deviceName, { noble, db, timeout, retries, exact: !address, window: 0 });
+    } catch (e) {
+        if (e.code === 'NOT_FOUND') return { result: 'not_found', found: null, best: null };
+        throw e;
+    }
+    try {
+        const { matches } = await printer.identify({ db });
+        const found = { name: printer.name, address: printer.address };
+        const best  = matches[0]?.profile.id || null;
+        const speaks = () => {
+            try { return !!printer.use(activeProfile, { protocol }).writeChar; }
+            catch (e) { if (e.code === 'NO_PROFILE') return false; throw e; }
+        };
+        const result = !matches.some(m => m.profile.id === activeProfile) ? 'mismatch'
+                     : protocol && !speaks() ? 'no_endpoint'
+                     : best === activeProfile ? 'ok'
+                     : 'better';
+        return { result, found, best };
+    } finally {
+        await printer.disconnect();
+    }
+}
+
+module.exports = { read, write, printerBlock, setPrinter, printers, check };
@@ -0,0 +1,93 @@
+'use strict';
+/**
+ * Protocol detection without paper — the status queries of lib/status sent to
+ * a writable characteristic, and the protocol told apart by which of them the
+ * printer answers in a form that protocol's parser understands. None of the
+ * queries print or feed, so nobody has to watch the printer.
+ *
+ *   escpos  DLE EOT n / GS I are answered
+ *   d1      10 FF queries are answered with 1A messages (D1 firmware answers DLE EOT too)
+ *   phomemo 1F 11 queries are answered with 1A messages
+ *   niimbot the heartbeat / GET_INFO come back as 55 55 packets
+ *   gt01    device state / battery / info come back as 51 78 packets
+ *
+ * A printer that answers nothing is not ruled out — it may just have no
+ * notify characteristic. The caller falls back to test prints.
+ */
+
+const { normUuid } = require('./match');
+const { QUERIES, emptyStatus, listen } = require('./status');
+
+// Asked in this order. ESC/POS real-time queries are harmless to the others,
+// and so are the D1 and Phomemo dialects' queries; the packet protocols'
+// queries only go to a characteristic that answered nothing else.
+const ORDER   = ['escpos', 'd1', 'phomemo', 'niimbot', 'gt01'];
+const PACKETS = ['niimbot', 'gt01'];
+
+// Most specific wins: D1 and Phomemo firmware answer ESC/POS queries as well
+const RANK = { gt01: 3, niimbot: 3, phomemo: 2, d1: 2, escpos: 1 };
+
+// ESC @ — drops whatever the other protocols' queries left in an ESC/POS line buffer
+const CLEAR = Buffer.from([0x1B, 0x40]);
+
+const TIMEOUT = 600; // ms to wait for a reply to each query
+
+/** Does the parser make anything of this reply? */
+function understood(query, data) {
+    const s = emptyStatus();
+    query.parse(s, data);
+    return Object.entries(s).some(([k, v]) => k !== 'raw' && v !== null);
+}
+
+/**
+ * Probe one writable characteristic. `notifyChars` are every notify
+ * characteristic on the device (noble objects); replies may come on any.
+ *
+ * Resolves with { protocol, notifyCharUuid, status, answered, error } —
+ * protocol null when nothing understood came back; `answered` lists the
+ * queries that got an understood reply ("escpos.printer", "d1.state", ...);
+ * `status` is decoded from the winning protocol's replies.
+ */
+async function detect(writeChar, notifyChars, { timeout = TIMEOUT } = {}) {
+    const result  = { protocol: null, notifyCharUuid: null, status: null, answered: [], error: null };
+    const replies = {}; // protocol → [{ query, data }]
+    const from    = {}; // protocol → notify UUID of its first understood reply
+    const link    = await listen(notifyChars);
+
+    try {
+        for (const protocol of ORDER) {
+            if (PACKETS.includes(protocol) && Object.keys(replies).length) break;
+            for (const [n, q] of QUERIES[protocol].entries()) {
+                const { data, from: uuid } = await link.ask(writeChar, q.buf, timeout);
+                if (!data.length || !understood(q, data)) {
+                    if (n === 0) break; // first query unanswered — this protocol isn't spoken here
+                    continue;
+                }
+                (replies[protocol] = replies[protocol] || []).push({ query: q, data });
+                from[protocol] = from[protocol] || normUuid(uuid);
+                result.answered.push(`${protocol}.${q.name}`);
+            }
+            if (RANK[protocol] > RANK.escpos && replies[protocol]) break;
+        }
+        const best = Object.keys(replies).sort((a, b) => RANK[b] - RANK[a])[0];
+        if (best !== 'd1' && !PACKETS.includes(best)) {
+            await new Promise(resolve => writeChar.write(CLEAR, true, () => resolve()));
+        }
+        if (best) {
+            result.protocol       = best;
+            result.notifyCharUuid = from[best];
+            result.status         = emptyStatus();
+            for (const { query, data } of replies[best]) {
+                result.status.raw.push(data.toString('hex'));
+                query.parse(result.status, data);
+            }
+        }
+    } catch (e) {
+        result.error = e.message;
+    } finally {
+        link.close();
+    }
+    return result;
+}
+
+module.exports = { ORDER, TIMEOUT, detect };
@@ -0,0 +1,157 @@
+'use strict';
+/**
+ * Scan results as data — JSON-friendly device records, scan filters,
+ * presence tracking for continuous scans, and the device last used for each
+ * target name.
+ *
+ *   const scanner = scan({ db, allowDuplicates: true });
+ *   const tracker = new Tracker(scanner, { filter: filter({ minRssi: -70 }) });
+ *   tracker.on('appear', rec => ...);      // also 'update', 'disappear'
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { configDir }    = require('./paths');
+
+const SMOOTHING    = 0.3;    // weight of a new RSSI reading in the running average
+const UPDATE_DELTA = 3;      // dB the smoothed RSSI must move before an 'update'
+const LOST_AFTER   = 15000;  // ms without an advertisement before 'disappear'
+const SWEEP        = 1000;   // ms between checks for lost devices
+
+const LAST_USED_PATH = path.join(configDir(), 'devices.json');
+
+/**
+ * A Scanner 'device' as plain JSON: { id, address, name, rssi, txPower,
+ * connectable, serviceUuids, manufacturerId, manufacturerData, serviceData,
+ * matches }. Buffers are hex; `manufacturerId` is the little-endian company
+ * id at the start of the manufacturer data; `matches` are { id, confidence }.
+ */
+function record(device) {
+    const ad  = device.advertisement || {};
+    const mfr = ad.manufacturerData;
+    return {
+        id:               device.id,
+        address:          device.address ?? null,
+        name:             device.name,
+        rssi:             device.rssi,
+        txPower:          device.txPower ?? null,
+        connectable:      device.connectable ?? null,
+        serviceUuids:     ad.serviceUuids || [],
+        manufacturerId:   mfr && mfr.length >= 2 ? mfr.readUInt16LE(0) : null,
+        manufacturerData: mfr ? mfr.toString('hex') : null,
+        serviceData:      (ad.serviceData || []).map(s => ({ uuid: s.uuid, data: s.data.toString('hex') })),
+        matches:          (device.matches || []).map(r => ({ id: r.profile.id, confidence: Math.round(r.confidence * 100) / 100 })),
+    };
+}
+
+/**
+ * A predicate on device records. `match`: true for any profile match, or a
+ * profile id that must be the best match. `minRssi`: dBm. `name`: RegExp (or string, case-insensitive)
+ * the name must match — unnamed devices never do.
+ */
+function filter({ match = null, minRssi = null, name = null } = {}) {
+    const re = typeof name === 'string' ? new RegExp(name, 'i') : name;
+    return rec => {
+        if (match === true && !rec.matches.length) return false;
+        if (typeof match === 'string' && rec.matches[0]?.id !== match) return false;
+        if (minRssi !== null && rec.rssi < minRssi) return false;
+        if (re && !(rec.name && re.test(rec.name))) return false;
+        return true;
+    };
+}
+
+/**
+ * Follows which devices are around during a scan with `allowDuplicates`.
+ * RSSI is smoothed with a running average; `filter` is applied to the
+ * smoothed record, so a device that drifts out of range of `minRssi`
+ * disappears. Events, each with a record() plus rssiRaw, firstSeen and
+ * lastSeen (ISO times):
+ *   'appear'     first advertisement that passes the filter
+ *   'update'     smoothed RSSI moved by UPDATE_DELTA, or the name / matches changed
+ *   'disappear'  no advertisement for `lostAfter` ms, or it no longer passes the filter
+ */
+class Tracker extends EventEmitter {
+    constructor(scanner, { filter: keep = () => true, lostAfter = LOST_AFTER, smoothing = SMOOTHING } = {}) {
+        super();
+        this.keep      = keep;
+        this.lostAfter = lostAfter;
+        this.smoothing = smoothing;
+        this.devices   = new Map();   // id → { rec, rssi, seen, present, reported }
+        scanner.on('device', device => this._seen(device));
+        scanner.on('stop', () => clearInterval(this._timer));
+        this._timer = setInterval(() => this._sweep(), SWEEP);
+    }
+
+    /** Records of the devices currently present. */
+    present() {
+        return [...this.devices.values()].filter(d => d.present).map(d => this._out(d));
+    }
+
+    _out(d) {
+        return { ...d.rec, rssi: Math.round(d.rssi), rssiRaw: d.rec.rssi, firstSeen: d.first, lastSeen: new Date(d.seen).toISOString() };
+    }
+
+    _seen(device) {
+        const rec = record(device);
+        const now = Date.now();
+        let d = this.devices.get(rec.id);
+        if (!d) {
+            d = { rec, rssi: rec.rssi, seen: now, first: new Date(now).toISOString(), present: false, reported: null };
+            this.devices.set(rec.id, d);
+        } else {
+            // Names and scan-response data often arrive in a later advertisement; keep what we had
+            d.rec  = { ...rec, name: rec.name ?? d.rec.name };
+            d.rssi = d.rssi + this.smoothing * (rec.rssi - d.rssi);
+            d.seen = now;
+        }
+
+        const out  = this._out(d);
+        const keep = this.keep(out);
+        if (keep && !d.present) {
+            d.present  = true;
+            d.reported = out;
+            this.emit('appear', out);
+        } else if (!keep && d.present) {
+            d.present = false;
+            this.emit('disappear', out);
+        } else if (keep && (Math.abs(out.rssi - d.reported.rssi) >= UPDATE_DELTA || out.name !== d.reported.name ||
+                            JSON.stringify(out.matches) !== JSON.stringify(d.reported.matches))) {
+            d.reported = out;
+            this.emit('update', out);
+        }
+    }
+
+    _sweep() {
+        const now = Date.now();
+        for (const [id, d] of this.devices) {
+            if (now - d.seen < this.lostAfter) continue;
+            this.devices.delete(id);
+            if (d.present) this.emit('disappear', this._out(d));
+        }
+    }
+}
+
+// ── Last used ─────────────────────────────────────────────────────────────────
+// devices.json: { "<target>": { id, address, name, usedAt } }, keyed by the
+// target as typed, so `PPS1` keeps going to the same one of several PPS1s.
+
+function readLastUsed(file) {
+    try { return JSON.parse(fs.readFileSync(file, 'utf8')); }
+    catch { return {}; }
+}
+
+/** The device last used for `target`, or null. */
+function lastUsed(target, { file = LAST_USED_PATH } = {}) {
+    return readLastUsed(file)[target] || null;
+}
+
+/** Remember `device` ({ id, address, name }) as the one used for `target`. */
+function rememberUsed(target, { id, address = null, name = null }, { file = LAST_USED_PATH } = {}) {
+    const all = readLastUsed(file);
+    all[target] = { id, address, name, usedAt: new Date().toISOString() };
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(all, null, 2) + '\n');
+}
+
+module.exports = { SMOOTHING, UPDATE_DELTA, LOST_AFTER, LAST_USED_PATH, record, filter, Tracker, lastUsed, rememberUsed };
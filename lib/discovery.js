@@ -0,0 +1,268 @@
+'use strict';
+/**
+ * Discovery document → profile. Turns what --discover proved about a printer
+ * (confirmed write characteristics, the notify characteristic the replies came
+ * on, paper width — measured with the calibration ruler when it was printed —
+ * or label size, capabilities, Device Information) into a profile that
+ * passes the schema, and into a patch for profiles.json.
+ *
+ * A printer confirmed on the write characteristic of one of a matched
+ * profile's endpoints, with the same protocol and paper, is another member of
+ * that family: the family's profile comes back as stored — an `extends` stays
+ * — with the name added to `variants` and the capabilities merged. Anything
+ * else becomes a new profile.
+ */
+
+const fs = require('fs');
+const { normUuid, endpoints } = require('./match');
+const { inherit } = require('./inherit');
+
+// Printable width in mm for common roll widths (203 dpi heads, 8 dots / mm)
+const PRINTABLE_MM = { 58: 48, 80: 72, 110: 104 };
+const DOTS_PER_MM  = 8;
+
+// Link settings for a protocol no profile in the DB uses yet — slow and safe
+const DEFAULT_LINK = { chunkSize: 20, chunkDelay: 80, mtu: 23 };
+
+const CONTEXT = 3; // lines of context around each hunk of the patch
+
+/**
+ * Paper width in dots for a roll `widthMm` wide, a multiple of 8. Labels
+ * (`label` true) print nearly edge to edge, so they keep their full width.
+ */
+function paperWidthPx(widthMm, label = false) {
+    const printable = label ? widthMm : PRINTABLE_MM[widthMm] || Math.max(widthMm - 10, 1);
+    return Math.max(8, Math.round(printable * DOTS_PER_MM / 8) * 8);
+}
+
+const escapeRegex = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// 16-bit SIG-assigned services (GAP, GATT, Device Information, Battery, ...)
+const isSigService = uuid => /^000018[0-9a-f]{2}-0000-1000-8000-00805f9b34fb$/.test(normUuid(uuid));
+
+/** A profile id from a name: lowercase, [a-z0-9_], not yet taken in `db`. */
+function freeId(name, db) {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 24) || 'printer';
+    let id = base;
+    for (let n = 2; db?.profiles[id]; n++) id = `${base}_${n}`;
+    return id;
+}
+
+/** Is `name` already covered by the profile's variants or name pattern? */
+function knowsName(profile, name) {
+    const lower = name.toLowerCase();
+    if ((profile.variants || []).some(v => lower.startsWith(v.toLowerCase()))) return true;
+    try { return new RegExp(`^(?:${profile.deviceNamePattern})$`, 'i').test(name); }
+    catch { return profile.deviceNamePattern?.toLowerCase() === lower; }
+}
+
+/** Matched profile `m` with everything it inherits, endpoints and overrides included. */
+const whole = (m, db) => db?.profiles[m.id] ? inherit(db.profiles[m.id], db) : m;
+
+/** The index of `m`'s endpoint for confirmed characteristic `c` (see match.endpoints), -1 when none. */
+const endpointOf = (m, c, db) => endpoints(whole(m, db)).findIndex(e => e.protocol === c.protocol && normUuid(e.ble.writeCharUuid) === c.uuid);
+
+/**
+ * The write characteristic to put in the profile: a confirmed one that is the
+ * write characteristic of a matched profile's endpoint for the same protocol,
+ * else the first confirmed. Null when nothing was confirmed.
+ */
+function chooseChar(discovery, matches, db) {
+    const confirmed = discovery.confirmedChars || [];
+    return confirmed.find(c => matches.some(m => endpointOf(m, c, db) >= 0)) || confirmed[0] || null;
+}
+
+/** The notify characteristic that goes with write characteristic `chosen`. */
+function chooseNotify(discovery, chosen) {
+    if (chosen.notifyCharUuid) return chosen.notifyCharUuid;                       // the status replies came on it
+    const chars = discovery.characteristics || [];
+    const write = chars.find(c => c.uuid === chosen.uuid);
+    if (write?.properties.includes('notify')) return write.uuid;
+    const same  = chars.find(c => c.properties.includes('notify') && write?.service && c.service === write.service);
+    return same?.uuid || null;
+}
+
+/** The service holding write characteristic `uuid`. */
+function chooseService(discovery, uuid) {
+    const char = (discovery.characteristics || []).find(c => c.uuid === uuid);
+    if (char?.service) return char.service;
+    return (discovery.services || []).find(s => !isSigService(s)) || discovery.services?.[0] || null;
+}
+
+/**
+ * Build a profile from a discovery document (see runDiscoveryFlow in cli.js).
+ * `matches` are the matched profiles, best first; `db` holds the family's
+ * stored form and is used to pick a free id and link settings for the
+ * protocol. Returns { profile, family, changes } — `family` the matched
+ * profile it adds to (null for a new profile) and
+ * `changes` a list of what was added to it — or null when discovery confirmed
+ * no write characteristic.
+ */
+function buildProfile(discovery, { matches = [], db = null } = {}) {
+    const chosen = chooseChar(discovery, matches, db);
+    if (!chosen) return null;
+
+    const name         = discovery.deviceName;
+    const widthMm      = discovery.paperWidthMm || 58;
+    const label        = discovery.label || null;
+    const measured     = discovery.calibration || null;    // { widthPx, offsetPx } from the ruler
+    const capabilities = chosen.protocol === 'escpos' ? discovery.capabilities || null : null;
+    const family       = matches.find(m => endpointOf(m, chosen, db) >= 0 && m.paper.widthMm === widthMm) || null;
+
+    if (family) {
+        // Objects only need what changed — the rest still comes from the base
+        const stored  = whole(family, db);
+        const profile = JSON.parse(JSON.stringify(db?.profiles[family.id] || family));
+        const changes = [];
+        if (!knowsName(stored, name)) {
+            profile.variants = [...(stored.variants || []), name];
+            changes.push(`variant ${name}`);
+        }
+        const at = endpointOf(family, chosen, db);
+        if (!endpoints(stored)[at].ble.notifyCharUuid && chosen.notifyCharUuid) {
+            const notify = { notifyCharUuid: chosen.notifyCharUuid };
+            if (at) profile.endpoints = stored.endpoints.map((e, i) => i === at - 1 ? { ...e, ble: { ...e.ble, ...notify } } : e);
+            else    profile.ble       = { ...profile.ble, ...notify };
+            changes.push('notify characteristic');
+        }
+        if (measured && (stored.paper.widthPx !== measured.widthPx || (stored.paper.offsetPx || 0) !== measured.offsetPx)) {
+            profile.paper = { ...profile.paper, widthPx: measured.widthPx, offsetPx: measured.offsetPx };
+            if (!measured.offsetPx && !stored.paper.offsetPx) delete profile.paper.offsetPx;
+            changes.push('printable width');
+        }
+        if (label && (stored.paper.label?.heightMm !== label.heightMm || stored.paper.label?.type !== label.type)) {
+            profile.paper = { ...profile.paper, label: { ...stored.paper.label, ...label } };
+            changes.push('label size');
+        }
+        if (capabilities && Object.entries(capabilities).some(([k, v]) => stored.capabilities?.[k] !== v)) {
+            profile.capabilities = { ...profile.capabilities, ...capabilities };
+            changes.push('capabilities');
+        }
+        return { profile, family, changes };
+    }
+
+    // Link settings: the family's when one matched by name or service, else
+    // any profile's for the same protocol, else the slow defaults
+    const relative = matches.map(m => whole(m, db)).concat(Object.values(db?.profiles || {}).filter(p => !p.extends))
+        .flatMap(endpoints).find(e => e.protocol === chosen.protocol);
+    const link     = relative ? relative.ble : DEFAULT_LINK;
+    const info     = discovery.deviceInfo || {};
+    const title    = [discovery.brand, discovery.model].filter(Boolean).join(' ');
+
+    const profile = {
+        id:                freeId(discovery.model || name, db),
+        name:              !title || title.includes(name) ? title || name : `${title} (${name})`,
+        deviceNamePattern: escapeRegex(name),
+        variants:          [name],
+        protocol:          chosen.protocol,
+        ble: {
+            serviceUuid:    chooseService(discovery, chosen.uuid),
+            writeCharUuid:  chosen.uuid,
+            notifyCharUuid: chooseNotify(discovery, chosen),
+            chunkSize:      link.chunkSize,
+            chunkDelay:     link.chunkDelay,
+            mtu:            link.mtu,
+        },
+        paper: { widthPx: measured ? measured.widthPx : paperWidthPx(widthMm, !!label), widthMm },
+    };
+    if (measured?.offsetPx) profile.paper.offsetPx = measured.offsetPx;
+    if (label) profile.paper.label = label;
+    const deviceInfo = {};
+    if (info.manufacturer) deviceInfo.manufacturer = `^${escapeRegex(info.manufacturer)}$`;
+    if (info.model)        deviceInfo.model        = `^${escapeRegex(info.model)}$`;
+    if (Object.keys(deviceInfo).length) profile.match = { deviceInfo };
+    if (capabilities) profile.capabilities = capabilities;
+    profile.notes = `Found with --discover (${chosen.protocol} confirmed by ${chosen.confirmedBy === 'status' ? 'status replies' : 'a test print'}).`
+        + (relative ? '' : ' Link settings are the slow defaults — run --benchmark --save to tune them.');
+
+    return { profile, family: null, changes: ['new profile'] };
+}
+
+// ── profiles.json patch ───────────────────────────────────────────────────────
+
+/**
+ * Serialise a profile DB the way profiles.json is laid out: two-space
+ * indent, arrays of plain values on one line, newline at the end.
+ */
+function format(db) {
+    const fmt = (v, indent) => {
+        if (Array.isArray(v) && v.every(x => x === null || typeof x !== 'object')) {
+            return `[${v.map(x => JSON.stringify(x)).join(', ')}]`;
+        }
+        if (v === null || typeof v !== 'object') return JSON.stringify(v);
+        const inner = `${indent}  `;
+        const items = Array.isArray(v)
+            ? v.map(x => inner + fmt(x, inner))
+            : Object.entries(v).filter(([, x]) => x !== undefined).map(([k, x]) => `${inner}${JSON.stringify(k)}: ${fmt(x, inner)}`);
+        const [open, close] = Array.isArray(v) ? ['[', ']'] : ['{', '}'];
+        return items.length ? `${open}\n${items.join(',\n')}\n${indent}${close}` : `${open}${close}`;
+    };
+    return `${fmt(db, '')}\n`;
+}
+
+/** Line edit script from `a` to `b` (arrays of lines): [[' ' | '-' | '+', line], ...]. */
+function editScript(a, b) {
+    let pre = 0;
+    while (pre < a.length && pre < b.length && a[pre] === b[pre]) pre++;
+    let suf = 0;
+    while (suf < a.length - pre && suf < b.length - pre && a[a.length - 1 - suf] === b[b.length - 1 - suf]) suf++;
+
+    // Longest common subsequence over the part that differs
+    const x = a.slice(pre, a.length - suf), y = b.slice(pre, b.length - suf);
+    const lcs = Array.from({ length: x.length + 1 }, () => new Uint32Array(y.length + 1));
+    for (let i = x.length - 1; i >= 0; i--) {
+        for (let j = y.length - 1; j >= 0; j--) {
+            lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+    const ops = a.slice(0, pre).map(l => [' ', l]);
+    let i = 0, j = 0;
+    while (i < x.length || j < y.length) {
+        if (i < x.length && j < y.length && x[i] === y[j]) { ops.push([' ', x[i]]); i++; j++; }
+        else if (i < x.length && (j === y.length || lcs[i + 1][j] >= lcs[i][j + 1])) ops.push(['-', x[i++]]);
+        else ops.push(['+', y[j++]]);
+    }
+    return ops.concat(a.slice(a.length - suf).map(l => [' ', l]));
+}
+
+/** Unified diff of two texts that end in a newline; '' when they are equal. */
+function unifiedDiff(before, after, name) {
+    const ops = editScript(before.replace(/\n$/, '').split('\n'), after.replace(/\n$/, '').split('\n'));
+    const changed = ops.map((op, k) => op[0] !== ' ' ? k : -1).filter(k => k >= 0);
+    if (!changed.length) return '';
+
+    // Group changes whose context overlaps into hunks
+    const hunks = [];
+    for (const k of changed) {
+        const last = hunks[hunks.length - 1];
+        if (last && k - last.end <= 2 * CONTEXT) last.end = k;
+        else hunks.push({ start: k, end: k });
+    }
+    const out = [`--- a/${name}`, `+++ b/${name}`];
+    for (const h of hunks) {
+        const from = Math.max(0, h.start - CONTEXT), to = Math.min(ops.length - 1, h.end + CONTEXT);
+        // 1-based line numbers where the hunk starts in each file
+        const aStart = ops.slice(0, from).filter(op => op[0] !== '+').length + 1;
+        const bStart = ops.slice(0, from).filter(op => op[0] !== '-').length + 1;
+        const body   = ops.slice(from, to + 1);
+        const aLen   = body.filter(op => op[0] !== '+').length;
+        const bLen   = body.filter(op => op[0] !== '-').length;
+        out.push(`@@ -${aLen ? aStart : aStart - 1},${aLen} +${bLen ? bStart : bStart - 1},${bLen} @@`);
+        body.forEach(([t, line]) => out.push(t + line));
+    }
+    return `${out.join('\n')}\n`;
+}
+
+/**
+ * A unified diff that puts `profile` into the profiles.json at `file` (added,
+ * or replacing the profile with its id), for `git apply` / `patch -p1`.
+ * '' when the file already has it.
+ */
+function profilesPatch(profile, file) {
+    const before = fs.readFileSync(file, 'utf8');
+    const db     = JSON.parse(before);
+    const after  = format({ ...db, profiles: { ...db.profiles, [profile.id]: profile } });
+    return unifiedDiff(before, after, 'profiles.json');
+}
+
+module.exports = { PRINTABLE_MM, DEFAULT_LINK, paperWidthPx, buildProfile, format, unifiedDiff, profilesPatch };
@@ -0,0 +1,125 @@
+'use strict';
+/**
+ * GT01 ("cat printer") packet protocol.
+ *
+ * Every command is one packet: 51 78 <cmd> 00 <lenLo> <lenHi> <data...> <crc8> FF
+ * with a CRC8 (poly 0x07, init 0) over the data bytes only.
+ */
+
+const CMD = {
+    RETRACT:      0xA0,
+    FEED:         0xA1,
+    BITMAP:       0xA2,
+    DEVICE_STATE: 0xA3,
+    QUALITY:      0xA4,
+    LATTICE:      0xA6,
+    DEVICE_INFO:  0xA8,
+    BATTERY:      0xAB,
+    FLOW_CONTROL: 0xAE, // printer → host: 01 pause, 00 resume
+    ENERGY:       0xAF,
+    SPEED:        0xBD,
+    DRAW_MODE:    0xBE,
+    COMPRESSED:   0xBF,
+};
+
+// Lattice control — brackets a print job; the printer heats up / settles around it
+const LATTICE_START = [0xAA, 0x55, 0x17, 0x38, 0x44, 0x5F, 0x5F, 0x5F, 0x44, 0x38, 0x2C];
+const LATTICE_END   = [0xAA, 0x55, 0x17, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x17];
+
+const DRAW_MODE = { IMAGE: 0x00, TEXT: 0x01 };
+
+const DEFAULTS = {
+    energy:  0x2EE0, // head energy (darkness), 0–0xFFFF
+    speed:   32,     // lower is slower and darker
+    quality: 3,      // 1–5
+};
+
+const CRC8_TABLE = (() => {
+    const t = new Uint8Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 0x80 ? ((c << 1) ^ 0x07) & 0xFF : (c << 1) & 0xFF;
+        t[n] = c;
+    }
+    return t;
+})();
+
+function crc8(data) {
+    let c = 0;
+    for (const byte of data) c = CRC8_TABLE[(c ^ byte) & 0xFF];
+    return c;
+}
+
+function packet(cmd, data = []) {
+    const body = Buffer.from(data);
+    return Buffer.concat([
+        Buffer.from([0x51, 0x78, cmd, 0x00, body.length & 0xFF, (body.length >> 8) & 0xFF]),
+        body,
+        Buffer.from([crc8(body), 0xFF]),
+    ]);
+}
+
+const u16 = n => [n & 0xFF, (n >> 8) & 0xFF];
+
+// GT01 bitmap bytes are LSB-first (leftmost pixel in bit 0)
+const REVERSED = (() => {
+    const t = new Uint8Array(256);
+    for (let n = 0; n < 256; n++) {
+        let r = 0;
+        for (let b = 0; b < 8; b++) if (n & (1 << b)) r |= 0x80 >> b;
+        t[n] = r;
+    }
+    return t;
+})();
+
+// ── Commands ──────────────────────────────────────────────────────────────────
+
+/** Feed `lines` dot rows of blank paper. */
+const feed         = lines => packet(CMD.FEED, u16(lines));
+/** Pull the paper back by `lines` dot rows. */
+const retract      = lines => packet(CMD.RETRACT, u16(lines));
+/** Print head energy (darkness), 0–0xFFFF. */
+const energy       = value => packet(CMD.ENERGY, u16(value));
+/** Print quality / density level, 1–5. */
+const quality      = level => packet(CMD.QUALITY, [0x30 + Math.min(5, Math.max(1, level))]);
+/** Feed speed while printing — lower is slower and darker. */
+const speed        = value => packet(CMD.SPEED, [value & 0xFF]);
+const drawMode     = mode  => packet(CMD.DRAW_MODE, [mode]);
+const latticeStart = ()    => packet(CMD.LATTICE, LATTICE_START);
+const latticeEnd   = ()    => packet(CMD.LATTICE, LATTICE_END);
+const deviceState  = ()    => packet(CMD.DEVICE_STATE, [0x00]);
+const deviceInfo   = ()    => packet(CMD.DEVICE_INFO, [0x00]);
+const battery      = ()    => packet(CMD.BATTERY, [0x00]);
+
+/** One bitmap line from an MSB-first, 1 = black row (the shared bitmap layout). */
+function bitmapRow(row) {
+    return packet(CMD.BITMAP, Array.from(row, b => REVERSED[b]));
+}
+
+// ── Print job ─────────────────────────────────────────────────────────────────
+
+/**
+ * Stages for printing a bitmap: setup, one bitmap packet per row inside a
+ * lattice start/end bracket, then feed the image clear of the tear bar. Each
+ * row packet is a resume mark.
+ */
+function printStages(bitmap, chunkSize, chunkDelay, opts = {}) {
+    const o = { ...DEFAULTS, ...opts };
+    const { bytesPerRow, height, data } = bitmap;
+    const rows = [];
+    for (let y = 0; y < height; y++) rows.push(bitmapRow(data.subarray(y * bytesPerRow, (y + 1) * bytesPerRow)));
+
+    const setup  = Buffer.concat([quality(o.quality), energy(o.energy), drawMode(DRAW_MODE.IMAGE), speed(o.speed), latticeStart()]);
+    const finish = Buffer.concat([latticeEnd(), feed(100), deviceState()]);
+    return [
+        { name: 'setup',  buf: setup,               chunk: chunkSize, delay: chunkDelay, pauseAfter: 100 },
+        { name: 'image',  buf: Buffer.concat(rows), chunk: chunkSize, delay: chunkDelay, pauseAfter: 0,   marks: rows.map((r, y) => y * r.length) },
+        { name: 'finish', buf: finish,              chunk: chunkSize, delay: chunkDelay, pauseAfter: 0   },
+    ];
+}
+
+module.exports = {
+    CMD, DRAW_MODE, DEFAULTS, crc8, packet,
+    feed, retract, energy, quality, speed, drawMode, latticeStart, latticeEnd, deviceState, deviceInfo, battery, bitmapRow,
+    printStages,
+};
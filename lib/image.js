@@ -0,0 +1,101 @@
+'use strict';
+/**
+ * Image → 1-bit printer bitmap: decode, scale to the paper width, dither.
+ *
+ * Bitmaps are { width, height, bytesPerRow, data } with rows packed MSB-first,
+ * 1 = black — the ESC/POS `GS v 0` layout. Protocol encoders convert from there.
+ */
+
+const fs  = require('fs');
+const png = require('./png');
+
+const DITHERS = ['floyd-steinberg', 'atkinson', 'threshold'];
+
+// Error-diffusion kernels: [dx, dy, weight]
+const KERNELS = {
+    'floyd-steinberg': { div: 16, taps: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]] },
+    // Atkinson spreads only 6/8 of the error — crisper, lighter output
+    'atkinson':        { div: 8,  taps: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]] },
+};
+
+/** Read a PNG file into { width, height, rgba }. */
+function load(file) {
+    return png.decode(fs.readFileSync(file));
+}
+
+/** Luminance 0–255 per pixel, alpha composited onto white paper. */
+function toGray({ width, height, rgba }) {
+    const gray = new Float32Array(width * height);
+    for (let i = 0; i < width * height; i++) {
+        const a = rgba[i * 4 + 3] / 255;
+        const l = 0.299 * rgba[i * 4] + 0.587 * rgba[i * 4 + 1] + 0.114 * rgba[i * 4 + 2];
+        gray[i] = l * a + 255 * (1 - a);
+    }
+    return gray;
+}
+
+/**
+ * Resize a greyscale buffer. Downscaling averages every source pixel that
+ * falls inside the target pixel; upscaling picks the nearest source pixel.
+ */
+function resize(gray, sw, sh, dw, dh) {
+    const out = new Float32Array(dw * dh);
+    const fx = sw / dw, fy = sh / dh;
+    for (let y = 0; y < dh; y++) {
+        const y0 = Math.floor(y * fy), y1 = Math.max(y0 + 1, Math.floor((y + 1) * fy));
+        for (let x = 0; x < dw; x++) {
+            const x0 = Math.floor(x * fx), x1 = Math.max(x0 + 1, Math.floor((x + 1) * fx));
+            let sum = 0;
+            for (let sy = y0; sy < y1; sy++)
+                for (let sx = x0; sx < x1; sx++) sum += gray[sy * sw + sx];
+            out[y * dw + x] = sum / ((y1 - y0) * (x1 - x0));
+        }
+    }
+    return out;
+}
+
+/** Reduce greyscale to black/white in place; returns a Uint8Array of 0/1 (1 = black). */
+function dither(gray, width, height, mode = 'floyd-steinberg', threshold = 128) {
+    if (!DITHERS.includes(mode)) throw new Error(`Unknown dither "${mode}" (use ${DITHERS.join(', ')})`);
+    const kernel = KERNELS[mode];
+    const bits   = new Uint8Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i   = y * width + x;
+            const old = gray[i];
+            const val = old < threshold ? 0 : 255;
+            bits[i] = val === 0 ? 1 : 0;
+            if (!kernel) continue;
+            const err = (old - val) / kernel.div;
+            for (const [dx, dy, w] of kernel.taps) {
+                const nx = x + dx, ny = y + dy;
+                if (nx >= 0 && nx < width && ny < height) gray[ny * width + nx] += err * w;
+            }
+        }
+    }
+    return bits;
+}
+
+/** Pack 0/1 pixels into MSB-first rows. */
+function pack(bits, width, height) {
+    const bytesPerRow = Math.ceil(width / 8);
+    const data = Buffer.alloc(bytesPerRow * height);
+    for (let y = 0; y < height; y++)
+        for (let x = 0; x < width; x++)
+            if (bits[y * width + x]) data[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+    return { width, height, bytesPerRow, data };
+}
+
+/**
+ * Scale a decoded image to `widthPx` (aspect ratio kept) and dither it to a
+ * printer bitmap. `widthPx` is rounded down to whole bytes.
+ */
+function toBitmap(img, widthPx, { dither: mode = 'floyd-steinberg' } = {}) {
+    const width  = widthPx & ~7;
+    const height = Math.max(1, Math.round((img.height * width) / img.width));
+    const gray   = resize(toGray(img), img.width, img.height, width, height);
+    return pack(dither(gray, width, height, mode), width, height);
+}
+
+module.exports = { DITHERS, load, toGray, resize, dither, pack, toBitmap };
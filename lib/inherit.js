@@ -0,0 +1,50 @@
+'use strict';
+/**
+ * Profile inheritance. A profile with `extends: "<id>"` takes every field of
+ * that base profile it doesn't set itself: objects (ble, paper, match,
+ * capabilities ...) are merged key by key, anything else is replaced. A
+ * family profile holds what its models share, and each model lists only what
+ * differs — its name, variants, 180a patterns, paper width. Bases may extend
+ * further bases.
+ */
+
+function inheritError(message) {
+    return Object.assign(new Error(message), { code: 'BAD_EXTENDS' });
+}
+
+const isObject = v => !!v && typeof v === 'object' && !Array.isArray(v);
+const has      = (o, key) => Object.prototype.hasOwnProperty.call(o, key);   // Object.hasOwn needs Node 16.9
+
+/** `over` merged into `base`: objects key by key, anything else taken from `over` unless undefined. */
+function merge(base, over) {
+    const out = { ...base };
+    for (const [key, v] of Object.entries(over)) {
+        if (v !== undefined) out[key] = isObject(v) && isObject(base[key]) ? merge(base[key], v) : v;
+    }
+    return out;
+}
+
+/**
+ * `profile` with everything it inherits merged in, and no `extends`. Bases
+ * are looked up in `db`, then in `parents` — the remote DB, when `db` is the
+ * user overlay on its own. Throws BAD_EXTENDS for a base that doesn't exist
+ * and for a chain that comes back to itself.
+ */
+function inherit(profile, db, parents = null) {
+    const chain = [profile];
+    const seen  = [profile.id];
+    for (let base = profile.extends; base !== undefined;) {
+        if (seen.includes(base)) throw inheritError(`leads back to itself (${[...seen, base].join(' → ')})`);
+        const p = has(db.profiles, base) ? db.profiles[base]
+                : parents && has(parents.profiles, base) ? parents.profiles[base] : null;
+        if (!isObject(p)) throw inheritError(`names "${base}", which is not a known profile`);
+        chain.unshift(p);
+        seen.push(base);
+        base = p.extends;
+    }
+    const flat = chain.reduce(merge, {});
+    delete flat.extends;
+    return flat;
+}
+
+module.exports = { merge, inherit };
@@ -0,0 +1,523 @@
+'use strict';
+/**
+ * Print job builders. A job is a list of stages sent in order:
+ *   { name, buf, chunk, delay, pauseAfter, marks }
+ * `buf` goes out in `chunk`-byte writes `delay` ms apart, then the sender
+ * waits `pauseAfter` ms before the next stage (see lib/transport). Optional
+ * `marks` are the offsets in `buf` where commands start — the points a job
+ * cut off by a dropped link can resume from.
+ */
+
+const barcode = require('./barcode');
+const gt01    = require('./gt01');
+const niimbot = require('./niimbot');
+const phomemo = require('./phomemo');
+const qr      = require('./qr');
+const text    = require('./text');
+
+// ── ESC/POS capabilities ──────────────────────────────────────────────────────
+// A profile's `capabilities` record what --discover confirmed on the paper.
+// Only an explicit false changes anything: printing then falls back to a
+// raster (or leaves the command out). A missing key means "assume it works".
+
+const CAPABILITIES = ['bold', 'doubleWide', 'doubleHeight', 'underline', 'align', 'inverse',
+                      'raster', 'qr', 'barcode', 'density', 'feed', 'cut'];
+
+/** Whether `profile` can do `capability` natively — true unless recorded as false. */
+const can = (profile, capability) => profile.capabilities?.[capability] !== false;
+
+// End of an ESC/POS job: feed clear of the tear bar, then cut. Without ESC J
+// it feeds with line feeds; without a cutter the cut is left out.
+function escPosEnd(caps = {}) {
+    return Buffer.concat([
+        caps.feed === false ? Buffer.from('\n'.repeat(3), 'ascii')
+                            : Buffer.from([0x1B, 0x4A, 0x40]),          // ESC J 64 — feed
+        caps.cut === false ? Buffer.alloc(0)
+                           : Buffer.from([0x1D, 0x56, 0x41, 0x0A]),     // GS V A — partial cut
+    ]);
+}
+
+// ── Paper offset ──────────────────────────────────────────────────────────────
+// A profile's `paper.offsetPx` is how far right of the head's first dot the
+// printable area starts (measured with the calibration ruler, lib/calibration);
+// `paper.widthPx` is the printable width from there. Rasters are padded on the
+// left; native ESC/POS text and codes get a left margin and print area width.
+
+/** `bitmap` moved `offsetPx` dots right — as is without an offset. */
+function offsetBitmap(bitmap, offsetPx = 0) {
+    if (!offsetPx) return bitmap;
+    const { width, height, bytesPerRow, data } = bitmap;
+    const outWidth = Math.ceil((width + offsetPx) / 8) * 8;
+    const outBpr   = outWidth / 8;
+    const out      = Buffer.alloc(outBpr * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (!(data[y * bytesPerRow + (x >> 3)] & (0x80 >> (x & 7)))) continue;
+            const ox = x + offsetPx;
+            out[y * outBpr + (ox >> 3)] |= 0x80 >> (ox & 7);
+        }
+    }
+    return { width: outWidth, height, bytesPerRow: outBpr, data: out };
+}
+
+// GS L / GS W — left margin and print area width, for a printable area that
+// doesn't start at the head's first dot. Nothing without an offset.
+function escPosArea(widthPx, offsetPx = 0) {
+    if (!offsetPx) return Buffer.alloc(0);
+    return Buffer.from([0x1D, 0x4C, offsetPx & 0xFF, offsetPx >> 8, 0x1D, 0x57, widthPx & 0xFF, widthPx >> 8]);
+}
+
+// ── Test print builders ───────────────────────────────────────────────────────
+
+/**
+ * `caps`: the profile's capabilities, for the feed and cut at the end;
+ * `offsetPx` / `widthPx`: its paper offset and printable width.
+ */
+function escPosPrintBuffer(chunkSize, chunkDelay, label = 'BLE PROBE', caps = {}, offsetPx = 0, widthPx = 384) {
+    const buf = Buffer.concat([
+        Buffer.from([0x1B, 0x40]),              // ESC @ — init
+        escPosArea(widthPx, offsetPx),
+        Buffer.from([0x1B, 0x21, 0x00]),        // ESC ! — normal weight
+        Buffer.from(`${label}\n`, 'ascii'),
+        escPosEnd(caps),
+    ]);
+    return [{ name: 'print', buf, chunk: chunkSize, delay: chunkDelay, pauseAfter: 0 }];
+}
+
+// ESC/POS capability tests — one print per test, one unambiguous question.
+// Each tests the command the printing code uses, so the answer says whether
+// that code can rely on it. Code-page / symbol tests are omitted: whether a
+// symbol looks "correct" is language/region-dependent and has no universal
+// yes/no answer.
+// Returns { tests: [{key, testN, buf, question, needs}], finalN } — `needs`
+// names a test whose "no" makes this one meaningless.
+function escPosCapabilityTests(testNStart) {
+    const tests = [];
+    let n = testNStart;
+
+    const FEED = Buffer.from([0x1B, 0x4A, 0x40]);          // ESC J — feed
+    const CUT  = Buffer.from([0x1D, 0x56, 0x41, 0x0A]);    // GS V A — partial cut
+    const BAR  = rasterCmd(16, 24, Buffer.alloc(16 * 24, 0xFF));   // 128 × 24 dots of black
+
+    // Build and push one test. `body(label)` gets the post-increment value of n.
+    const add = (key, body, question, needs = null) => {
+        n++;
+        const label = `TEST ${n}`;
+        const buf = Buffer.concat([
+            Buffer.from([0x1B, 0x40]),   // ESC @ — init / reset all settings
+            body(label),
+            FEED, CUT,
+        ]);
+        tests.push({ key, testN: n, buf, question, needs });
+    };
+    // `label` between a command and the one that turns it off
+    const styled = (on, off) => label => Buffer.concat([Buffer.from(on), Buffer.from(`${label}\n`, 'ascii'), Buffer.from(off)]);
+    const line   = label => Buffer.from(`${label}\n`, 'ascii');
+
+    // Bold — text is visibly heavier regardless of language
+    add('bold',
+        styled([0x1B, 0x45, 0x01], [0x1B, 0x45, 0x00]),    // ESC E — bold on / off
+        'Does the text on the paper look noticeably thicker or heavier? (y/n): ',
+    );
+
+    // Double-wide — text occupies twice the horizontal space; universal
+    add('doubleWide',
+        styled([0x1D, 0x21, 0x10], [0x1D, 0x21, 0x00]),    // GS ! — double width / normal
+        'Is the text stretched sideways — taking up noticeably more width on the paper? (y/n): ',
+    );
+
+    // Double-height — text occupies twice the vertical space; universal
+    add('doubleHeight',
+        styled([0x1D, 0x21, 0x01], [0x1D, 0x21, 0x00]),    // GS ! — double height / normal
+        'Is the text taller — taking up noticeably more vertical space on the paper? (y/n): ',
+    );
+
+    // Underline — either a line appears beneath the text or it doesn't
+    add('underline',
+        styled([0x1B, 0x2D, 0x01], [0x1B, 0x2D, 0x00]),    // ESC - underline on / off
+        'Is there a visible line drawn directly beneath the text? (y/n): ',
+    );
+
+    // Alignment — centred text sits in the middle of the paper
+    add('align',
+        styled([0x1B, 0x61, 0x01], [0x1B, 0x61, 0x00]),    // ESC a — centre / left
+        'Is the text centred across the paper, rather than at the left edge? (y/n): ',
+    );
+
+    // Inverse — white text on a black band
+    add('inverse',
+        styled([0x1D, 0x42, 0x01], [0x1D, 0x42, 0x00]),    // GS B — reverse on / off
+        'Is the text printed white on a black background? (y/n): ',
+    );
+
+    // Raster image — GS v 0, what image printing uses
+    add('raster',
+        label => Buffer.concat([line(label), BAR]),
+        'Is there a solid black bar under the text? (y/n): ',
+    );
+
+    // QR code — GS ( k, model 2, the label as data
+    add('qr',
+        label => Buffer.concat([
+            line(label),
+            qrFn(0x41, [0x32, 0x00]), qrFn(0x43, [6]), qrFn(0x45, [0x31]),
+            qrFn(0x50, [0x30, ...Buffer.from(label, 'ascii')]), qrFn(0x51, [0x30]),
+        ]),
+        'Is there a QR code (a square of black and white blocks) under the text? (y/n): ',
+    );
+
+    // Barcode — GS k, Code 128 of the label
+    add('barcode',
+        label => {
+            const data = barcode.escPosData(barcode.encode('code128', label));
+            return Buffer.concat([line(label), Buffer.from([0x1D, 0x68, 60, 0x1D, 0x77, 2, 0x1D, 0x6B, 73, data.length]), data]);
+        },
+        'Is there a barcode (a row of vertical bars) under the text? (y/n): ',
+    );
+
+    // Print density — GS ( K fn 49: the same bar at the lightest and darkest setting
+    add('density',
+        label => Buffer.concat([
+            line(label),
+            Buffer.from([0x1D, 0x28, 0x4B, 0x02, 0x00, 0x31, 0xFA]), BAR,   // −6
+            Buffer.from([0x1B, 0x4A, 0x08]),                                // ESC J 8 — a gap
+            Buffer.from([0x1D, 0x28, 0x4B, 0x02, 0x00, 0x31, 0x06]), BAR,   // +6
+            Buffer.from([0x1D, 0x28, 0x4B, 0x02, 0x00, 0x31, 0x00]),        // back to standard
+        ]),
+        'Are there two black bars, the second clearly darker than the first? (y/n): ',
+        'raster',
+    );
+
+    // Feed — ESC J moves the paper without printing
+    add('feed',
+        label => Buffer.concat([line(label), Buffer.from([0x1B, 0x4A, 0xC8]), Buffer.from('END\n', 'ascii')]),  // ESC J 200 — 25 mm
+        `Is there a blank gap of about 2–3 cm between the label and "END"? (y/n): `,
+    );
+
+    // Cut — the GS V every job ends with
+    add('cut',
+        line,
+        'After the text, did the printer cut the paper, fully or partly? (y/n): ',
+    );
+
+    return { tests, finalN: n };
+}
+
+// Test image: black border around white field, `widthPx` wide (a multiple of 8)
+function borderBitmap(widthPx = 384, H = 32) {
+    const PB  = widthPx / 8; // paper bytes
+    const bmp = Buffer.alloc(PB * H, 0x00); // white
+    // Top + bottom border (2 rows each)
+    for (let r = 0; r < 2; r++)
+        for (let b = 0; b < PB; b++) { bmp[r * PB + b] = 0xFF; bmp[(H - 1 - r) * PB + b] = 0xFF; }
+    // Left + right border (first and last byte of each row)
+    for (let r = 0; r < H; r++) { bmp[r * PB] = 0xFF; bmp[r * PB + PB - 1] = 0xFF; }
+    return { width: PB * 8, height: H, bytesPerRow: PB, data: bmp };
+}
+
+function d1TestStages(chunkSize, chunkDelay, widthPx = 384) {
+    return d1ImageStages(borderBitmap(widthPx), chunkSize, chunkDelay);
+}
+
+function gt01TestStages(chunkSize, chunkDelay, widthPx = 384) {
+    return gt01.printStages(borderBitmap(widthPx), chunkSize, chunkDelay);
+}
+
+// Label printers: a border round the whole label, or a 32-row box on continuous paper
+function phomemoTestStages(chunkSize, chunkDelay, widthPx = 384, label = null) {
+    return phomemo.printStages([borderBitmap(widthPx, labelRows(label) || 32)], chunkSize, chunkDelay, { media: label?.type || 'continuous' });
+}
+
+function niimbotTestStages(chunkSize, chunkDelay, widthPx = 384, label = null) {
+    return niimbot.printStages([borderBitmap(widthPx, labelRows(label) || 32)], chunkSize, chunkDelay, { media: label?.type || 'continuous' });
+}
+
+// Protocols that only print bitmaps
+const RASTER_PROTOCOLS = ['d1', 'gt01', 'phomemo', 'niimbot'];
+
+/**
+ * Test print for a profile, sized to its paper: raster protocols print the
+ * border box (round the whole label on label stock), ESC/POS prints `label`.
+ */
+function testStages(profile, label) {
+    const { widthPx, offsetPx = 0 } = profile.paper;
+    if (RASTER_PROTOCOLS.includes(profile.protocol)) return imageStages(profile, borderBitmap(widthPx, labelRows(profile.paper.label) || 32));
+    return escPosPrintBuffer(profile.ble.chunkSize, profile.ble.chunkDelay, label, profile.capabilities, offsetPx, widthPx);
+}
+
+// ── Image print builders ──────────────────────────────────────────────────────
+// All take a bitmap from lib/image: rows packed MSB-first, 1 = black.
+
+const RASTER_BAND = 128; // rows per ESC/POS GS v 0 block — small printers overflow on one huge block
+
+// GS v 0 — raster bit image, normal density
+function rasterCmd(bytesPerRow, height, data) {
+    return Buffer.concat([
+        Buffer.from([0x1D, 0x76, 0x30, 0x00, bytesPerRow & 0xFF, (bytesPerRow >> 8) & 0xFF, height & 0xFF, (height >> 8) & 0xFF]),
+        data,
+    ]);
+}
+
+// ESC * 33 — one 24-dot band of a bitmap as a column-format bit image: three
+// bytes per column, top to bottom, MSB first
+function bitImageCmd(bitmap, y0) {
+    const { width, height, bytesPerRow, data } = bitmap;
+    const cols = Buffer.alloc(width * 3);
+    for (let x = 0; x < width; x++) {
+        for (let dy = 0; dy < 24 && y0 + dy < height; dy++) {
+            if (data[(y0 + dy) * bytesPerRow + (x >> 3)] & (0x80 >> (x & 7))) cols[x * 3 + (dy >> 3)] |= 0x80 >> (dy & 7);
+        }
+    }
+    return Buffer.concat([Buffer.from([0x1B, 0x2A, 33, width & 0xFF, width >> 8]), cols, Buffer.from('\n', 'ascii')]);
+}
+
+/**
+ * ESC/POS image: GS v 0 raster bands, or — for a printer recorded without
+ * `raster` in `caps` — ESC * bit image bands of 24 rows at 24-dot line spacing.
+ */
+function escPosImageStages(bitmap, chunkSize, chunkDelay, caps = {}) {
+    const { bytesPerRow, height, data } = bitmap;
+    const bitImage = caps.raster === false;
+    const parts = [Buffer.from(bitImage ? [0x1B, 0x40, 0x1B, 0x33, 24] : [0x1B, 0x40])];   // ESC @ — init (ESC 3 24 — line spacing)
+    const marks = [];
+    let   at    = parts[0].length;
+    for (let y = 0; y < height; y += bitImage ? 24 : RASTER_BAND) {
+        const h = Math.min(RASTER_BAND, height - y);
+        parts.push(bitImage ? bitImageCmd(bitmap, y) : rasterCmd(bytesPerRow, h, data.subarray(y * bytesPerRow, (y + h) * bytesPerRow)));
+        marks.push(at);
+        at += parts[parts.length - 1].length;
+    }
+    marks.push(at);
+    if (bitImage) parts.push(Buffer.from([0x1B, 0x32]));        // ESC 2 — default line spacing
+    parts.push(escPosEnd(caps));
+    return [{ name: 'image', buf: Buffer.concat(parts), chunk: chunkSize, delay: chunkDelay, pauseAfter: 0, marks }];
+}
+
+// D1: init + 1 KB wake block, then one GS v 0 image with inverted bits (0 = black), then feed + stop.
+// The short init / feed+stop commands always go at 20b/80ms; chunking applies to the bulk stages.
+function d1ImageStages(bitmap, chunkSize = 200, chunkDelay = 30) {
+    const { bytesPerRow, height } = bitmap;
+    const data = Buffer.from(bitmap.data.map(b => ~b & 0xFF));
+    return [
+        { name: 'init',      buf: Buffer.from([0x10,0xFF,0xF1,0x03, 0x10,0xFF,0x10,0x00,0x01]),                chunk: 20,  delay: 80,  pauseAfter: 500  },
+        { name: 'wake',      buf: Buffer.alloc(1024, 0x00),                                                     chunk: chunkSize, delay: chunkDelay, pauseAfter: 1000 },
+        { name: 'image',     buf: rasterCmd(bytesPerRow, height, data),                                         chunk: chunkSize, delay: chunkDelay, pauseAfter: 500  },
+        { name: 'feed+stop', buf: Buffer.concat([Buffer.from([0x1B,0x4A,0x64]), Buffer.from([0x10,0xFF,0xF1,0x45])]), chunk: 20, delay: 80, pauseAfter: 0 },
+    ];
+}
+
+// ── Labels ────────────────────────────────────────────────────────────────────
+// A profile's `paper.label` ({ heightMm, gapMm, type }) describes die-cut or
+// black-mark label stock. The printer finds the gap or mark itself; the job
+// only has to hand it one label-sized page at a time.
+
+const DOTS_PER_MM = 8; // 203 dpi heads
+
+/** Rows in one label, or null for continuous paper. */
+function labelRows(label) {
+    if (!label || label.type === 'continuous') return null;
+    return Math.round(label.heightMm * DOTS_PER_MM);
+}
+
+/**
+ * Cut `bitmap` into label-sized pages for `profile`: a short image is padded
+ * with white to the label's length, a long one goes on over as many labels as
+ * it takes. On continuous paper (or with no `paper.label`) it stays one page.
+ */
+function labelPages(profile, bitmap) {
+    const rows = labelRows(profile.paper.label);
+    if (!rows) return [bitmap];
+    const { width, bytesPerRow, height, data } = bitmap;
+    const pages = [];
+    for (let y = 0; y < Math.max(height, 1); y += rows) {
+        const page = Buffer.alloc(bytesPerRow * rows);
+        data.copy(page, 0, y * bytesPerRow, Math.min(height, y + rows) * bytesPerRow);
+        pages.push({ width, height: rows, bytesPerRow, data: page });
+    }
+    return pages;
+}
+
+/** Stages for `bitmap` in the profile's protocol, moved right by its paper offset. */
+function imageStages(profile, bitmap) {
+    const { chunkSize, chunkDelay } = profile.ble;
+    const media = profile.paper.label?.type || 'continuous';
+    bitmap = offsetBitmap(bitmap, profile.paper.offsetPx);
+    switch (profile.protocol) {
+        case 'escpos':  return escPosImageStages(bitmap, chunkSize, chunkDelay, profile.capabilities);
+        case 'd1':      return d1ImageStages(bitmap, chunkSize, chunkDelay);
+        case 'gt01':    return gt01.printStages(bitmap, chunkSize, chunkDelay);
+        case 'phomemo': return phomemo.printStages(labelPages(profile, bitmap), chunkSize, chunkDelay, { media });
+        case 'niimbot': return niimbot.printStages(labelPages(profile, bitmap), chunkSize, chunkDelay, { media });
+        default:        throw new Error(`No image encoder for protocol "${profile.protocol}"`);
+    }
+}
+
+// ── Raw bytes and text ────────────────────────────────────────────────────────
+
+/** Send `buf` as-is with the profile's chunking. */
+function rawStages(profile, buf) {
+    return [{ name: 'raw', buf: Buffer.from(buf), chunk: profile.ble.chunkSize, delay: profile.ble.chunkDelay, pauseAfter: 0 }];
+}
+
+const ESC_ALIGN = { left: 0, center: 1, right: 2 };
+
+// Laid-out lines (lib/text) as ESC/POS: ESC a for alignment, ESC E for bold,
+// GS ! 0x11 for double width + height; rules are a row of - or =
+function escPosText(lines, widthPx, caps = {}, offsetPx = 0) {
+    const cols  = text.columns(widthPx);
+    const parts = [Buffer.from([0x1B, 0x40]), escPosArea(widthPx, offsetPx)];  // ESC @ — init
+    for (const line of lines) {
+        if (line.rule) {
+            parts.push(Buffer.from([0x1B, 0x61, 0x00, 0x1B, 0x45, 0x00, 0x1D, 0x21, 0x00]));
+            parts.push(Buffer.from(`${(line.rule === 'thick' ? '=' : '-').repeat(cols)}\n`, 'ascii'));
+            continue;
+        }
+        parts.push(Buffer.from([
+            0x1B, 0x61, ESC_ALIGN[line.align],                  // ESC a n — alignment
+            0x1B, 0x45, line.bold ? 1 : 0,                      // ESC E n — bold
+            0x1D, 0x21, line.double ? 0x11 : 0x00,              // GS ! n — character size
+        ]));
+        parts.push(Buffer.from(`${line.text}\n`, 'ascii'));
+    }
+    parts.push(Buffer.from([0x1B, 0x40]));                      // ESC @ — back to defaults
+    parts.push(escPosEnd(caps));
+    return Buffer.concat(parts);
+}
+
+// Whether an ESC/POS printer can set these lines natively, going by its capabilities
+function nativeText(profile, lines) {
+    return lines.every(l => l.rule ||
+        ((l.align === 'left' || can(profile, 'align')) && (!l.bold || can(profile, 'bold')) &&
+         (!l.double || (can(profile, 'doubleWide') && can(profile, 'doubleHeight')))));
+}
+
+/**
+ * Text with lib/text markup, wrapped to the paper width. Native ESC/POS text,
+ * or drawn with the built-in font for raster protocols — and for ESC/POS
+ * printers lacking a style the text uses.
+ * Options: align ('left' | 'center' | 'right'), bold, double.
+ */
+function textStages(profile, str, opts = {}) {
+    const widthPx = profile.paper.widthPx;
+    const lines   = text.layout(str, widthPx, opts);
+    if (profile.protocol !== 'escpos' || !nativeText(profile, lines)) return imageStages(profile, text.toBitmap(lines, widthPx));
+    return [{ name: 'text', buf: escPosText(lines, widthPx, profile.capabilities, profile.paper.offsetPx), chunk: profile.ble.chunkSize, delay: profile.ble.chunkDelay, pauseAfter: 0 }];
+}
+
+// ── Barcodes and QR codes ─────────────────────────────────────────────────────
+// Native on ESC/POS (GS k, GS ( k), unless `raster` asks for a bitmap or the
+// profile's capabilities rule them out; drawn as an image otherwise. Either
+// way the code is centred.
+
+const QR_MAX_SCALE      = 16;   // GS ( k fn 167 takes 1–16 dots per module
+const QR_SCALE          = 8;    // default: the largest that fits, up to this
+const BARCODE_MAX_SCALE = 6;    // GS w takes up to 6
+const BARCODE_SCALE     = 3;
+const BARCODE_HEIGHT    = 80;   // dots, 10 mm at 203 dpi
+const HRI_POS = { none: 0, above: 1, below: 2, both: 3 };
+
+function codeError(message) {
+    return Object.assign(new Error(message), { code: 'BAD_INPUT' });
+}
+
+// `size` as given, checked against the paper, or the largest that fits up to `dflt`
+function codeScale(what, fit, size, dflt, max) {
+    if (size == null) {
+        const s = fit(dflt);
+        if (!s) throw codeError(`This ${what} is too wide for the paper even at one dot per module`);
+        return s;
+    }
+    if (!Number.isInteger(size) || size < 1 || size > max) throw codeError(`${what} size must be 1–${max} dots per module, not ${size}`);
+    const s = fit(max);
+    if (size > s) throw codeError(s ? `This ${what} fits the paper at up to ${s} dots per module, not ${size}` : `This ${what} is too wide for the paper`);
+    return size;
+}
+
+// ESC @, centre, `body`, then back to defaults, feed and cut
+function escPosCode(profile, name, body) {
+    const buf = Buffer.concat([
+        Buffer.from([0x1B, 0x40]),                              // ESC @
+        escPosArea(profile.paper.widthPx, profile.paper.offsetPx),
+        Buffer.from([0x1B, 0x61, 0x01]),                        // ESC a 1 — centre
+        body,
+        Buffer.from([0x0A, 0x1B, 0x40]),
+        escPosEnd(profile.capabilities),
+    ]);
+    return [{ name, buf, chunk: profile.ble.chunkSize, delay: profile.ble.chunkDelay, pauseAfter: 0 }];
+}
+
+// GS ( k pL pH 31 fn … — one QR code function
+function qrFn(fn, args) {
+    const len = args.length + 2;
+    return Buffer.concat([Buffer.from([0x1D, 0x28, 0x6B, len & 0xFF, len >> 8, 0x31, fn]), Buffer.from(args)]);
+}
+
+/**
+ * A QR code of `data` (string or Buffer). Options: `ec` (L, M, Q, H; default
+ * M), `size` (dots per module; default the largest that fits, up to 8),
+ * `raster` (draw it as a bitmap on ESC/POS too).
+ */
+function qrStages(profile, data, { ec = 'M', size = null, raster = false } = {}) {
+    const code  = qr.encode(data, { ec });
+    const scale = codeScale('QR code', max => qr.fitScale(code, profile.paper.widthPx, max), size, QR_SCALE, QR_MAX_SCALE);
+    if (profile.protocol !== 'escpos' || raster || !can(profile, 'qr')) return imageStages(profile, qr.toBitmap(code, profile.paper.widthPx, { scale }));
+
+    const bytes = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+    return escPosCode(profile, 'qr', Buffer.concat([
+        qrFn(0x41, [0x32, 0x00]),                               // fn 165 — model 2
+        qrFn(0x43, [scale]),                                    // fn 167 — module size
+        qrFn(0x45, [0x30 + qr.EC_LEVELS.indexOf(code.ec)]),     // fn 169 — error correction
+        qrFn(0x50, [0x30, ...bytes]),                           // fn 180 — store the data
+        qrFn(0x51, [0x30]),                                     // fn 181 — print it
+    ]));
+}
+
+/**
+ * A barcode of `type` (lib/barcode TYPES). Options: `size` (dots per module;
+ * default the largest that fits, up to 3), `height` (dots; default 80),
+ * `hri` (none, above, below, both; default below), `raster`.
+ */
+function barcodeStages(profile, type, data, { size = null, height = BARCODE_HEIGHT, hri = 'below', raster = false } = {}) {
+    const code  = barcode.encode(type, data);
+    const scale = codeScale(`${code.type} barcode`, max => barcode.fitScale(code, profile.paper.widthPx, max), size, BARCODE_SCALE, BARCODE_MAX_SCALE);
+    if (!Number.isInteger(height) || height < 1 || height > 255) throw codeError(`Barcode height must be 1–255 dots, not ${height}`);
+    if (!barcode.HRI.includes(hri)) throw codeError(`Unknown HRI position "${hri}" (use ${barcode.HRI.join(', ')})`);
+    if (profile.protocol !== 'escpos' || raster || !can(profile, 'barcode')) return imageStages(profile, barcode.toBitmap(code, profile.paper.widthPx, { scale, height, hri }));
+
+    const body = barcode.escPosData(code);
+    if (body.length > 255) throw codeError(`GS k takes up to 255 bytes of barcode data, not ${body.length}`);
+    return escPosCode(profile, 'barcode', Buffer.concat([
+        Buffer.from([0x1D, 0x48, HRI_POS[hri]]),                // GS H n — HRI position
+        Buffer.from([0x1D, 0x66, 0x00]),                        // GS f 0 — HRI in font A
+        Buffer.from([0x1D, 0x68, height]),                      // GS h n — bar height
+        Buffer.from([0x1D, 0x77, scale]),                       // GS w n — module width
+        Buffer.from([0x1D, 0x6B, barcode.ESCPOS_TYPE[code.type], body.length]), body,   // GS k m n d…
+    ]));
+}
+
+// ── Stopping ──────────────────────────────────────────────────────────────────
+
+/**
+ * Abandon a job half way: leave graphics / job mode and feed what was printed
+ * clear of the tear bar. Send it after the printer has dropped any
+ * half-received command (lib/transport SETTLE). Empty for unknown protocols.
+ */
+function stopStages(profile) {
+    const stop = {
+        escpos:  () => Buffer.from([0x1B, 0x40, 0x1B, 0x4A, 0x40]),               // ESC @, ESC J 64
+        d1:      () => Buffer.from([0x1B, 0x4A, 0x64, 0x10, 0xFF, 0xF1, 0x45]),   // ESC J 100, stop
+        gt01:    () => Buffer.concat([gt01.latticeEnd(), gt01.feed(100)]),
+        phomemo: () => Buffer.concat([Buffer.from([0x1B, 0x40]), phomemo.nextLabel(), phomemo.endJob()]),   // ESC @, next label
+        niimbot: () => Buffer.concat([niimbot.endPagePrint(), niimbot.endPrint()]),
+    }[profile.protocol];
+    return stop ? [{ name: 'stop', buf: stop(), chunk: profile.ble.chunkSize, delay: profile.ble.chunkDelay, pauseAfter: 0 }] : [];
+}
+
+module.exports = {
+    CAPABILITIES, RASTER_PROTOCOLS, can,
+    RASTER_BAND, rasterCmd, borderBitmap, offsetBitmap,
+    escPosPrintBuffer, escPosCapabilityTests, escPosImageStages,
+    d1TestStages, d1ImageStages, gt01TestStages, phomemoTestStages, niimbotTestStages,
+    labelRows, labelPages, testStages, imageStages, rawStages, escPosText, textStages,
+    qrStages, barcodeStages, stopStages,
+};
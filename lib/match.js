@@ -0,0 +1,176 @@
+'use strict';
+/**
+ * Profile matching — scores every profile against what we know about a device
+ * and returns a ranked list with a confidence value and the reasons behind it.
+ *
+ * Evidence (any field may be missing — a scan only has the advertisement):
+ *   name            advertised local name
+ *   serviceUuids    advertised or discovered service UUIDs
+ *   charUuids       discovered characteristic UUIDs (null before connecting)
+ *   manufacturerData advertisement manufacturer data (Buffer)
+ *   deviceInfo      Device Information Service (180a) fields
+ *
+ * Each profile is scored as the device would use it (effective()): inherited
+ * from its base, on the endpoint the device has, with the overrides for its
+ * 180a model / firmware applied.
+ */
+
+const { merge, inherit } = require('./inherit');
+
+function normUuid(uuid) {
+    let hex = uuid.replace(/-/g, '').toLowerCase();
+    // Expand Bluetooth SIG short UUIDs (16-bit or 32-bit) to full 128-bit form
+    if (hex.length === 4)  hex = `0000${hex}00001000800000805f9b34fb`;
+    if (hex.length === 8)  hex = `${hex}00001000800000805f9b34fb`;
+    if (hex.length !== 32) return uuid.toLowerCase();
+    return `${hex.slice(0,8)}-${hex.slice(8,12)}-${hex.slice(12,16)}-${hex.slice(16,20)}-${hex.slice(20)}`;
+}
+
+// Points per signal. Confidence is the total capped at 100, as a fraction.
+const WEIGHTS = {
+    service:      40,
+    writeChar:    15,
+    notifyChar:    5,
+    variant:      30, // name equals / starts with a listed variant
+    namePattern:  25, // name matches deviceNamePattern
+    manufacturer: 15, // advertisement manufacturer id / data prefix
+    deviceInfo:   15, // 180a fields match the profile
+};
+
+const MIN_CONFIDENCE = 0.3;
+
+// deviceNamePattern and match.deviceInfo values are case-insensitive regexes;
+// fall back to a substring test if one doesn't compile
+function matchesPattern(pattern, value) {
+    if (!pattern || !value) return false;
+    try { return new RegExp(pattern, 'i').test(value); }
+    catch { return value.toLowerCase().includes(pattern.toLowerCase()); }
+}
+
+const short = uuid => normUuid(uuid).slice(0, 8);
+
+/**
+ * Score one profile. Returns { profile, confidence, reasons } or null when the
+ * device can't be this profile (its write characteristic is missing, or there
+ * is neither a service nor a name match).
+ */
+function scoreProfile(profile, evidence) {
+    const { name = '', serviceUuids = [], charUuids = null, manufacturerData = null, deviceInfo = null } = evidence;
+    const services = serviceUuids.map(normUuid);
+    const reasons  = [];
+    let score = 0;
+
+    const serviceHit = services.includes(normUuid(profile.ble.serviceUuid));
+    if (serviceHit) { score += WEIGHTS.service; reasons.push(`service ${short(profile.ble.serviceUuid)}`); }
+
+    if (charUuids) {
+        const chars = charUuids.map(normUuid);
+        if (!chars.includes(normUuid(profile.ble.writeCharUuid))) return null;
+        score += WEIGHTS.writeChar;
+        reasons.push(`write char ${short(profile.ble.writeCharUuid)}`);
+        if (profile.ble.notifyCharUuid && chars.includes(normUuid(profile.ble.notifyCharUuid))) {
+            score += WEIGHTS.notifyChar;
+            reasons.push(`notify char ${short(profile.ble.notifyCharUuid)}`);
+        }
+    }
+
+    const variant = (profile.variants || []).find(v => name.toLowerCase().startsWith(v.toLowerCase()));
+    const nameHit = !!variant || matchesPattern(profile.deviceNamePattern, name);
+    if (variant) { score += WEIGHTS.variant; reasons.push(`name "${name}" is variant ${variant}`); }
+    else if (nameHit) { score += WEIGHTS.namePattern; reasons.push(`name "${name}" matches /${profile.deviceNamePattern}/`); }
+
+    if (!serviceHit && !nameHit) return null;
+
+    const m = profile.match || {};
+    if (manufacturerData && manufacturerData.length >= 2) {
+        const companyId = manufacturerData.readUInt16LE(0);
+        const prefixHit = m.manufacturerDataPrefix && manufacturerData.toString('hex').startsWith(m.manufacturerDataPrefix.toLowerCase());
+        if (companyId === m.manufacturerId || prefixHit) {
+            score += WEIGHTS.manufacturer;
+            reasons.push(`manufacturer data 0x${companyId.toString(16).padStart(4, '0')}`);
+        }
+    }
+
+    if (deviceInfo) {
+        const patterns = m.deviceInfo || {};
+        const fields   = Object.keys(patterns).filter(k => matchesPattern(patterns[k], deviceInfo[k]));
+        // Without explicit 180a patterns, a model string naming a variant still counts
+        const modelHit = !fields.length && deviceInfo.model &&
+            ((profile.variants || []).some(v => deviceInfo.model.toLowerCase().startsWith(v.toLowerCase())) ||
+             matchesPattern(profile.deviceNamePattern, deviceInfo.model));
+        if (fields.length || modelHit) {
+            score += WEIGHTS.deviceInfo;
+            reasons.push(`180a ${fields.length ? fields.join('+') : 'model'} "${deviceInfo[fields[0] || 'model']}"`);
+        }
+    }
+
+    const confidence = Math.min(score, 100) / 100;
+    return confidence >= MIN_CONFIDENCE ? { profile, confidence, reasons } : null;
+}
+
+/**
+ * All plausible profiles for a device, best first, each as effective()
+ * resolves it for the device. On equal confidence a profile that extends
+ * others comes before them — a model before its family.
+ */
+function rankProfiles(evidence, db) {
+    const depth = id => { let n = 0; for (let b = db.profiles[id].extends; db.profiles[b]; b = db.profiles[b].extends) n++; return n; };
+    const ranked = [];
+    for (const stored of Object.values(db.profiles)) {
+        let profile;
+        try { profile = inherit(stored, db); }
+        catch { continue; }   // its base went missing — skipped like any other invalid profile
+        const scored = scoreProfile(effective(profile, evidence), evidence);
+        if (!scored) continue;
+        for (const o of overridesFor(profile, evidence.deviceInfo)) {
+            scored.reasons.push(`override for 180a ${Object.keys(o.deviceInfo).join('+')}`);
+        }
+        ranked.push(scored);
+    }
+    return ranked.sort((a, b) => b.confidence - a.confidence
+        || depth(b.profile.id) - depth(a.profile.id) || a.profile.id.localeCompare(b.profile.id));
+}
+
+// ── Effective settings ────────────────────────────────────────────────────────
+
+/**
+ * A profile's protocol endpoints, its own first: [{ protocol, ble }], with
+ * each `endpoints` entry's ble merged over the profile's.
+ */
+function endpoints(profile) {
+    return [
+        { protocol: profile.protocol, ble: profile.ble },
+        ...(profile.endpoints || []).map(e => ({ protocol: e.protocol, ble: { ...profile.ble, ...e.ble } })),
+    ];
+}
+
+/** The profile's `overrides` whose 180a patterns all match `deviceInfo`. */
+function overridesFor(profile, deviceInfo) {
+    return (profile.overrides || []).filter(o =>
+        Object.entries(o.deviceInfo).every(([field, pattern]) => matchesPattern(pattern, deviceInfo?.[field])));
+}
+
+/**
+ * The settings a unit uses under `profile` (inherited already — see
+ * lib/inherit). The endpoint is the one for `protocol` when given, else the
+ * first whose write characteristic the unit has (`charUuids`) or, before
+ * connecting, whose service it advertises, else the profile's own. The
+ * overrides matching its `deviceInfo` go on top, in order. Returns a plain
+ * profile with that endpoint's protocol and ble and no `endpoints` or
+ * `overrides`, or null when the profile has no `protocol` endpoint.
+ */
+function effective(profile, { deviceInfo = null, charUuids = null, serviceUuids = [], protocol = null } = {}) {
+    const has = (list, uuid) => list.map(normUuid).includes(normUuid(uuid));
+    const all = endpoints(profile).filter(e => !protocol || e.protocol === protocol);
+    const end = (charUuids ? all.find(e => has(charUuids, e.ble.writeCharUuid))
+                           : all.find(e => has(serviceUuids, e.ble.serviceUuid))) || all[0];
+    if (!end) return null;
+
+    let out = { ...profile, protocol: end.protocol, ble: end.ble };
+    delete out.endpoints;
+    delete out.overrides;
+    for (const { ble, capabilities, notes } of overridesFor(profile, deviceInfo)) out = merge(out, { ble, capabilities, notes });
+    return out;
+}
+
+module.exports = { WEIGHTS, MIN_CONFIDENCE, normUuid, matchesPattern, scoreProfile, rankProfiles, endpoints, overridesFor, effective };
@@ -0,0 +1,139 @@
+'use strict';
+/**
+ * Niimbot label printer packet protocol (D11, D110, B1, B21 ...).
+ *
+ * Every command is one packet: 55 55 <cmd> <len> <data...> <xor> AA AA
+ * where <xor> is the XOR of cmd, len and the data bytes. Replies come back on
+ * the same characteristic in the same framing; the reply to GET_INFO is
+ * 0x40 + the info key, to the other queries cmd + 1.
+ *
+ * A job is START_PRINT, then per label START_PAGE_PRINT, SET_DIMENSION, the
+ * rows and END_PAGE_PRINT, then END_PRINT. The printer finds the label gap by
+ * itself. Rows are MSB first, 1 = black, as wide as the print head.
+ */
+
+const CMD = {
+    START_PRINT:       0x01,
+    START_PAGE_PRINT:  0x03,
+    SET_DIMENSION:     0x13,
+    SET_QUANTITY:      0x15,
+    SET_LABEL_DENSITY: 0x21,
+    SET_LABEL_TYPE:    0x23,
+    GET_INFO:          0x40,
+    BLANK_ROWS:        0x84,
+    BITMAP_ROW:        0x85,
+    HEARTBEAT:         0xDC,
+    END_PAGE_PRINT:    0xE3,
+    END_PRINT:         0xF3,
+};
+
+const INFO = { DENSITY: 1, LABEL_TYPE: 3, DEVICE_TYPE: 8, SOFT_VERSION: 9, BATTERY: 10, SERIAL: 11 };
+
+const LABEL_TYPE = { gap: 1, mark: 2, continuous: 3 };
+
+const DEFAULTS = {
+    density: 3,     // 1–5 (the D11 takes up to 3)
+    media:   'gap',
+};
+
+function checksum(cmd, data) {
+    let x = cmd ^ data.length;
+    for (const byte of data) x ^= byte;
+    return x;
+}
+
+function packet(cmd, data = []) {
+    const body = Buffer.from(data);
+    return Buffer.concat([
+        Buffer.from([0x55, 0x55, cmd, body.length]),
+        body,
+        Buffer.from([checksum(cmd, body), 0xAA, 0xAA]),
+    ]);
+}
+
+const u16 = n => [(n >> 8) & 0xFF, n & 0xFF]; // big-endian, unlike GT01
+
+// ── Commands ──────────────────────────────────────────────────────────────────
+
+/** Print density, 1–5. */
+const labelDensity   = n    => packet(CMD.SET_LABEL_DENSITY, [Math.min(5, Math.max(1, n))]);
+/** Media type: 'gap', 'mark' or 'continuous'. */
+const labelType      = type => packet(CMD.SET_LABEL_TYPE, [LABEL_TYPE[type] ?? LABEL_TYPE.gap]);
+const startPrint     = ()   => packet(CMD.START_PRINT, [0x01]);
+const endPrint       = ()   => packet(CMD.END_PRINT, [0x01]);
+const startPagePrint = ()   => packet(CMD.START_PAGE_PRINT, [0x01]);
+const endPagePrint   = ()   => packet(CMD.END_PAGE_PRINT, [0x01]);
+/** Page size in dots: `height` rows of `width` dots. */
+const dimension      = (height, width) => packet(CMD.SET_DIMENSION, [...u16(height), ...u16(width)]);
+/** Copies of each page. */
+const quantity       = n    => packet(CMD.SET_QUANTITY, u16(n));
+const getInfo        = key  => packet(CMD.GET_INFO, [key]);
+const heartbeat      = ()   => packet(CMD.HEARTBEAT, [0x01]);
+
+/**
+ * One row at `y` from an MSB-first, 1 = black row. The three bytes after the
+ * row number are black-dot counts the firmware doesn't check; the last header
+ * byte repeats the row.
+ */
+function bitmapRow(y, row, repeat = 1) {
+    return packet(CMD.BITMAP_ROW, [...u16(y), 0, 0, 0, repeat, ...row]);
+}
+
+/** `count` white rows from `y`. */
+const blankRows = (y, count) => packet(CMD.BLANK_ROWS, [...u16(y), count]);
+
+// ── Print job ─────────────────────────────────────────────────────────────────
+
+// One page's rows: runs of white rows as BLANK_ROWS, the others one packet each
+function pageRows({ bytesPerRow, height, data }) {
+    const packets = [];
+    for (let y = 0; y < height;) {
+        const row = data.subarray(y * bytesPerRow, (y + 1) * bytesPerRow);
+        if (row.some(b => b)) { packets.push(bitmapRow(y, row)); y++; continue; }
+        let n = 1;
+        while (y + n < height && n < 255 && !data.subarray((y + n) * bytesPerRow, (y + n + 1) * bytesPerRow).some(b => b)) n++;
+        packets.push(blankRows(y, n));
+        y += n;
+    }
+    return packets;
+}
+
+/**
+ * Stages for printing `pages` (bitmaps, one per label — see jobs.labelPages):
+ * setup and START_PRINT, each page framed by START/END_PAGE_PRINT with its
+ * rows, then END_PRINT. Each page start is a resume mark — a page cut off
+ * half way is printed again whole. `opts`: density, media.
+ */
+function printStages(pages, chunkSize, chunkDelay, opts = {}) {
+    const o = { ...DEFAULTS, ...opts };
+    const parts = [];
+    const marks = [];
+    let   at    = 0;
+    for (const page of pages) {
+        const buf = Buffer.concat([
+            startPagePrint(),
+            dimension(page.height, page.width),
+            quantity(1),
+            ...pageRows(page),
+            endPagePrint(),
+        ]);
+        marks.push(at);
+        parts.push(buf);
+        at += buf.length;
+    }
+    marks.push(at);
+
+    const setup = Buffer.concat([labelDensity(o.density), labelType(o.media), startPrint()]);
+    return [
+        { name: 'setup',  buf: setup,                chunk: chunkSize, delay: chunkDelay, pauseAfter: 100 },
+        { name: 'image',  buf: Buffer.concat(parts), chunk: chunkSize, delay: chunkDelay, pauseAfter: 500, marks },
+        { name: 'finish', buf: endPrint(),           chunk: chunkSize, delay: chunkDelay, pauseAfter: 0   },
+    ];
+}
+
+module.exports = {
+    CMD, INFO, LABEL_TYPE, DEFAULTS, checksum, packet,
+    labelDensity, labelType, startPrint, endPrint, startPagePrint, endPagePrint, dimension, quantity,
+    getInfo, heartbeat, bitmapRow, blankRows,
+    printStages,
+};
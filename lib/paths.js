@@ -0,0 +1,41 @@
+'use strict';
+/**
+ * Per-user directories. The package directory may be read-only (global
+ * installs), so nothing is written next to cli.js.
+ *
+ *   cache   downloaded data that can be fetched again
+ *           Linux $XDG_CACHE_HOME or ~/.cache, macOS ~/Library/Caches,
+ *           Windows %LOCALAPPDATA%
+ *   config  files the user owns (saved profiles)
+ *           Linux $XDG_CONFIG_HOME or ~/.config, macOS ~/Library/Application Support,
+ *           Windows %APPDATA%
+ *
+ * BLE_PRINTER_PROBE_CACHE / BLE_PRINTER_PROBE_CONFIG replace either directory.
+ */
+
+const os   = require('os');
+const path = require('path');
+
+const APP = 'ble-printer-probe';
+
+function base(kind) {
+    const home = os.homedir();
+    if (process.platform === 'win32') {
+        return kind === 'cache'
+            ? process.env.LOCALAPPDATA || path.join(home, 'AppData', 'Local')
+            : process.env.APPDATA      || path.join(home, 'AppData', 'Roaming');
+    }
+    if (process.platform === 'darwin') {
+        return path.join(home, 'Library', kind === 'cache' ? 'Caches' : 'Application Support');
+    }
+    return kind === 'cache'
+        ? process.env.XDG_CACHE_HOME  || path.join(home, '.cache')
+        : process.env.XDG_CONFIG_HOME || path.join(home, '.config');
+}
+
+/** Directory for re-fetchable data. Not created here. */
+const cacheDir  = () => process.env.BLE_PRINTER_PROBE_CACHE  || path.join(base('cache'), APP);
+/** Directory for the user's own files. Not created here. */
+const configDir = () => process.env.BLE_PRINTER_PROBE_CONFIG || path.join(base('config'), APP);
+
+module.exports = { cacheDir, configDir };
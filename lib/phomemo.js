@@ -0,0 +1,85 @@
+'use strict';
+/**
+ * Phomemo label / mini printers (M02, M110, M120, M200 ...) — ESC/POS raster
+ * with Phomemo's own setup and paper-handling commands:
+ *
+ *   1B 4E 0D <n>     print speed, 1–5
+ *   1B 4E 04 <n>     print density, 1–15
+ *   1F 11 <type>     media type: 0A gap labels, 0B continuous, 26 black mark
+ *   1D 76 30 ...     GS v 0 raster, MSB first, 1 = black
+ *   1F F0 05 00      feed to the start of the next label
+ *   1F F0 03 00      end of job
+ *   1F 11 <query>    status queries — replies are 1A <type> <value>, as on the D1
+ */
+
+const MEDIA = { gap: 0x0A, continuous: 0x0B, mark: 0x26 };
+
+const QUERY = { FIRMWARE: 0x07, BATTERY: 0x08, PAPER: 0x11, COVER: 0x12 };
+
+const DEFAULTS = {
+    speed:   5,     // 1–5
+    density: 10,    // 1–15
+    media:   'gap',
+};
+
+const BAND = 255; // rows per GS v 0 block — the M110 drops larger ones
+
+// ── Commands ──────────────────────────────────────────────────────────────────
+
+/** Print speed, 1 (slow, dark) – 5. */
+const speed      = n     => Buffer.from([0x1B, 0x4E, 0x0D, Math.min(5, Math.max(1, n))]);
+/** Print density, 1–15. */
+const density    = n     => Buffer.from([0x1B, 0x4E, 0x04, Math.min(15, Math.max(1, n))]);
+/** Media type: 'gap', 'continuous' or 'mark' — how the printer finds the next label. */
+const media      = type  => Buffer.from([0x1F, 0x11, MEDIA[type] ?? MEDIA.gap]);
+/** Feed to the start of the next label (on continuous paper: a short feed). */
+const nextLabel  = ()    => Buffer.from([0x1F, 0xF0, 0x05, 0x00]);
+const endJob     = ()    => Buffer.from([0x1F, 0xF0, 0x03, 0x00]);
+/** Feed `lines` text lines. */
+const feedLines  = lines => Buffer.from([0x1B, 0x64, lines & 0xFF]);
+const query      = what  => Buffer.from([0x1F, 0x11, what]);
+
+// GS v 0 — raster bit image, normal density
+function raster(bytesPerRow, height, data) {
+    return Buffer.concat([
+        Buffer.from([0x1D, 0x76, 0x30, 0x00, bytesPerRow & 0xFF, (bytesPerRow >> 8) & 0xFF, height & 0xFF, (height >> 8) & 0xFF]),
+        data,
+    ]);
+}
+
+// ── Print job ─────────────────────────────────────────────────────────────────
+
+/**
+ * Stages for printing `pages` (bitmaps, one per label — see jobs.labelPages):
+ * setup, each page as GS v 0 bands followed by a feed to the next label, then
+ * end of job. Each band is a resume mark. `opts`: speed, density, media.
+ */
+function printStages(pages, chunkSize, chunkDelay, opts = {}) {
+    const o = { ...DEFAULTS, ...opts };
+    const parts = [];
+    const marks = [];
+    let   at    = 0;
+    const push  = (buf, mark = false) => { if (mark) marks.push(at); parts.push(buf); at += buf.length; };
+
+    for (const { bytesPerRow, height, data } of pages) {
+        for (let y = 0; y < height; y += BAND) {
+            const h = Math.min(BAND, height - y);
+            push(raster(bytesPerRow, h, data.subarray(y * bytesPerRow, (y + h) * bytesPerRow)), true);
+        }
+        push(o.media === 'continuous' ? feedLines(2) : nextLabel());
+    }
+    marks.push(at);
+
+    const setup = Buffer.concat([Buffer.from([0x1B, 0x40]), speed(o.speed), density(o.density), media(o.media)]);
+    return [
+        { name: 'setup',  buf: setup,                chunk: chunkSize, delay: chunkDelay, pauseAfter: 100 },
+        { name: 'image',  buf: Buffer.concat(parts), chunk: chunkSize, delay: chunkDelay, pauseAfter: 0,   marks },
+        { name: 'finish', buf: endJob(),             chunk: chunkSize, delay: chunkDelay, pauseAfter: 0   },
+    ];
+}
+
+module.exports = {
+    MEDIA, QUERY, DEFAULTS,
+    speed, density, media, nextLabel, endJob, feedLines, query, raster,
+    printStages,
+};
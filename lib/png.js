@@ -0,0 +1,176 @@
+'use strict';
+/**
+ * Minimal PNG reader/writer, no dependencies beyond zlib.
+ *
+ * Writes 8-bit greyscale. Reads every non-interlaced colour type and bit depth,
+ * flattened to RGBA.
+ */
+
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+const CRC_TABLE = (() => {
+    const t = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        t[n] = c >>> 0;
+    }
+    return t;
+})();
+
+function crc32(buf) {
+    let c = 0xFFFFFFFF;
+    for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xFF] ^ (c >>> 8);
+    return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+function chunk(type, data) {
+    const len = Buffer.alloc(4);
+    len.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([len, body, crc]);
+}
+
+/**
+ * Encode an 8-bit greyscale image (0 = black, 255 = white).
+ * `gray` is a Uint8Array of width * height samples, row-major.
+ */
+function encodeGray(width, height, gray) {
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr[8]  = 8; // bit depth
+    ihdr[9]  = 0; // colour type: greyscale
+    ihdr[10] = 0; // compression
+    ihdr[11] = 0; // filter
+    ihdr[12] = 0; // interlace
+
+    // Each scanline is prefixed with filter type 0 (none)
+    const raw = Buffer.alloc((width + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw[y * (width + 1)] = 0;
+        raw.set(gray.subarray(y * width, (y + 1) * width), y * (width + 1) + 1);
+    }
+
+    return Buffer.concat([
+        SIGNATURE,
+        chunk('IHDR', ihdr),
+        chunk('IDAT', zlib.deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0)),
+    ]);
+}
+
+// ── Decoding ──────────────────────────────────────────────────────────────────
+
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }; // by colour type
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+    return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+/** Whether `buf` starts with the PNG signature. */
+const isPng = buf => buf.length >= 8 && buf.subarray(0, 8).equals(SIGNATURE);
+
+/**
+ * Decode a PNG buffer into { width, height, rgba } with 8-bit RGBA samples.
+ * Throws on anything that is not a valid, non-interlaced PNG.
+ */
+function decode(buf) {
+    if (!isPng(buf)) throw new Error('Not a PNG file');
+
+    let width, height, depth, colorType, interlace;
+    let palette = null, trns = null;
+    const idat = [];
+
+    for (let off = 8; off + 8 <= buf.length;) {
+        const len  = buf.readUInt32BE(off);
+        const type = buf.toString('ascii', off + 4, off + 8);
+        const data = buf.subarray(off + 8, off + 8 + len);
+        off += 12 + len;
+
+        if (type === 'IHDR') {
+            width     = data.readUInt32BE(0);
+            height    = data.readUInt32BE(4);
+            depth     = data[8];
+            colorType = data[9];
+            interlace = data[12];
+        } else if (type === 'PLTE') palette = data;
+        else if (type === 'tRNS') trns = data;
+        else if (type === 'IDAT') idat.push(data);
+        else if (type === 'IEND') break;
+    }
+
+    if (!width || !height || !(colorType in CHANNELS)) throw new Error('Unsupported or corrupt PNG header');
+    if (interlace) throw new Error('Interlaced PNGs are not supported — re-save without interlacing');
+    if (colorType === 3 && !palette) throw new Error('Palette PNG without PLTE chunk');
+
+    const channels = CHANNELS[colorType];
+    const bpp      = Math.max(1, (channels * depth) >> 3);        // bytes per pixel, for filtering
+    const stride   = Math.ceil((width * channels * depth) / 8);   // bytes per scanline
+    const raw      = zlib.inflateSync(Buffer.concat(idat));
+    if (raw.length < (stride + 1) * height) throw new Error('Truncated PNG image data');
+
+    // Undo scanline filters in place
+    const px = Buffer.alloc(stride * height);
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const src    = y * (stride + 1) + 1;
+        const row    = y * stride;
+        for (let x = 0; x < stride; x++) {
+            const a = x >= bpp ? px[row + x - bpp] : 0;
+            const b = y ? px[row - stride + x] : 0;
+            const c = x >= bpp && y ? px[row - stride + x - bpp] : 0;
+            const v = raw[src + x];
+            switch (filter) {
+                case 0: px[row + x] = v; break;
+                case 1: px[row + x] = v + a; break;
+                case 2: px[row + x] = v + b; break;
+                case 3: px[row + x] = v + ((a + b) >> 1); break;
+                case 4: px[row + x] = v + paeth(a, b, c); break;
+                default: throw new Error(`Bad PNG filter type ${filter}`);
+            }
+        }
+    }
+
+    // Read one sample, scaled to 0–255
+    const max = (1 << depth) - 1;
+    const sample = (y, i) => {
+        if (depth === 8)  return px[y * stride + i];
+        if (depth === 16) return px[y * stride + i * 2];
+        const bit = i * depth;
+        const v   = (px[y * stride + (bit >> 3)] >> (8 - depth - (bit & 7))) & max;
+        return colorType === 3 ? v : Math.round((v * 255) / max);
+    };
+
+    const rgba = new Uint8Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const o = (y * width + x) * 4;
+            const s = x * channels;
+            let r, g, b, a = 255;
+            switch (colorType) {
+                case 0: r = g = b = sample(y, s); break;
+                case 2: r = sample(y, s); g = sample(y, s + 1); b = sample(y, s + 2); break;
+                case 3: {
+                    const idx = sample(y, s);
+                    r = palette[idx * 3]; g = palette[idx * 3 + 1]; b = palette[idx * 3 + 2];
+                    if (trns && idx < trns.length) a = trns[idx];
+                    break;
+                }
+                case 4: r = g = b = sample(y, s); a = sample(y, s + 1); break;
+                case 6: r = sample(y, s); g = sample(y, s + 1); b = sample(y, s + 2); a = sample(y, s + 3); break;
+            }
+            rgba[o] = r; rgba[o + 1] = g; rgba[o + 2] = b; rgba[o + 3] = a;
+        }
+    }
+
+    return { width, height, rgba };
+}
+
+module.exports = { encodeGray, isPng, decode, crc32 };
@@ -0,0 +1,546 @@
+'use strict';
+/**
+ * Programmatic API — scanning, connecting and printing over noble (or any
+ * noble-compatible stack, such as lib/virtual-printer).
+ *
+ *   const { connect } = require('ble-printer-probe');
+ *   const printer = await connect('PPS1');
+ *   await printer.identify();
+ *   await printer.print('Hello');
+ *   await printer.disconnect();
+ *
+ * Nothing here logs or exits. Failures reject with an Error whose `code` says
+ * what went wrong: BLE_STATE, NOT_FOUND, AMBIGUOUS, NO_PROFILE, NO_WRITE_CHAR,
+ * NO_STATUS, BAD_INPUT, PAPER_OUT, LINK_LOST or ABORTED.
+ */
+
+const { EventEmitter } = require('events');
+const image    = require('./image');
+const jobs     = require('./jobs');
+const profiles = require('./profiles');
+const { normUuid, rankProfiles, effective } = require('./match');
+const { inherit } = require('./inherit');
+const { QUERIES: STATUS_QUERIES, queryStatus } = require('./status');
+const { detect } = require('./detect');
+const { SETTLE, sleep, runStages, resumePoint } = require('./transport');
+
+const SCAN_TIMEOUT    = 20000;
+const LOW_BATTERY     = 15;    // percent
+const PICK_WINDOW     = 3000;  // ms to keep scanning for other devices with the same name
+const CONNECT_RETRIES = 3;     // more connect attempts after a failure; also link drops survived per job
+const RETRY_BACKOFF   = 500;   // ms before the first retry, doubling after each
+const DROP_POLICIES   = ['resume', 'restart', 'stop'];
+
+// Device Information Service (180a) characteristics read by identify()
+const DIS_CHARS = {
+    [normUuid('2a29')]: 'manufacturer',
+    [normUuid('2a24')]: 'model',
+    [normUuid('2a26')]: 'firmware',
+    [normUuid('2a25')]: 'serial',
+};
+
+function printerError(code, message) {
+    return Object.assign(new Error(message), { code });
+}
+
+// Loaded on first use, so callers that bring their own stack don't need noble installed
+let defaultNoble = null;
+function loadNoble() {
+    if (!defaultNoble) defaultNoble = require('@abandonware/noble');
+    return defaultNoble;
+}
+
+/** Resolves once the adapter is powered on; rejects on any other state. */
+function poweredOn(noble) {
+    if (noble.state === 'poweredOn') return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        noble.once('stateChange', state => state === 'poweredOn'
+            ? resolve()
+            : reject(printerError('BLE_STATE', `BLE state: ${state}`)));
+    });
+}
+
+// ── Scanning ──────────────────────────────────────────────────────────────────
+
+/**
+ * A BLE scan. Events:
+ *   'device'  { id, address, name, rssi, txPower, connectable, advertisement,
+ *             peripheral, matches } — once per device, or on every
+ *             advertisement with `allowDuplicates`. `name` is null for
+ *             unnamed devices, `txPower` when advertised. A device first
+ *             seen without a name is reported again once its name arrives
+ *             (usually in the scan response).
+ *   'stop'    the scan ended (stop() or `timeout` ms)
+ *   'error'   Error — e.g. Bluetooth is off
+ * `matches` is rankProfiles() on the advertisement when a profile `db` is set.
+ */
+class Scanner extends EventEmitter {
+    constructor({ noble = null, db = null, timeout = null, allowDuplicates = false } = {}) {
+        super();
+        this.noble           = noble || loadNoble();
+        this.db              = db;
+        this.timeout         = timeout;
+        this.allowDuplicates = allowDuplicates;
+        this.scanning        = false;
+        this.stopped         = false;
+        this.seen            = new Map();   // id → name when last reported
+        this._onDiscover     = peripheral => this._discover(peripheral);
+    }
+
+    async start() {
+        await poweredOn(this.noble);
+        if (this.stopped) return;
+        this.noble.on('discover', this._onDiscover);
+        this.noble.startScanning([], this.allowDuplicates);
+        this.scanning = true;
+        if (this.timeout) this._timer = setTimeout(() => this.stop(), this.timeout);
+    }
+
+    stop() {
+        if (this.stopped) return;
+        this.stopped = true;
+        clearTimeout(this._timer);
+        if (this.scanning) {
+            this.noble.removeListener('discover', this._onDiscover);
+            this.noble.stopScanning();
+            this.scanning = false;
+        }
+        this.emit('stop');
+    }
+
+    _discover(peripheral) {
+        const advertisement = peripheral.advertisement || {};
+        const name    = advertisement.localName || null;
+        if (!this.allowDuplicates && this.seen.has(peripheral.id) && (this.seen.get(peripheral.id) || !name)) return;
+        this.seen.set(peripheral.id, name);
+
+        // Match on the advertisement alone — service UUIDs (often partial / empty), name, manufacturer data
+        const matches = this.db ? rankProfiles({
+            name:             name || '',
+            serviceUuids:     advertisement.serviceUuids || [],
+            manufacturerData: advertisement.manufacturerData || null,
+        }, this.db) : [];
+        this.emit('device', {
+            id:          peripheral.id,
+            address:     peripheral.address && peripheral.address !== 'unknown' ? peripheral.address : null,
+            name,
+            rssi:        peripheral.rssi,
+            txPower:     advertisement.txPowerLevel ?? null,
+            connectable: peripheral.connectable ?? null,
+            advertisement, peripheral, matches,
+        });
+    }
+}
+
+/** Start scanning; returns the Scanner. */
+function scan(opts) {
+    const scanner = new Scanner(opts);
+    scanner.start().catch(e => scanner.emit('error', e));
+    return scanner;
+}
+
+const MAC_RE = /^[0-9a-f]{2}([:-]?[0-9a-f]{2}){5}$/i;
+const ID_RE  = /^([0-9a-f]{12}|[0-9a-f]{32}|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+const hex    = s => s.toLowerCase().replace(/[^0-9a-f]/g, '');
+
+/**
+ * A predicate on the scanner's device objects for a target string, plus
+ * `unique` when it names one device:
+ *   "aa:bb:cc:dd:ee:ff"   address (":" / "-" optional, any case)
+ *   "id:<id>"             peripheral id as noble reports it (macOS: a UUID)
+ *   bare 12 / 32 hex digits, or a UUID   peripheral id or address
+ *   anything else         name: substring, the whole name with `exact`,
+ *                         or a case-insensitive regular expression with `regex`
+ */
+function targetMatcher(target, { exact = false, regex = false } = {}) {
+    if (target.startsWith('id:')) {
+        const id = hex(target.slice(3));
+        return { unique: true, test: d => hex(d.id) === id };
+    }
+    if (MAC_RE.test(target) || ID_RE.test(target)) {
+        const id = hex(target);
+        return { unique: true, test: d => hex(d.id) === id || (!!d.address && hex(d.address) === id) };
+    }
+    if (regex) {
+        const re = new RegExp(target, 'i');
+        return { unique: false, test: d => !!d.name && re.test(d.name) };
+    }
+    return { unique: false, test: d => exact ? d.name === target : (d.name || '').includes(target) };
+}
+
+/**
+ * Scan for a device and connect to it. `target` is a string for
+ * targetMatcher() (with `exact` / `regex`) or a predicate on the scanner's
+ * device objects. Resolves a connected Printer.
+ *
+ * A name can fit more than one device, so after the first match the scan
+ * goes on for `window` ms, then:
+ *   one candidate             connect to it
+ *   `prefer` among them       connect to that id (as soon as it is seen)
+ *   several                   `choose(candidates)` — strongest signal first —
+ *                             returns one of them or its index; without
+ *                             `choose`, rejects AMBIGUOUS with `candidates`
+ * An address or id target connects as soon as it is seen. `retries` is
+ * passed to the Printer; `onRetry` listens to its 'retry' events.
+ */
+function connect(target, { noble = null, db = null, timeout = SCAN_TIMEOUT, exact = false, regex = false,
+                           window = PICK_WINDOW, prefer = null, choose = null, retries = CONNECT_RETRIES, onRetry = null } = {}) {
+    const label = typeof target === 'function' ? 'device' : target;
+    return new Promise((resolve, reject) => {
+        const match      = typeof target === 'function' ? { unique: false, test: target } : targetMatcher(target, { exact, regex });
+        const scanner    = new Scanner({ noble, timeout });
+        const candidates = new Map();   // id → device, latest advertisement
+        let settled = false;
+        let windowTimer = null;
+
+        const pick = async () => {
+            const list = [...candidates.values()].sort((a, b) => b.rssi - a.rssi);
+            if (list.length === 1) return list[0];
+            const preferred = list.find(d => d.id === prefer);
+            if (preferred) return preferred;
+            if (!choose) {
+                throw Object.assign(printerError('AMBIGUOUS', `${list.length} devices match "${label}"`), { candidates: list });
+            }
+            const chosen = await choose(list);
+            return typeof chosen === 'number' ? list[chosen] : chosen;
+        };
+        const finish = () => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(windowTimer);
+            scanner.stop();
+            pick().then(device => {
+                if (!device) throw printerError('AMBIGUOUS', `No device chosen for "${label}"`);
+                const printer = new Printer(device.peripheral, { db, retries });
+                if (onRetry) printer.on('retry', onRetry);
+                return printer.connect();
+            }).then(resolve, reject);
+        };
+
+        scanner.on('device', device => {
+            if (settled || !match.test(device)) return;
+            candidates.set(device.id, device);
+            if (match.unique || device.id === prefer || !window) finish();
+            else if (!windowTimer) windowTimer = setTimeout(finish, window);
+        });
+        scanner.on('stop', () => {
+            if (settled) return;
+            if (candidates.size) return finish();
+            settled = true;
+            reject(printerError('NOT_FOUND', `"${label}" not found within ${timeout / 1000}s`));
+        });
+        scanner.start().catch(reject);
+    });
+}
+
+// ── Printer ───────────────────────────────────────────────────────────────────
+
+/**
+ * One connected printer. `profile` is set by identify() (best match) or use().
+ * `retries` bounds connect attempts and link drops per job (see send()).
+ * Events:
+ *   'warning'     message — a printer problem that doesn't stop a job
+ *   'disconnect'  the link went down
+ *   'retry'       { attempt, retries, error, wait } — a connect attempt failed, trying again in `wait` ms
+ *   'drop'        { at, drops } — the link went down mid-job at `at` ({ stage, offset })
+ *   'resume'      { from, restart } — the job goes on after a drop
+ */
+class Printer extends EventEmitter {
+    constructor(peripheral, { db = null, retries = CONNECT_RETRIES } = {}) {
+        super();
+        this.peripheral      = peripheral;
+        this.db              = db;
+        this.retries         = retries;
+        this.id              = peripheral.id;
+        this.address         = peripheral.address && peripheral.address !== 'unknown' ? peripheral.address : null;
+        this.name            = peripheral.advertisement?.localName || '';
+        this.services        = [];   // normalised service UUIDs
+        this.characteristics = [];   // { uuid, properties, service, _char } — UUIDs normalised, _char the stack's object
+        this.deviceInfo      = {};
+        this.matches         = [];   // rankProfiles() result
+        this.profile         = null;
+        this._subscribed     = false;
+        peripheral.on('disconnect', () => this.emit('disconnect'));
+    }
+
+    /** Negotiated MTU, when the BLE stack reports one. */
+    get mtu() { return this.peripheral.mtu || null; }
+
+    /** Whether the link is up, as far as the BLE stack knows. */
+    get connected() { return this.peripheral.state === 'connected'; }
+
+    /**
+     * Connect and read the GATT table. A failed attempt is tried again up to
+     * `retries` times, RETRY_BACKOFF ms later and doubling, with a 'retry'
+     * event before each.
+     */
+    async connect({ retries = this.retries } = {}) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this._connectOnce();
+            } catch (error) {
+                if (attempt > retries) throw error;
+                const wait = RETRY_BACKOFF * 2 ** (attempt - 1);
+                this.emit('retry', { attempt, retries, error, wait });
+                if (this.connected) await this.disconnect();   // half set up: start over
+                await sleep(wait);
+            }
+        }
+    }
+
+    async _connectOnce() {
+        this._subscribed = false;
+        await new Promise((resolve, reject) => this.peripheral.connect(err => err ? reject(err) : resolve()));
+        const { services, characteristics } = await new Promise((resolve, reject) => {
+            this.peripheral.discoverAllServicesAndCharacteristics((err, services, characteristics) =>
+                err ? reject(err) : resolve({ services, characteristics }));
+        });
+        this.services        = services.map(s => normUuid(s.uuid));
+        this.characteristics = characteristics.map(c => {
+            const service = services.find(s => (s.characteristics || []).includes(c));
+            return { uuid: normUuid(c.uuid), properties: c.properties, service: service ? normUuid(service.uuid) : null, _char: c };
+        });
+        return this;
+    }
+
+    /**
+     * Read the Device Information Service and rank the profiles. The best match
+     * becomes `profile`. `db` defaults to the one given to the constructor, then
+     * the local profiles (profiles.json with profiles.user.json over it).
+     */
+    async identify({ db = null } = {}) {
+        this.db = db || this.db || profiles.loadAll().db;
+
+        this.deviceInfo = {};
+        for (const c of this.characteristics.filter(c => DIS_CHARS[c.uuid])) {
+            const val = await new Promise(resolve => {
+                c._char.read((err, data) => resolve(err ? null : data?.toString('utf8').replace(/\0/g, '').trim()));
+            });
+            if (val) this.deviceInfo[DIS_CHARS[c.uuid]] = val;
+        }
+
+        this.matches = rankProfiles({
+            name:             this.name,
+            serviceUuids:     this.services,
+            charUuids:        this.characteristics.map(c => c.uuid),
+            manufacturerData: this.peripheral.advertisement?.manufacturerData || null,
+            deviceInfo:       this.deviceInfo,
+        }, this.db);
+        this.profile = this.matches[0]?.profile || null;
+
+        return {
+            id:              this.id,
+            name:            this.name,
+            services:        this.services,
+            characteristics: this.characteristics.map(({ uuid, properties }) => ({ uuid, properties })),
+            deviceInfo:      this.deviceInfo,
+            matches:         this.matches,
+            profile:         this.profile,
+        };
+    }
+
+    /**
+     * Work out the protocol of each writable characteristic from status
+     * replies (lib/detect) — nothing is printed. Resolves with
+     * [{ uuid, protocol, notifyCharUuid, status, answered, error }].
+     */
+    async detect({ timeout } = {}) {
+        const notify  = this.characteristics.filter(c => c.properties.includes('notify')).map(c => c._char);
+        const results = [];
+        for (const c of this.characteristics) {
+            if (!c.properties.includes('write') && !c.properties.includes('writeWithoutResponse')) continue;
+            results.push({ uuid: c.uuid, ...await detect(c._char, notify, { timeout }) });
+        }
+        return results;
+    }
+
+    /**
+     * Use a specific profile (object, or id in the DB) instead of the best
+     * match, resolved for this unit like a match is (see match.effective):
+     * `protocol` picks one of its endpoints.
+     */
+    use(profile, { protocol = null } = {}) {
+        const p = typeof profile === 'string' ? this.db?.profiles[profile] : profile;
+        if (!p) throw printerError('NO_PROFILE', `Unknown profile "${profile}"`);
+        let resolved;
+        try {
+            resolved = effective(inherit(p, this.db || { profiles: {} }), {
+                deviceInfo:   this.deviceInfo,
+                charUuids:    this.characteristics.length ? this.characteristics.map(c => c.uuid) : null,
+                serviceUuids: this.services,
+                protocol,
+            });
+        } catch (e) {
+            throw printerError('NO_PROFILE', `Profile "${p.id}" ${e.message}`);
+        }
+        if (!resolved) throw printerError('NO_PROFILE', `Profile "${p.id}" has no ${protocol} endpoint`);
+        this.profile = resolved;
+        return this;
+    }
+
+    /** The stack's characteristic object with this UUID, or null. */
+    characteristic(uuid) {
+        return uuid ? this.characteristics.find(c => c.uuid === normUuid(uuid))?._char || null : null;
+    }
+
+    get writeChar()  { return this.profile ? this.characteristic(this.profile.ble.writeCharUuid) : null; }
+    get notifyChar() { return this.profile ? this.characteristic(this.profile.ble.notifyCharUuid) : null; }
+
+    _requireProfile() {
+        if (!this.profile) throw printerError('NO_PROFILE', 'No profile — call identify() or use() first');
+        if (!this.writeChar) throw printerError('NO_WRITE_CHAR', `Write characteristic ${this.profile.ble.writeCharUuid} not found on device`);
+        return this.profile;
+    }
+
+    async _subscribe() {
+        const notify = this.notifyChar;
+        if (!notify || this._subscribed) return;
+        await new Promise(resolve => notify.subscribe(() => resolve()));
+        this._subscribed = true;
+    }
+
+    /** Query the printer: { ready, paperOut, coverOpen, overheating, battery, firmware, raw }. */
+    async status() {
+        const profile = this._requireProfile();
+        if (!STATUS_QUERIES[profile.protocol]) throw printerError('NO_STATUS', `No status query known for protocol "${profile.protocol}"`);
+        if (!this.notifyChar) throw printerError('NO_STATUS', `[${profile.id}] has no notify characteristic to read status from`);
+        return queryStatus(this.writeChar, this.notifyChar, profile.protocol);
+    }
+
+    /**
+     * Check the printer before a job. Rejects with PAPER_OUT unless `force`;
+     * cover / temperature / battery problems are 'warning' events. Printers
+     * that can't be asked, or don't answer, are assumed ready.
+     */
+    async preflight({ force = false } = {}) {
+        const profile = this._requireProfile();
+        if (!this.notifyChar || !STATUS_QUERIES[profile.protocol]) return null;
+        const st = await queryStatus(this.writeChar, this.notifyChar, profile.protocol).catch(() => null);
+        if (!st) return null;
+
+        if (st.coverOpen)   this.emit('warning', 'Printer reports the cover is open.');
+        if (st.overheating) this.emit('warning', 'Printer reports the print head is overheating.');
+        if (st.battery !== null && st.battery < LOW_BATTERY) this.emit('warning', `Printer battery low (${st.battery}%).`);
+        if (st.paperOut) {
+            if (!force) throw printerError('PAPER_OUT', 'Printer reports no paper');
+            this.emit('warning', 'Printer reports no paper — printing anyway.');
+        }
+        return st;
+    }
+
+    /**
+     * Job stages for `input`: a Buffer (sent as-is), a string (text with
+     * lib/text markup, laid out with `align` / `bold` / `double`), an image
+     * from lib/image's load() ({ width, height, rgba }, scaled to the paper and
+     * dithered with `dither`), a packed bitmap ({ width, height, bytesPerRow, data }),
+     * { qr: data } or { barcode: type, data } — with `size`, `ec`, `height`,
+     * `hri` and `raster` as in jobs.qrStages() / barcodeStages().
+     */
+    stagesFor(input, { dither = 'floyd-steinberg', align, bold, double, size, ec, height, hri, raster } = {}) {
+        const profile = this._requireProfile();
+        if (Buffer.isBuffer(input) || input instanceof Uint8Array) return jobs.rawStages(profile, input);
+        if (typeof input === 'string') return jobs.textStages(profile, input, { align, bold, double });
+        if (input?.qr != null) return jobs.qrStages(profile, input.qr, { size, ec, raster });
+        if (input?.barcode) return jobs.barcodeStages(profile, input.barcode, input.data, { size, height, hri, raster });
+        if (input?.rgba) return jobs.imageStages(profile, image.toBitmap(input, profile.paper.widthPx, { dither }));
+        if (input?.data && input.bytesPerRow) return jobs.imageStages(profile, input);
+        throw printerError('BAD_INPUT', 'print() takes a Buffer, a string, an image, a bitmap, { qr } or { barcode, data }');
+    }
+
+    /**
+     * Send job stages as they are. Hooks: `onStage`, `onStageDone` and
+     * `onProgress` as in lib/transport runStages().
+     *
+     * When the link drops mid-job the printer is reconnected, and once it has
+     * dropped the half-received command (SETTLE) the job goes on per `onDrop`:
+     *   'resume'   from the start of the command that was cut off (stage marks)
+     *   'restart'  send the stop sequence (jobs.stopStages), then the whole job again
+     *   'stop'     send the stop sequence and reject with LINK_LOST
+     *   null       reject with LINK_LOST straight away
+     * More than `retries` drops in one job also rejects LINK_LOST. Aborting
+     * `signal` (an AbortSignal) ends the job with the stop sequence and
+     * rejects with ABORTED.
+     */
+    async send(stages, { onDrop = 'resume', signal = null, ...hooks } = {}) {
+        const profile = this._requireProfile();
+        if (onDrop && !DROP_POLICIES.includes(onDrop)) throw printerError('BAD_INPUT', `Unknown onDrop "${onDrop}" (use ${DROP_POLICIES.join(', ')})`);
+        let from  = null;
+        let drops = 0;
+        for (;;) {
+            if (!this.connected) await this.connect();
+            await this._subscribe();
+
+            // One controller stops runStages for either reason; the flags say which
+            const stop    = new AbortController();
+            let droppedAt = null;
+            const onLost  = () => { droppedAt = Date.now(); stop.abort(); };
+            const onAbort = () => stop.abort();
+            this.peripheral.once('disconnect', onLost);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            if (signal?.aborted) stop.abort();
+            try {
+                await runStages(this.writeChar, stages, { ...hooks, from, signal: stop.signal });
+                return;
+            } catch (e) {
+                if (signal?.aborted) {
+                    await this._sendStop(profile, Date.now());
+                    throw printerError('ABORTED', 'Job stopped');
+                }
+                if (droppedAt === null && this.connected) throw e;   // a failed write on a working link
+                from = await this._recover(profile, stages, e.at, droppedAt ?? Date.now(), onDrop, ++drops);
+            } finally {
+                this.peripheral.removeListener('disconnect', onLost);
+                if (signal) signal.removeEventListener('abort', onAbort);
+            }
+        }
+    }
+
+    // After a drop at `at`: reconnect, then where to carry on from (null: the top)
+    async _recover(profile, stages, at, droppedAt, onDrop, drops) {
+        this.emit('drop', { at, drops });
+        const where = `in "${stages[at.stage]?.name}" at byte ${at.offset}`;
+        if (!onDrop || drops > this.retries) throw Object.assign(printerError('LINK_LOST', `Link lost ${where}`), { at });
+        try {
+            await this.connect();
+            await this._subscribe();
+        } catch (e) {
+            throw Object.assign(printerError('LINK_LOST', `Link lost ${where}; reconnecting failed: ${e.message}`), { at });
+        }
+        if (onDrop === 'resume') {
+            await sleep(Math.max(0, SETTLE - (Date.now() - droppedAt)));
+            const from = resumePoint(stages, at);
+            this.emit('resume', { from, restart: false });
+            return from;
+        }
+        await this._sendStop(profile, droppedAt);
+        if (onDrop === 'stop') throw Object.assign(printerError('LINK_LOST', `Link lost ${where} — job stopped`), { at });
+        this.emit('resume', { from: { stage: 0, offset: 0 }, restart: true });
+        return null;
+    }
+
+    // The protocol's stop sequence, once a half-received command has timed out (best effort)
+    async _sendStop(profile, since) {
+        const stop = jobs.stopStages(profile);
+        if (!stop.length || !this.connected) return;
+        await sleep(Math.max(0, SETTLE - (Date.now() - since)));
+        await runStages(this.writeChar, stop).catch(() => {});
+    }
+
+    /**
+     * Preflight, then print `input` (see stagesFor). Options: stagesFor()'s,
+     * force, plus send()'s hooks, onDrop and signal.
+     */
+    async print(input, { dither, align, bold, double, size, ec, height, hri, raster, force = false, ...sendOpts } = {}) {
+        const stages = this.stagesFor(input, { dither, align, bold, double, size, ec, height, hri, raster });
+        if (!this.connected) await this.connect();
+        await this._subscribe();
+        await this.preflight({ force });
+        await this.send(stages, sendOpts);
+    }
+
+    disconnect() {
+        return new Promise(resolve => this.peripheral.disconnect(() => resolve()));
+    }
+}
+
+module.exports = { SCAN_TIMEOUT, PICK_WINDOW, CONNECT_RETRIES, DROP_POLICIES, Scanner, Printer, scan, targetMatcher, connect };
@@ -0,0 +1,353 @@
+'use strict';
+/**
+ * Profile database — the bundled profiles.json, the downloaded copy in the
+ * user's cache, the user overlay, and filtering out entries that fail the
+ * schema.
+ *
+ * The remote DB (the community one, or any URL or local file given as the
+ * source) is downloaded into the per-user cache directory together with
+ * profiles.meta.json: source, ETag / Last-Modified, fetch time and SHA-256.
+ * That copy is used instead of the bundled profiles.json once it exists. With
+ * a manifest configured, a download is only taken when it matches the
+ * manifest's SHA-256 (and signature, given a public key).
+ *
+ * Profiles the user saves (--save, or edits by hand) live in
+ * profiles.user.json in the user's config directory, which is never
+ * downloaded over. loadAll() merges it over the remote DB by profile id and
+ * the user's copy wins; a user profile may extend a remote one (see
+ * lib/inherit). Profiles are kept as written — inheritance is resolved when
+ * one is used. The overlay may also hold
+ * `bases`: for each user profile that overrides a remote one, a hash of the
+ * remote profile it started from, so a later remote change to that profile
+ * shows up as a conflict instead of being hidden.
+ *
+ * Nothing here logs: problems come back in the result objects so the caller
+ * decides how to report them.
+ */
+
+const crypto = require('crypto');
+const fs     = require('fs');
+const http   = require('http');
+const https  = require('https');
+const path   = require('path');
+const { fileURLToPath } = require('url');
+const { cacheDir, configDir } = require('./paths');
+const { validateProfiles, formatError } = require('./schema');
+
+const PATH       = path.join(__dirname, '..', 'profiles.json');   // bundled; may be read-only
+const CACHE_PATH = path.join(cacheDir(), 'profiles.json');
+const USER_PATH  = path.join(configDir(), 'profiles.user.json');
+const URL        = 'https://raw.githubusercontent.com/derSebastian/ble-printer-probe/main/profiles.json';
+const TTL        = 7 * 24 * 60 * 60 * 1000; // 7 days
+const TIMEOUT    = 5000;
+
+// Defaults for update(); the CLI flags --profiles-source / --profiles-manifest / --profiles-key override them
+const SOURCE     = process.env.BLE_PRINTER_PROBE_PROFILES     || URL;
+const MANIFEST   = process.env.BLE_PRINTER_PROBE_MANIFEST     || null;
+const KEY        = process.env.BLE_PRINTER_PROBE_PROFILES_KEY || null;
+
+const empty = () => ({ version: 1, profiles: {} });
+
+/** Parse a profile DB file. Throws on unreadable or malformed JSON. */
+function read(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Drop profiles that fail schema validation, so one bad entry can't break
+ * matching. Fields the schema doesn't know are left in place. `parents` as
+ * for validateProfiles(). Returns { db, errors, warnings } — the problems
+ * validateProfiles() found, split on `warning`.
+ */
+function usable(db, parents = null) {
+    const problems = validateProfiles(db, parents);
+    const errors   = problems.filter(e => !e.warning);
+    const warnings = problems.filter(e => e.warning);
+    if (!errors.length) return { db, errors, warnings };
+
+    const profiles = db && typeof db.profiles === 'object' && !Array.isArray(db.profiles) ? { ...db.profiles } : {};
+    for (const e of errors) if (e.id) delete profiles[e.id];
+    const clean = { version: Number.isInteger(db?.version) ? db.version : 1, profiles };
+    if (db?.bases && typeof db.bases === 'object') clean.bases = db.bases;
+    return { db: clean, errors, warnings };
+}
+
+/**
+ * Load a profile DB file. A missing file is an empty DB; an unreadable one is
+ * an empty DB plus `error`. Its profiles may extend those in `parents`.
+ * Returns { db, errors, warnings, error }.
+ */
+function load(file = PATH, parents = null) {
+    let db;
+    try { db = read(file); }
+    catch (e) { return { db: empty(), errors: [], warnings: [], error: e.code === 'ENOENT' ? null : e }; }
+    return { ...usable(db, parents), error: null };
+}
+
+function save(db, file = PATH) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(db, null, 2));
+}
+
+const sha256 = buf => crypto.createHash('sha256').update(buf).digest('hex');
+
+// ── Cache ─────────────────────────────────────────────────────────────────────
+
+const metaPath = cache => path.join(path.dirname(cache), 'profiles.meta.json');
+
+/** The cache's metadata: { source, etag, lastModified, fetchedAt, sha256 }, or null. */
+function readMeta(cache = CACHE_PATH) {
+    try { return read(metaPath(cache)); }
+    catch { return null; }
+}
+
+/**
+ * The profile DB file in use: the cached download, unless it is missing, no
+ * longer matches the SHA-256 recorded when it was downloaded (`cacheError`
+ * says so), or is an older version than the bundled profiles.json. Returns
+ * { file, cacheError }.
+ */
+function active(cache = CACHE_PATH) {
+    if (!fs.existsSync(cache)) return { file: PATH, cacheError: null };
+    try {
+        const meta = readMeta(cache);
+        if (meta?.sha256 && meta.sha256 !== sha256(fs.readFileSync(cache))) {
+            throw new Error(`${cache} does not match the SHA-256 recorded when it was downloaded`);
+        }
+        const cached = read(cache);
+        return { file: cached.version < load(PATH).db.version ? PATH : cache, cacheError: null };
+    } catch (e) {
+        return { file: PATH, cacheError: e };
+    }
+}
+
+// ── User overlay ──────────────────────────────────────────────────────────────
+
+/** JSON with sorted keys, so equality and hashes don't depend on key order. */
+function canonical(v) {
+    if (Array.isArray(v)) return `[${v.map(canonical).join(',')}]`;
+    if (v && typeof v === 'object') {
+        return `{${Object.keys(v).sort().map(k => `${JSON.stringify(k)}:${canonical(v[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(v);
+}
+
+const profileHash = p => crypto.createHash('sha256').update(canonical(p)).digest('hex').slice(0, 16);
+
+/**
+ * Merge the user overlay over a base DB by profile id. Returns { db, added,
+ * overridden, conflicts }, each a list of ids: `added` exist only in the
+ * overlay, `overridden` replace a base profile, and `conflicts` are the
+ * overridden ones whose base profile changed since the user copy was saved.
+ */
+function merge(base, user) {
+    const db  = { version: base.version, profiles: { ...base.profiles } };
+    const out = { db, added: [], overridden: [], conflicts: [] };
+    for (const [id, p] of Object.entries(user.profiles)) {
+        const remote = base.profiles[id];
+        db.profiles[id] = p;
+        if (!remote) { out.added.push(id); continue; }
+        out.overridden.push(id);
+        const startedFrom = user.bases?.[id];
+        if (startedFrom && startedFrom !== profileHash(remote)) out.conflicts.push(id);
+    }
+    return out;
+}
+
+/**
+ * Load the remote DB (`file`, default: see active()) with the user overlay
+ * merged over it. Returns load()'s { db, errors, warnings, error } for the
+ * base file, `file` and `cacheError` (see active()), `user` (the same for the
+ * overlay) and merge()'s `added` / `overridden` / `conflicts`.
+ */
+function loadAll({ file = null, cache = CACHE_PATH, userFile = USER_PATH } = {}) {
+    const { file: baseFile, cacheError } = file ? { file, cacheError: null } : active(cache);
+    const base = load(baseFile);
+    const user = load(userFile, base.db);
+    return {
+        ...base, file: baseFile, cacheError,
+        ...merge(base.db, user.db), user: { errors: user.errors, warnings: user.warnings, error: user.error },
+    };
+}
+
+/**
+ * Write `profile` into the user overlay. The first time a profile overrides
+ * one in the remote DB (`file`, default: see active()), the remote profile's
+ * hash is recorded as its base. The overlay is rewritten as stored, so
+ * entries skipped as invalid on load aren't silently deleted.
+ */
+function saveUser(profile, { file = null, cache = CACHE_PATH, userFile = USER_PATH } = {}) {
+    const stored = fs.existsSync(userFile) ? read(userFile) : empty();
+    stored.profiles = { ...stored.profiles, [profile.id]: profile };
+
+    const remote = load(file || active(cache).file).db.profiles[profile.id];
+    if (remote && !stored.bases?.[profile.id]) stored.bases = { ...stored.bases, [profile.id]: profileHash(remote) };
+    save(stored, userFile);
+}
+
+/** Profile ids added, changed and removed going from DB `from` to DB `to`. */
+function diff(from, to) {
+    const ids = db => Object.keys(db.profiles);
+    return {
+        added:   ids(to).filter(id => !from.profiles[id]),
+        changed: ids(to).filter(id => from.profiles[id] && canonical(from.profiles[id]) !== canonical(to.profiles[id])),
+        removed: ids(from).filter(id => !to.profiles[id]),
+    };
+}
+
+// ── Remote ────────────────────────────────────────────────────────────────────
+
+const isUrl = source => /^https?:\/\//i.test(source);
+
+/** GET over http or https. Resolves { status, headers, body }. */
+function get(url, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = (url.startsWith('http:') ? http : https).get(url, { headers, timeout: TIMEOUT }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+        });
+        req.on('error', reject);
+        req.on('timeout', () => { req.destroy(); reject(new Error('timeout')); });
+    });
+}
+
+/**
+ * Read a source: an http(s) URL, a file: URL or a local path. Given the
+ * `etag` / `lastModified` of the cached copy, an unchanged URL resolves
+ * { notModified: true }; otherwise { body, etag, lastModified }.
+ */
+async function readSource(source, { etag = null, lastModified = null } = {}) {
+    if (!isUrl(source)) {
+        const file = source.startsWith('file:') ? fileURLToPath(source) : source;
+        return { body: fs.readFileSync(file), etag: null, lastModified: null, notModified: false };
+    }
+    const headers = {};
+    if (etag)         headers['If-None-Match']     = etag;
+    if (lastModified) headers['If-Modified-Since'] = lastModified;
+    const res = await get(source, headers);
+    if (res.status === 304) return { notModified: true };
+    if (res.status !== 200) throw new Error(`HTTP ${res.status} from ${source}`);
+    return { body: res.body, etag: res.headers.etag || null, lastModified: res.headers['last-modified'] || null, notModified: false };
+}
+
+/**
+ * Check a downloaded DB against a manifest — JSON { sha256, signature } read
+ * from a URL or path. `sha256` is the hex digest of the file. With a
+ * `publicKey` (PEM, or a path to one) the signature is required: base64 of an
+ * Ed25519 signature of the file (or RSA / ECDSA over SHA-256). Throws on any
+ * mismatch.
+ */
+async function verify(body, { manifest, publicKey = null }) {
+    if (!manifest) throw new Error('a public key needs a manifest to take the signature from');
+    let m;
+    try { m = JSON.parse((await readSource(manifest)).body.toString('utf8')); }
+    catch (e) { throw new Error(`manifest ${manifest}: ${e.message}`); }
+
+    if (!m?.sha256 && !publicKey) throw new Error(`manifest ${manifest} has no sha256`);
+    const digest = sha256(body);
+    if (m.sha256 && String(m.sha256).toLowerCase() !== digest) {
+        throw new Error(`SHA-256 mismatch: manifest says ${m.sha256}, download is ${digest}`);
+    }
+    if (!publicKey) return;
+
+    if (!m.signature) throw new Error(`manifest ${manifest} has no signature`);
+    const key = crypto.createPublicKey(publicKey.includes('-----BEGIN') ? publicKey : fs.readFileSync(publicKey));
+    const alg = ['ed25519', 'ed448'].includes(key.asymmetricKeyType) ? null : 'sha256';
+    if (!crypto.verify(alg, body, key, Buffer.from(m.signature, 'base64'))) throw new Error('signature check failed');
+}
+
+/**
+ * Fetch, verify (when a `manifest` or `publicKey` is given) and validate a
+ * profile DB from `source`. Resolves readSource()'s result plus usable()'s
+ * `db` (invalid entries dropped), `errors` and `warnings`. Rejects on HTTP,
+ * read, verification or parse errors, and when the DB itself (not one of its
+ * entries) is invalid.
+ */
+async function fetchRemote(source = SOURCE, { etag, lastModified, manifest = null, publicKey = null } = {}) {
+    const got = await readSource(source, { etag, lastModified });
+    if (got.notModified) return got;
+    if (manifest || publicKey) await verify(got.body, { manifest, publicKey });
+
+    const checked = usable(JSON.parse(got.body.toString('utf8')));
+    const broken  = checked.errors.find(e => !e.id);
+    if (broken) throw new Error(`remote profiles failed validation: ${formatError(broken)}`);
+    return { ...got, ...checked };
+}
+
+/**
+ * Load the merged DB (see loadAll()), first refreshing the cache from
+ * `source` once the last fetch is older than TTL, the source changed, or
+ * always with `force`. The fetch is conditional on the cached ETag /
+ * Last-Modified. A download that isn't an older version than the DB in use
+ * is written to the cache, and the replaced cache file kept as
+ * profiles.json.bak. Profiles missing from the download are removed — the
+ * remote retired them — except on the first download (no profiles.meta.json
+ * yet): then the DB in use is the bundled profiles.json, where profiles were
+ * saved before the overlay existed, and the ones the remote doesn't have are
+ * moved into the overlay instead of dropped, each with its own hash as its
+ * base — should the remote add the id later, a different profile there shows
+ * as a conflict rather than being silently overridden.
+ *
+ * `dryRun` always fetches and writes nothing.
+ *
+ * Returns loadAll()'s result plus `updated` (the download changed the DB),
+ * `notModified` (the server said the cache is current), `changes` (diff()
+ * from the DB in use to the download, null when not fetched), `kept` (ids
+ * moved into the overlay; the rest of `changes.removed` are gone),
+ * `download` (fetchRemote()'s { errors, warnings } — entries of the download
+ * skipped as invalid, null when not fetched) and `remoteError` (the fetch or
+ * verification failed — the DB in use stays).
+ */
+async function update({
+    force = false, dryRun = false,
+    source = SOURCE, manifest = MANIFEST, publicKey = KEY,
+    cache = CACHE_PATH, userFile = USER_PATH,
+} = {}) {
+    const result = { ...loadAll({ cache, userFile }), updated: false, notModified: false, changes: null, kept: [], download: null, remoteError: null };
+
+    const meta   = readMeta(cache);
+    const cached = meta?.source === source && result.file === cache;
+    const fresh  = cached && Date.now() - Date.parse(meta.fetchedAt) < TTL;
+    if (!force && !dryRun && fresh) return result;
+
+    let remote;
+    try { remote = await fetchRemote(source, { ...(cached ? meta : {}), manifest, publicKey }); }
+    catch (e) { return { ...result, remoteError: e }; }
+
+    const now      = new Date().toISOString();
+    const download = remote.notModified ? null : { errors: remote.errors, warnings: remote.warnings };
+    if (remote.notModified) {
+        if (!dryRun) save({ ...meta, fetchedAt: now }, metaPath(cache));
+        return { ...result, notModified: true, changes: { added: [], changed: [], removed: [] } };
+    }
+
+    const local   = load(result.file).db;
+    const changes = diff(local, remote.db);
+    const user    = fs.existsSync(userFile) ? read(userFile) : empty();
+    const skipped = id => remote.errors.some(e => e.id === id);
+    const kept    = meta ? [] : changes.removed.filter(id => !user.profiles?.[id] && !skipped(id));
+    if (dryRun) return { ...result, changes, kept, download };
+    if (remote.db.version < local.version) return { ...result, changes, download };
+
+    const differs = changes.added.length || changes.changed.length || changes.removed.length;
+    if (differs && fs.existsSync(cache)) fs.copyFileSync(cache, `${cache}.bak`);
+    if (kept.length) {
+        user.profiles = { ...user.profiles, ...Object.fromEntries(kept.map(id => [id, local.profiles[id]])) };
+        user.bases    = { ...user.bases, ...Object.fromEntries(kept.map(id => [id, profileHash(local.profiles[id])])) };
+        save(user, userFile);
+    }
+    fs.mkdirSync(path.dirname(cache), { recursive: true });
+    fs.writeFileSync(cache, remote.body);
+    save({ source, etag: remote.etag, lastModified: remote.lastModified, fetchedAt: now, sha256: sha256(remote.body) }, metaPath(cache));
+    return {
+        ...loadAll({ cache, userFile }), cacheError: result.cacheError,
+        updated: !!differs, notModified: false, changes, kept, download, remoteError: null,
+    };
+}
+
+module.exports = {
+    PATH, CACHE_PATH, USER_PATH, URL, TTL, SOURCE, MANIFEST,
+    read, usable, load, save, canonical, profileHash, readMeta, active, merge, loadAll, saveUser, diff,
+    readSource, verify, fetchRemote, update,
+};
@@ -0,0 +1,113 @@
+'use strict';
+/**
+ * Discovery prompts — asked on the terminal, or answered from an answers file
+ * and --yes / --no so the whole flow can run unattended.
+ *
+ * Answers file: a flat JSON object.
+ *   model, brand, paperWidthMm, app      context questions
+ *   label                                label size as "40x30" (mm), empty for a paper roll
+ *   print.<profileId>                    phase 1: did the known-profile test print?
+ *   probe.escpos.<uuid>, probe.d1.<uuid>, probe.gt01.<uuid>,
+ *   probe.phomemo.<uuid>, probe.niimbot.<uuid>
+ *                                        phase 2 probe rounds
+ *   capability.<key>                     ESC/POS capability tests (bold, align, raster, qr, cut, ...)
+ *   calibrate                            print the calibration ruler?
+ *   rulerStartMm, rulerEndMm             the mm marks where the ruler starts / ends on the paper
+ *   benchmark.ok                         --benchmark: did the winning setting print cleanly?
+ *   device                               several devices match the name: which one (1 = first listed)
+ *
+ * Yes/no keys fall back to their shorter prefixes — `probe.escpos` answers
+ * every Round A char, `probe` every probe — and UUIDs may be short ("ff02").
+ * Values are booleans or "y"/"n". Anything unanswered takes the supplied
+ * fallback (usually 180a data) for questions, and --yes / --no (default no)
+ * for confirmations.
+ */
+
+const fs       = require('fs');
+const readline = require('readline');
+const { normUuid } = require('./match');
+
+function loadAnswers(file) {
+    const answers = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!answers || typeof answers !== 'object' || Array.isArray(answers)) throw new Error('answers file must contain a JSON object');
+    return answers;
+}
+
+const isUuid = s => /^[0-9a-f-]{4,36}$/i.test(s) && s.replace(/-/g, '').length >= 4;
+
+function toBool(v) {
+    if (typeof v === 'boolean') return v;
+    return String(v).trim().toLowerCase().startsWith('y');
+}
+
+class Prompter {
+    /**
+     * `answers` — parsed answers file, or null.
+     * `defaultYes` — true (--yes), false (--no) or null.
+     * Either one makes the prompter unattended: it never reads the terminal.
+     * `onAnswer(key, value)` sees every answer, e.g. to record a session.
+     */
+    constructor({ answers = null, defaultYes = null, onAnswer = () => {} } = {}) {
+        this.answers     = answers;
+        this.defaultYes  = defaultYes;
+        this.interactive = !answers && defaultYes === null;
+        this.onAnswer    = onAnswer;
+        this.rl          = null;
+    }
+
+    ask(question) {
+        if (!this.rl) this.rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+        return new Promise(resolve => this.rl.question(question, resolve));
+    }
+
+    /** Look up an answer; the last key part may be a UUID and is compared normalised. */
+    lookup(parts) {
+        if (!this.answers) return undefined;
+        for (let n = parts.length; n > 0; n--) {
+            const head = parts.slice(0, n);
+            const last = head[head.length - 1];
+            for (const [key, value] of Object.entries(this.answers)) {
+                const kp = key.split('.');
+                if (kp.length !== head.length) continue;
+                const same = kp.every((p, i) => p === head[i] ||
+                    (i === head.length - 1 && isUuid(p) && isUuid(last) && normUuid(p) === normUuid(last)));
+                if (same) return value;
+            }
+        }
+        return undefined;
+    }
+
+    /** Free-text question. Returns the answer, or `fallback` when skipped / unanswered. */
+    async text(key, question, fallback = null) {
+        let answer;
+        if (this.interactive) {
+            answer = (await this.ask(question)) || fallback;
+        } else {
+            const v = this.lookup([key]);
+            answer = v === undefined || v === null || v === '' ? fallback : String(v);
+            console.log(`${question}${answer ?? ''}`);
+        }
+        this.onAnswer(key, answer);
+        return answer;
+    }
+
+    /** Yes/no question. `parts` is the answer key, e.g. ['probe', 'escpos', uuid]. */
+    async confirm(parts, question) {
+        let answer;
+        if (this.interactive) {
+            answer = (await this.ask(question)).toLowerCase().startsWith('y');
+        } else {
+            const v = this.lookup(parts);
+            answer = v === undefined ? !!this.defaultYes : toBool(v);
+            console.log(`${question}${answer ? 'y' : 'n'}  [${v === undefined ? 'default' : 'answers'}]`);
+        }
+        this.onAnswer(parts.join('.'), answer);
+        return answer;
+    }
+
+    close() {
+        if (this.rl) this.rl.close();
+    }
+}
+
+module.exports = { Prompter, loadAnswers };
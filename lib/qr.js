@@ -0,0 +1,359 @@
+'use strict';
+/**
+ * QR code encoder (ISO/IEC 18004, model 2) — byte mode, versions 1–40,
+ * error correction L / M / Q / H. The smallest version that holds the data
+ * is used, and the mask with the lowest penalty score, as printers do for
+ * ESC/POS `GS ( k`.
+ *
+ *   const code = qr.encode('https://example.com', { ec: 'M' });
+ *   code.size;                 // modules per side
+ *   code.dark(x, y);           // true for a black module
+ *   qr.toBitmap(code, 384, { scale: 6 });
+ */
+
+const EC_LEVELS = ['L', 'M', 'Q', 'H'];
+const QUIET     = 4;   // modules of white border the spec asks for
+
+// Format information bits per level
+const EC_FORMAT = { L: 1, M: 0, Q: 3, H: 2 };
+
+// Per version (index 1–40): error correction codewords per block, and number of blocks
+const EC_PER_BLOCK = {
+    L: [0, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    M: [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    Q: [0, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    H: [0, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+};
+const BLOCKS = {
+    L: [0, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    M: [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    Q: [0, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    H: [0, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+};
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0,
+];
+
+function qrError(message) {
+    return Object.assign(new Error(message), { code: 'BAD_INPUT' });
+}
+
+// ── Capacity ──────────────────────────────────────────────────────────────────
+
+// Modules left for data + error correction once the function patterns are placed
+function rawModules(ver) {
+    let n = (16 * ver + 128) * ver + 64;
+    if (ver >= 2) {
+        const align = Math.floor(ver / 7) + 2;
+        n -= (25 * align - 10) * align - 55;
+        if (ver >= 7) n -= 36;
+    }
+    return n;
+}
+
+const dataCodewords = (ver, ec) => Math.floor(rawModules(ver) / 8) - EC_PER_BLOCK[ec][ver] * BLOCKS[ec][ver];
+const countBits     = ver => ver < 10 ? 8 : 16;
+
+/** Most bytes a QR code can hold at level `ec` (2953 at L). */
+const capacity = (ec = 'M') => Math.floor((dataCodewords(40, ec) * 8 - 4 - countBits(40)) / 8);
+
+// ── Reed-Solomon over GF(256), polynomial 0x11D ───────────────────────────────
+
+function gfMul(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function rsDivisor(degree) {
+    const poly = new Array(degree).fill(0);
+    poly[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            poly[j] = gfMul(poly[j], root);
+            if (j + 1 < degree) poly[j] ^= poly[j + 1];
+        }
+        root = gfMul(root, 0x02);
+    }
+    return poly;
+}
+
+/** Error correction codewords for `data` (byte array) with a divisor from rsDivisor(). */
+function rsRemainder(data, divisor) {
+    const rem = new Array(divisor.length).fill(0);
+    for (const b of data) {
+        const factor = b ^ rem.shift();
+        rem.push(0);
+        divisor.forEach((coef, i) => { rem[i] ^= gfMul(coef, factor); });
+    }
+    return rem;
+}
+
+// ── Codewords ─────────────────────────────────────────────────────────────────
+
+// Mode indicator, count, data, terminator and padding, as codewords
+function dataBits(bytes, ver, ec) {
+    const bits = [];
+    const put  = (value, n) => { for (let i = n - 1; i >= 0; i--) bits.push((value >>> i) & 1); };
+    const cap  = dataCodewords(ver, ec) * 8;
+    put(0b0100, 4);                                    // byte mode
+    put(bytes.length, countBits(ver));
+    for (const b of bytes) put(b, 8);
+    put(0, Math.min(4, cap - bits.length));            // terminator
+    put(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < cap; pad ^= 0xEC ^ 0x11) put(pad, 8);
+
+    const words = [];
+    for (let i = 0; i < bits.length; i += 8) words.push(bits.slice(i, i + 8).reduce((w, bit) => (w << 1) | bit, 0));
+    return words;
+}
+
+// Split into blocks, add error correction, interleave
+function codewords(data, ver, ec) {
+    const blocks   = BLOCKS[ec][ver];
+    const ecLen    = EC_PER_BLOCK[ec][ver];
+    const raw      = Math.floor(rawModules(ver) / 8);
+    const short    = blocks - raw % blocks;             // blocks one data codeword shorter
+    const shortLen = Math.floor(raw / blocks);
+    const divisor  = rsDivisor(ecLen);
+
+    const all = [];
+    for (let i = 0, k = 0; i < blocks; i++) {
+        const dat = data.slice(k, k + shortLen - ecLen + (i < short ? 0 : 1));
+        k += dat.length;
+        const ecc = rsRemainder(dat, divisor);
+        if (i < short) dat.push(0);
+        all.push(dat.concat(ecc));
+    }
+    const out = [];
+    for (let i = 0; i < all[0].length; i++) {
+        all.forEach((block, j) => {
+            if (i !== shortLen - ecLen || j >= short) out.push(block[i]);   // skip the short blocks' filler
+        });
+    }
+    return out;
+}
+
+// ── Matrix ────────────────────────────────────────────────────────────────────
+
+class Matrix {
+    constructor(ver) {
+        this.size     = ver * 4 + 17;
+        this.modules  = new Uint8Array(this.size * this.size);
+        this.function = new Uint8Array(this.size * this.size);
+    }
+
+    get(x, y) { return this.modules[y * this.size + x] === 1; }
+
+    set(x, y, dark) { this.modules[y * this.size + x] = dark ? 1 : 0; }
+
+    fix(x, y, dark) {
+        this.set(x, y, dark);
+        this.function[y * this.size + x] = 1;
+    }
+
+    isFunction(x, y) { return this.function[y * this.size + x] === 1; }
+}
+
+function alignmentPositions(ver) {
+    if (ver === 1) return [];
+    const n    = Math.floor(ver / 7) + 2;
+    const step = ver === 32 ? 26 : Math.ceil((ver * 4 + 4) / (n * 2 - 2)) * 2;
+    const out  = [6];
+    for (let pos = ver * 4 + 10; out.length < n; pos -= step) out.splice(1, 0, pos);
+    return out;
+}
+
+function drawFunctionPatterns(m, ver, ec) {
+    const { size } = m;
+    for (let i = 0; i < size; i++) {                    // timing
+        m.fix(6, i, i % 2 === 0);
+        m.fix(i, 6, i % 2 === 0);
+    }
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {   // finders + separators
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx, y = cy + dy;
+                const d = Math.max(Math.abs(dx), Math.abs(dy));
+                if (x >= 0 && x < size && y >= 0 && y < size) m.fix(x, y, d !== 2 && d !== 4);
+            }
+        }
+    }
+    const pos  = alignmentPositions(ver);
+    const last = pos.length - 1;
+    pos.forEach((cx, i) => pos.forEach((cy, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;   // finder corners
+        for (let dy = -2; dy <= 2; dy++)
+            for (let dx = -2; dx <= 2; dx++) m.fix(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }));
+    drawFormat(m, ec, 0);                               // reserves the format area
+    if (ver >= 7) {
+        let rem = ver;
+        for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+        const bits = (ver << 12) | rem;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + i % 3, b = Math.floor(i / 3);
+            m.fix(a, b, dark);
+            m.fix(b, a, dark);
+        }
+    }
+}
+
+function drawFormat(m, ec, mask) {
+    const { size } = m;
+    const data = (EC_FORMAT[ec] << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit  = i => ((bits >>> i) & 1) === 1;
+
+    for (let i = 0; i <= 5; i++) m.fix(8, i, bit(i));   // around the top-left finder
+    m.fix(8, 7, bit(6));
+    m.fix(8, 8, bit(7));
+    m.fix(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) m.fix(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) m.fix(size - 1 - i, 8, bit(i));      // split over the other two
+    for (let i = 8; i < 15; i++) m.fix(8, size - 15 + i, bit(i));
+    m.fix(8, size - 8, true);                           // the dark module
+}
+
+// Codeword bits in the two-column zigzag, right to left, skipping function modules
+function drawCodewords(m, words) {
+    const { size } = m;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;                     // the vertical timing pattern
+        const upward = ((right + 1) & 2) === 0;
+        for (let v = 0; v < size; v++) {
+            const y = upward ? size - 1 - v : v;
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                if (m.isFunction(x, y) || i >= words.length * 8) continue;
+                m.set(x, y, ((words[i >>> 3] >>> (7 - (i & 7))) & 1) === 1);
+                i++;
+            }
+        }
+    }
+}
+
+function applyMask(m, mask) {
+    const fn = MASKS[mask];
+    for (let y = 0; y < m.size; y++)
+        for (let x = 0; x < m.size; x++)
+            if (!m.isFunction(x, y) && fn(x, y)) m.set(x, y, !m.get(x, y));
+}
+
+// The spec's penalty rules: long runs, 2×2 blocks, finder look-alikes, dark/light balance
+function penalty(m) {
+    const { size } = m;
+    const FINDER = [1, 0, 1, 1, 1, 0, 1];
+    let score = 0;
+    let dark  = 0;
+
+    const line = (get) => {
+        let run = 1;
+        for (let i = 1; i <= size; i++) {
+            if (i < size && get(i) === get(i - 1)) { run++; continue; }
+            if (run >= 5) score += run - 2;
+            run = 1;
+        }
+        for (let i = 0; i + 7 <= size; i++) {
+            if (!FINDER.every((b, k) => get(i + k) === (b === 1))) continue;
+            const light = (from, to) => { for (let k = from; k < to; k++) if (k >= 0 && k < size && get(k)) return false; return true; };
+            if (light(i - 4, i) || light(i + 7, i + 11)) score += 40;
+        }
+    };
+    for (let y = 0; y < size; y++) line(x => m.get(x, y));
+    for (let x = 0; x < size; x++) line(y => m.get(x, y));
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const c = m.get(x, y);
+            if (c) dark++;
+            if (x + 1 < size && y + 1 < size && c === m.get(x + 1, y) && c === m.get(x, y + 1) && c === m.get(x + 1, y + 1)) score += 3;
+        }
+    }
+    const total = size * size;
+    score += Math.floor(Math.abs(dark * 20 - total * 10) / total) * 10;
+    return score;
+}
+
+// ── Public ────────────────────────────────────────────────────────────────────
+
+/**
+ * Encode `data` (a string, as UTF-8, or a Buffer). Options: `ec` (default
+ * 'M'), `mask` (0–7; default: the best). Returns { version, size, ec, mask,
+ * modules, dark(x, y) } — `modules` is size × size, row by row, 1 = dark.
+ * Data too long for a version 40 code throws with code BAD_INPUT.
+ */
+function encode(data, { ec = 'M', mask = null } = {}) {
+    ec = String(ec).toUpperCase();
+    if (!EC_LEVELS.includes(ec)) throw qrError(`Unknown error correction level "${ec}" (use ${EC_LEVELS.join(', ')})`);
+    if (mask !== null && !(mask >= 0 && mask <= 7)) throw qrError(`Mask must be 0–7, not ${mask}`);
+    const bytes = Buffer.isBuffer(data) ? [...data] : [...Buffer.from(String(data), 'utf8')];
+
+    let ver = 1;
+    while (ver <= 40 && 4 + countBits(ver) + bytes.length * 8 > dataCodewords(ver, ec) * 8) ver++;
+    if (ver > 40) throw qrError(`${bytes.length} bytes is too much for a QR code at level ${ec} (at most ${capacity(ec)})`);
+
+    const m = new Matrix(ver);
+    drawFunctionPatterns(m, ver, ec);
+    drawCodewords(m, codewords(dataBits(bytes, ver, ec), ver, ec));
+
+    if (mask === null) {
+        let best = Infinity;
+        for (let k = 0; k < MASKS.length; k++) {
+            applyMask(m, k);
+            drawFormat(m, ec, k);
+            const score = penalty(m);
+            if (score < best) { best = score; mask = k; }
+            applyMask(m, k);                            // XOR undoes it
+        }
+    }
+    applyMask(m, mask);
+    drawFormat(m, ec, mask);
+
+    const { size, modules } = m;
+    return { version: ver, size, ec, mask, modules, dark: (x, y) => modules[y * size + x] === 1 };
+}
+
+/**
+ * Draw a code as a `widthPx`-wide bitmap (rows MSB-first, 1 = black),
+ * centred, `scale` dots per module with the quiet zone above and below.
+ */
+function toBitmap(code, widthPx, { scale = 4 } = {}) {
+    const side = code.size * scale;
+    if (side > widthPx) throw qrError(`A ${code.size}-module QR code at ${scale} dots per module is ${side} dots wide; the paper is ${widthPx}`);
+    const bytesPerRow = Math.ceil(widthPx / 8);
+    const height      = side + 2 * QUIET * scale;
+    const data        = Buffer.alloc(bytesPerRow * height);
+    const left        = Math.floor((widthPx - side) / 2);
+    for (let y = 0; y < side; y++) {
+        const row = (y + QUIET * scale) * bytesPerRow;
+        for (let x = 0; x < side; x++) {
+            if (code.dark(Math.floor(x / scale), Math.floor(y / scale))) data[row + ((left + x) >> 3)] |= 0x80 >> ((left + x) & 7);
+        }
+    }
+    return { width: widthPx, height, bytesPerRow, data };
+}
+
+/** Largest module scale (up to `max`) at which a code fits `widthPx` with its quiet zone; 0 if none. */
+function fitScale(code, widthPx, max = 16) {
+    for (let s = max; s >= 1; s--) if ((code.size + 2 * QUIET) * s <= widthPx) return s;
+    return 0;
+}
+
+module.exports = { EC_LEVELS, QUIET, capacity, rsDivisor, rsRemainder, encode, toBitmap, fitScale };
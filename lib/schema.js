@@ -0,0 +1,133 @@
+'use strict';
+/**
+ * Profile database validation against profiles.schema.json.
+ *
+ * A small JSON Schema (draft-07) subset — just the keywords the profile schema
+ * uses: type, required, properties, additionalProperties, items, enum, anyOf,
+ * allOf, pattern, minLength, minimum, maximum, multipleOf and local $refs. A
+ * keyword's `description`, when present, is used as the failure message.
+ *
+ * A field the schema doesn't know (additionalProperties: false) is a warning,
+ * not an error: a DB written for a newer version of this tool adds fields,
+ * and older copies should still take the rest of the entry.
+ *
+ * A profile that `extends` another is checked with what it inherits merged in
+ * (lib/inherit), so it only needs the fields that differ.
+ */
+
+const SCHEMA = require('../profiles.schema.json');
+const { inherit } = require('./inherit');
+
+function typeOf(v) {
+    if (v === null) return 'null';
+    if (Array.isArray(v)) return 'array';
+    if (Number.isInteger(v)) return 'integer';
+    return typeof v;
+}
+
+function typeMatches(v, type) {
+    const actual = typeOf(v);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolve(schema, root) {
+    while (schema.$ref) {
+        const parts = schema.$ref.replace(/^#\//, '').split('/');
+        schema = parts.reduce((node, key) => node[key], root);
+    }
+    return schema;
+}
+
+/**
+ * Validate `value` against `schema`; appends { path, message } objects to
+ * `errors`, with `warning: true` for unknown fields.
+ */
+function check(schema, value, path, errors, root = schema) {
+    schema = resolve(schema, root);
+    const fail = message => errors.push({ path, message: schema.description ? `must be ${schema.description}` : message });
+
+    if (schema.anyOf) {
+        const passed = schema.anyOf.map(s => { const e = []; check(s, value, path, e, root); return e; })
+            .find(e => e.every(x => x.warning));
+        if (passed) errors.push(...passed);
+        else fail('does not match any allowed form');
+        return;
+    }
+    if (schema.allOf) {
+        for (const s of schema.allOf) check(s, value, path, errors, root);
+        return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return fail(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(t => typeMatches(value, t))) return fail(`must be ${types.join(' or ')}, got ${typeOf(value)}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength != null && value.length < schema.minLength) fail(`must be at least ${schema.minLength} character(s)`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum != null && value < schema.minimum) fail(`must be ≥ ${schema.minimum}`);
+        if (schema.maximum != null && value > schema.maximum) fail(`must be ≤ ${schema.maximum}`);
+        if (schema.multipleOf && value % schema.multipleOf !== 0) fail(`must be a multiple of ${schema.multipleOf}`);
+    }
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => check(schema.items, item, [...path, i], errors, root));
+    }
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push({ path: [...path, key], message: 'is required' });
+        }
+        const props = schema.properties || {};
+        for (const [key, v] of Object.entries(value)) {
+            if (props[key]) check(props[key], v, [...path, key], errors, root);
+            else if (schema.additionalProperties === false) errors.push({ path: [...path, key], message: 'is not a known field', warning: true });
+            else if (schema.additionalProperties) check(schema.additionalProperties, v, [...path, key], errors, root);
+        }
+    }
+}
+
+/**
+ * Validate a parsed profile database. `extends` may name a profile in
+ * `parents` as well — the remote DB, when `db` is the user overlay.
+ * Returns [{ id, field, message, warning }] — `id` is the profile key (null
+ * for top-level problems), `field` the dotted path inside that profile and
+ * `warning` true for an unknown field, which doesn't make the entry invalid.
+ */
+function validateProfiles(db, parents = null) {
+    const raw = [];
+    const top = { ...SCHEMA, properties: { ...SCHEMA.properties, profiles: { type: 'object' } } };
+    check(top, db, [], raw);
+
+    if (typeOf(db?.profiles) === 'object') {
+        for (const [key, p] of Object.entries(db.profiles)) {
+            const path = ['profiles', key];
+            let profile = p;
+            if (typeOf(p) === 'object' && p.extends !== undefined) {
+                try { profile = { ...inherit(p, db, parents), extends: p.extends }; }
+                catch (e) { raw.push({ path: [...path, 'extends'], message: e.message }); continue; }
+            }
+            check(SCHEMA.definitions.profile, profile, path, raw, SCHEMA);
+
+            // Not expressible in the schema: each profile's id must equal its key
+            if (typeOf(p) === 'object' && typeof p.id === 'string' && p.id !== key) {
+                raw.push({ path: [...path, 'id'], message: `must equal its key "${key}"` });
+            }
+        }
+    }
+
+    return raw.map(({ path, message, warning = false }) => path[0] === 'profiles' && path.length > 1
+        ? { id: String(path[1]), field: path.slice(2).join('.') || null, message, warning }
+        : { id: null, field: path.join('.') || null, message, warning });
+}
+
+/** One-line description of a validation error, e.g. `[d1] ble.mtu: must be ≥ 23`. */
+function formatError(e) {
+    const where = [e.id && `[${e.id}]`, e.field].filter(Boolean).join(' ');
+    return where ? `${where}: ${e.message}` : e.message;
+}
+
+module.exports = { SCHEMA, check, validateProfiles, formatError };
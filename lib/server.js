@@ -0,0 +1,285 @@
+'use strict';
+/**
+ * Network print bridge — shares one connected Printer over a raw TCP socket
+ * (port 9100 style) and a small HTTP API. Jobs from both go through one
+ * queue and print one after another.
+ *
+ *   const server = new PrintServer(printer, { rawPort: 9100, httpPort: 8080 });
+ *   await server.listen();
+ *   server.on('done', job => ...);   // also 'queued', 'start', 'failed'
+ *
+ * Raw socket: everything a client sends until it closes (or goes quiet for
+ * RAW_IDLE ms) is one job. A PNG is printed as an image; anything else goes
+ * as-is to an ESC/POS printer, or is printed as text on the others.
+ *
+ * HTTP:
+ *   POST /print    the body by Content-Type —
+ *                    image/png                  scaled + dithered (?dither=)
+ *                    text/plain                 lib/text markup (?align= &bold=1 &double=1)
+ *                    application/octet-stream   raw bytes, ESC/POS printers only
+ *                  (no type: as on the raw socket). Answers once the job has
+ *                  printed: 200 { id, kind, bytes, ms }, or { error, code }.
+ *   GET  /         printer, profile and queue
+ *   GET  /status   printer status, queued like a job
+ */
+
+const http = require('http');
+const net  = require('net');
+const { EventEmitter } = require('events');
+const image = require('./image');
+const png   = require('./png');
+const text  = require('./text');
+
+const RAW_IDLE = 5000;              // ms of silence that ends a raw socket job
+const MAX_JOB  = 8 * 1024 * 1024;   // bytes
+
+// HTTP status by error code; anything else is the printer's problem
+const HTTP_STATUS = { BAD_INPUT: 400, TOO_LARGE: 413, UNSUPPORTED: 415, NO_STATUS: 501 };
+
+function serverError(code, message) {
+    return Object.assign(new Error(message), { code });
+}
+
+/**
+ * print() options from the query string of POST /print — dither, align, bold,
+ * double. Throws BAD_INPUT for a value print() would fail on, so a bad option
+ * is answered before the job is queued.
+ */
+function queryOptions(params) {
+    const bad = message => { throw serverError('BAD_INPUT', message); };
+    const opts = {};
+    const oneOf = (name, allowed) => {
+        const v = params.get(name);
+        if (v === null) return;
+        if (!allowed.includes(v)) bad(`Unknown ${name} "${v}" (use ${allowed.join(', ')})`);
+        opts[name] = v;
+    };
+    oneOf('dither', image.DITHERS);
+    oneOf('align', text.ALIGNS);
+    for (const name of ['bold', 'double']) {
+        const v = params.get(name);
+        if (v === null) continue;
+        if (/^(1|true|yes|on|)$/i.test(v))      opts[name] = true;
+        else if (/^(0|false|no|off)$/i.test(v)) opts[name] = false;
+        else bad(`${name} must be 1 or 0, not "${v}"`);
+    }
+    return opts;
+}
+
+/**
+ * Events, each with the job { id, source, client, kind, bytes, ms, error }:
+ *   'queued', 'start', 'done', 'failed'
+ * `source` is 'raw' or 'http', `client` the remote address.
+ */
+class PrintServer extends EventEmitter {
+    /**
+     * `rawPort` / `httpPort`: null turns that listener off. `print` options go
+     * to every printer.print() call (force, onDrop, dither, ...).
+     */
+    constructor(printer, { host = '0.0.0.0', rawPort = 9100, httpPort = 8080, print = {} } = {}) {
+        super();
+        this.printer   = printer;
+        this.host      = host;
+        this.rawPort   = rawPort;
+        this.httpPort  = httpPort;
+        this.printOpts = print;
+        this.servers   = [];
+        this.seq       = 0;
+        this.pending   = 0;
+        this.counts    = { done: 0, failed: 0 };
+        this.tail      = Promise.resolve();
+        this.stop      = new AbortController();
+    }
+
+    /** Start listening. Resolves { raw, http } — the bound ports, or null. */
+    async listen() {
+        const bind = server => new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(server === this.raw ? this.rawPort : this.httpPort, this.host, () => resolve(server.address().port));
+        });
+        const ports = { raw: null, http: null };
+        if (this.rawPort !== null) {
+            this.raw = net.createServer(socket => this._rawClient(socket));
+            this.servers.push(this.raw);
+            ports.raw = await bind(this.raw);
+        }
+        if (this.httpPort !== null) {
+            this.http = http.createServer((req, res) => this._httpRequest(req, res));
+            this.servers.push(this.http);
+            ports.http = await bind(this.http);
+        }
+        return ports;
+    }
+
+    /** Stop listening and abort the job that is printing; queued jobs fail with ABORTED. */
+    close() {
+        this.stop.abort();
+        return Promise.all(this.servers.map(s => new Promise(resolve => s.close(() => resolve()))));
+    }
+
+    /**
+     * Queue a job: `kind` 'raw', 'image' or 'text' with `data` (a Buffer), or
+     * 'status'. `opts` are print() options for this job. Resolves when it has
+     * printed.
+     */
+    submit(kind, data, { source = 'api', client = null, ...opts } = {}) {
+        const job = this._job(source, client, kind, data ? data.length : 0);
+        let input;
+        try {
+            input = this._input(kind, data);
+        } catch (e) {
+            return Promise.reject(this._failed(job, e));
+        }
+
+        this.pending++;
+        this.emit('queued', job);
+        const run = this.tail.then(async () => {
+            if (this.stop.signal.aborted) throw serverError('ABORTED', 'Server stopped');
+            this.emit('start', job);
+            const t0 = Date.now();
+            if (!this.printer.connected) await this.printer.connect();
+            const result = kind === 'status'
+                ? await this.printer.status()
+                : await this.printer.print(input, { ...this.printOpts, ...opts, signal: this.stop.signal });
+            job.ms = Date.now() - t0;
+            return result;
+        }).then(result => {
+            this.counts.done++;
+            this.emit('done', job);
+            return { job, result };
+        }, e => {
+            throw this._failed(job, e);
+        }).finally(() => { this.pending--; });
+        this.tail = run.catch(() => {});
+        return run;
+    }
+
+    _job(source, client, kind, bytes) {
+        return { id: ++this.seq, source, client, kind, bytes, ms: null, error: null };
+    }
+
+    _failed(job, e) {
+        job.error = e;
+        this.counts.failed++;
+        this.emit('failed', job);
+        return e;
+    }
+
+    // What printer.print() gets for a job
+    _input(kind, data) {
+        if (data && data.length > MAX_JOB) throw serverError('TOO_LARGE', `Job of ${data.length} bytes is over the ${MAX_JOB}-byte limit`);
+        if (kind === 'image') {
+            try { return png.decode(data); }
+            catch (e) { throw serverError('BAD_INPUT', `Bad PNG: ${e.message}`); }
+        }
+        if (kind === 'raw') {
+            const protocol = this.printer.profile?.protocol;
+            if (protocol !== 'escpos') throw serverError('UNSUPPORTED', `Raw bytes are for ESC/POS printers; this one speaks ${protocol}`);
+            return data;
+        }
+        if (kind === 'text') return data.toString('utf8');
+        if (kind === 'status') return null;
+        throw serverError('BAD_INPUT', `Unknown job kind "${kind}"`);
+    }
+
+    // A job from bytes alone: PNG, else raw for ESC/POS, else text
+    _guessKind(data) {
+        if (png.isPng(data)) return 'image';
+        return this.printer.profile?.protocol === 'escpos' ? 'raw' : 'text';
+    }
+
+    // ── Raw socket ────────────────────────────────────────────────────────────
+
+    _rawClient(socket) {
+        const client = socket.remoteAddress;
+        const parts  = [];
+        let size = 0;
+        let done = false;
+        const finish = () => {
+            if (done) return;
+            done = true;
+            socket.destroy();
+            if (!size) return;
+            if (size > MAX_JOB) {
+                return this._failed(this._job('raw', client, null, size), serverError('TOO_LARGE', `Job of ${size} bytes is over the ${MAX_JOB}-byte limit`));
+            }
+            const data = Buffer.concat(parts);
+            this.submit(this._guessKind(data), data, { source: 'raw', client }).catch(() => {});   // reported as 'failed'
+        };
+        socket.setTimeout(RAW_IDLE, finish);
+        socket.on('data', chunk => {
+            size += chunk.length;
+            if (size <= MAX_JOB) parts.push(chunk);
+        });
+        socket.on('end', finish);
+        socket.on('error', () => { done = true; });
+    }
+
+    // ── HTTP ──────────────────────────────────────────────────────────────────
+
+    async _httpRequest(req, res) {
+        const url  = new URL(req.url, 'http://localhost');
+        const send = (status, body, headers = {}) => {
+            res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+            res.end(JSON.stringify(body, null, 2) + '\n');
+        };
+        // Over the limit the rest of the body is still coming: answer, then close once it's read
+        const fail = e => send(HTTP_STATUS[e.code] || 503, { error: e.message, code: e.code || null },
+            e.code === 'TOO_LARGE' ? { Connection: 'close' } : {});
+
+        try {
+            if (req.method === 'GET' && url.pathname === '/') return send(200, this.info());
+            if (req.method === 'GET' && url.pathname === '/status') {
+                const { result } = await this.submit('status', null, { source: 'http', client: req.socket.remoteAddress });
+                return send(200, result);
+            }
+            if (req.method !== 'POST' || url.pathname !== '/print') return send(404, { error: 'Try POST /print, GET /status or GET /' });
+
+            const opts = queryOptions(url.searchParams);
+            const data = await readBody(req);
+            const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+            const kind = type === 'image/png' ? 'image'
+                       : type.startsWith('text/') ? 'text'
+                       : type === 'application/octet-stream' ? 'raw'
+                       : this._guessKind(data);
+            const { job } = await this.submit(kind, data, { source: 'http', client: req.socket.remoteAddress, ...opts });
+            send(200, { id: job.id, kind: job.kind, bytes: job.bytes, ms: job.ms });
+        } catch (e) {
+            fail(e);
+        }
+    }
+
+    /** The printer, its profile and the queue, as GET / shows them. */
+    info() {
+        const { printer } = this;
+        return {
+            printer: { id: printer.id, address: printer.address, name: printer.name, connected: printer.connected },
+            profile: printer.profile && { id: printer.profile.id, protocol: printer.profile.protocol, widthPx: printer.profile.paper.widthPx },
+            queue:   { pending: this.pending, ...this.counts },
+        };
+    }
+}
+
+/**
+ * The request body. Rejects with TOO_LARGE as soon as it is over MAX_JOB —
+ * by its Content-Length, or once that many bytes came — and reads the rest
+ * without keeping it, so the client is still there for the 413.
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const tooLarge = () => serverError('TOO_LARGE', `Body is over the ${MAX_JOB}-byte limit`);
+        const parts    = [];
+        let   size     = 0;
+        let   over     = Number(req.headers['content-length']) > MAX_JOB;
+        if (over) reject(tooLarge());
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (!over && size > MAX_JOB) { over = true; reject(tooLarge()); }
+            if (!over) parts.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(parts)));
+        req.on('error', reject);
+    });
+}
+
+module.exports = { RAW_IDLE, MAX_JOB, PrintServer };
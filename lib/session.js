@@ -0,0 +1,341 @@
+'use strict';
+/**
+ * GATT session recording and replay.
+ *
+ * Recorder.wrap() instruments a noble instance in place and logs everything a
+ * run does over it to a JSONL file. replay() is a noble stand-in that plays
+ * such a log back: the same devices are discovered, reads return the recorded
+ * values and every notification arrives at its recorded time after the call
+ * that preceded it, so a printer bug can be reproduced without the printer.
+ *
+ * One JSON object per line, `t` in ms since the session started, buffers as hex:
+ *   session       header: version, args, startedAt, platform, node (and stdin, set by the CLI)
+ *   profiles      db — the profile DB used for matching
+ *   answer        key, value — a discovery prompt answer
+ *   state         state — adapter state (the first one is the state at start)
+ *   discover      id, address, rssi, connectable, advertisement
+ *   startScanning / stopScanning
+ *   connect, discoverAll, read, write, subscribe, unsubscribe, disconnect
+ *                 calls: n (sequence number), id, and for characteristics service, char (+ data, withoutResponse)
+ *   done          n, error — a call's callback (+ data for read, mtu and services for connect / discoverAll)
+ *   notify        id, service, char, data
+ *   disconnected  id — the peripheral's 'disconnect' event
+ *
+ *   const rec = new Recorder('session.jsonl', { args });
+ *   const noble = rec.wrap(require('@abandonware/noble'));
+ *   ...
+ *   const noble = replay(load('session.jsonl'));
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+
+const VERSION = 1;
+const CALLS   = ['connect', 'discoverAll', 'read', 'write', 'subscribe', 'unsubscribe', 'disconnect'];
+const WRAPPED = Symbol('recorded');
+
+const hex     = buf => buf ? Buffer.from(buf).toString('hex') : null;
+const fromHex = str => Buffer.from(str || '', 'hex');
+
+function advertisement(ad = {}) {
+    return {
+        localName:        ad.localName ?? null,
+        serviceUuids:     ad.serviceUuids || [],
+        manufacturerData: hex(ad.manufacturerData),
+        txPowerLevel:     ad.txPowerLevel ?? null,
+        serviceData:      (ad.serviceData || []).map(s => ({ uuid: s.uuid, data: hex(s.data) })),
+    };
+}
+
+// ── Recording ─────────────────────────────────────────────────────────────────
+
+class Recorder {
+    /** Start a session log at `file`; `header` fields go into the first line. */
+    constructor(file, header = {}) {
+        this.fd = fs.openSync(file, 'w');
+        this.t0 = Date.now();
+        this.n  = 0;
+        this.log('session', { version: VERSION, startedAt: new Date().toISOString(), platform: process.platform, node: process.version, ...header });
+    }
+
+    log(type, fields = {}) {
+        fs.writeSync(this.fd, `${JSON.stringify({ t: Date.now() - this.t0, type, ...fields })}\n`);
+    }
+
+    /** Instrument `noble` in place — it keeps working as before — and return it. */
+    wrap(noble) {
+        this.log('state', { state: noble.state });
+        noble.on('stateChange', state => this.log('state', { state }));
+        // Ahead of the app's listeners, so peripherals are instrumented before anyone connects
+        noble.prependListener('discover', p => {
+            this.log('discover', { id: p.id, address: p.address ?? null, rssi: p.rssi, connectable: p.connectable ?? null, advertisement: advertisement(p.advertisement) });
+            this._peripheral(p);
+        });
+        for (const name of ['startScanning', 'stopScanning']) {
+            const orig = noble[name].bind(noble);
+            noble[name] = (...a) => { this.log(name); return orig(...a); };
+        }
+        return noble;
+    }
+
+    // Log a call, run it, and log its callback before passing the result on
+    _call(type, fields, run, cb, result = () => ({})) {
+        const n = ++this.n;
+        this.log(type, { n, ...fields });
+        run((err, ...res) => {
+            this.log('done', { n, error: err ? err.message : null, ...(err ? {} : result(...res)) });
+            if (cb) cb(err, ...res);
+        });
+    }
+
+    _peripheral(p) {
+        if (p[WRAPPED]) return;
+        p[WRAPPED] = true;
+        const id = p.id;
+        const connect     = p.connect.bind(p);
+        const discoverAll = p.discoverAllServicesAndCharacteristics.bind(p);
+        const disconnect  = p.disconnect.bind(p);
+
+        p.connect = cb => this._call('connect', { id }, done => connect(done), cb, () => ({ mtu: p.mtu ?? null }));
+        p.discoverAllServicesAndCharacteristics = cb => this._call('discoverAll', { id }, done => discoverAll(done), cb, services => {
+            for (const s of services) for (const c of s.characteristics || []) this._characteristic(id, s.uuid, c);
+            return {
+                mtu:      p.mtu ?? null,
+                services: services.map(s => ({ uuid: s.uuid, characteristics: (s.characteristics || []).map(c => ({ uuid: c.uuid, properties: c.properties })) })),
+            };
+        });
+        p.disconnect = cb => this._call('disconnect', { id }, done => disconnect(() => done(null)), cb);
+        p.on('disconnect', () => this.log('disconnected', { id }));
+    }
+
+    _characteristic(id, service, c) {
+        if (c[WRAPPED]) return;
+        c[WRAPPED] = true;
+        const at = { id, service, char: c.uuid };
+        const read        = c.read.bind(c);
+        const write       = c.write.bind(c);
+        const subscribe   = c.subscribe.bind(c);
+        const unsubscribe = c.unsubscribe.bind(c);
+
+        c.read        = cb => this._call('read', at, done => read(done), cb, data => ({ data: hex(data) }));
+        c.write       = (data, withoutResponse, cb) => this._call('write', { ...at, data: hex(data), withoutResponse: !!withoutResponse },
+            done => write(data, withoutResponse, done), cb);
+        c.subscribe   = cb => this._call('subscribe', at, done => subscribe(done), cb);
+        c.unsubscribe = cb => this._call('unsubscribe', at, done => unsubscribe(done), cb);
+        // Reads arrive as 'data' too, flagged isNotification = false
+        c.on('data', (data, isNotification) => { if (isNotification !== false) this.log('notify', { ...at, data: hex(data) }); });
+    }
+}
+
+// ── Replay ────────────────────────────────────────────────────────────────────
+
+/**
+ * Parse a session log. Returns { header, profiles, answers, records, done }:
+ * `answers` as a Prompter answers object, `done` the call results by `n`.
+ */
+function load(file) {
+    const records = fs.readFileSync(file, 'utf8').split('\n').filter(l => l.trim()).map((l, i) => {
+        try { return JSON.parse(l); }
+        catch (e) { throw new Error(`line ${i + 1}: ${e.message}`); }
+    });
+    const header = records[0];
+    if (header?.type !== 'session') throw new Error('not a session log (no session header)');
+    if (header.version > VERSION) throw new Error(`session log version ${header.version} is newer than this tool (${VERSION})`);
+
+    const answers = {};
+    for (const r of records.filter(r => r.type === 'answer')) if (!(r.key in answers)) answers[r.key] = r.value;
+    return {
+        header,
+        profiles: records.find(r => r.type === 'profiles')?.db || null,
+        answers,
+        records,
+        done: new Map(records.filter(r => r.type === 'done').map(r => [r.n, r])),
+    };
+}
+
+class ReplayCharacteristic extends EventEmitter {
+    constructor(peripheral, service, { uuid, properties }) {
+        super();
+        this.uuid        = uuid;
+        this.name        = null;
+        this.type        = null;
+        this.properties  = properties;
+        this._service    = service;
+        this._peripheral = peripheral;
+    }
+
+    read(cb)                      { this._peripheral._play('read', this, null, (err, done) => cb && cb(err, err ? undefined : fromHex(done.data))); }
+    write(data, withoutResponse, cb) { this._peripheral._play('write', this, data, err => cb && cb(err)); }
+    subscribe(cb)                 { this._peripheral._play('subscribe', this, null, err => cb && cb(err)); }
+    unsubscribe(cb)               { this._peripheral._play('unsubscribe', this, null, err => cb && cb(err)); }
+}
+
+class ReplayPeripheral extends EventEmitter {
+    constructor(noble, discovered) {
+        super();
+        this.noble       = noble;
+        this.id          = discovered.id;
+        this.uuid        = discovered.id;
+        this.address     = discovered.address;
+        this.addressType = 'public';
+        this.state       = 'disconnected';
+        this.mtu         = null;
+        this.chars       = new Map();   // "service/char" → ReplayCharacteristic
+        this.records     = noble.session.records.filter(r => r.id === this.id && r.type !== 'discover');
+        this.pos         = 0;
+        this.update(discovered);
+    }
+
+    update(discovered) {
+        this.rssi          = discovered.rssi;
+        this.connectable   = discovered.connectable;
+        const ad           = discovered.advertisement;
+        this.advertisement = {
+            ...ad,
+            manufacturerData: ad.manufacturerData ? fromHex(ad.manufacturerData) : null,
+            serviceData:      ad.serviceData.map(s => ({ uuid: s.uuid, data: fromHex(s.data) })),
+        };
+    }
+
+    connect(cb) {
+        this._play('connect', null, null, (err, done) => {
+            if (!err) { this.state = 'connected'; this.mtu = done.mtu; }
+            if (!err) this.emit('connect');
+            if (cb) cb(err);
+        });
+    }
+
+    discoverAllServicesAndCharacteristics(cb) {
+        this._play('discoverAll', null, null, (err, done) => {
+            if (err) return cb(err);
+            this.mtu = done.mtu ?? this.mtu;
+            const services = done.services.map(s => ({
+                uuid: s.uuid,
+                characteristics: s.characteristics.map(c => {
+                    const key = `${s.uuid}/${c.uuid}`;
+                    if (!this.chars.has(key)) this.chars.set(key, new ReplayCharacteristic(this, s.uuid, c));
+                    return this.chars.get(key);
+                }),
+            }));
+            cb(null, services, services.flatMap(s => s.characteristics));
+        });
+    }
+
+    disconnect(cb) {
+        this._play('disconnect', null, null, () => {
+            this._disconnected();
+            if (cb) cb();
+        });
+    }
+
+    // A recorded link drop the app recovers from (more calls follow) isn't the end of the replay
+    _disconnected() {
+        if (this.state !== 'connected') return;
+        this.state = 'disconnected';
+        this.emit('disconnect');
+        if (!this.records.slice(this.pos).some(r => CALLS.includes(r.type) && r.type !== 'disconnect')) this.noble._summary();
+    }
+
+    /**
+     * Play the next recorded `type` call (on characteristic `char`): finish it
+     * after its recorded duration with its recorded result, and schedule the
+     * device events that followed it. Recorded calls the app didn't make are
+     * skipped; calls that aren't in the recording succeed at once (reads fail).
+     */
+    _play(type, char, data, cb) {
+        const stats = this.noble.stats;
+        const same  = r => r.type === type && (!char || (r.char === char.uuid && r.service === char._service));
+        let i = this.pos;
+        while (i < this.records.length && !(CALLS.includes(this.records[i].type) && same(this.records[i]))) i++;
+
+        if (i >= this.records.length) {
+            stats.unexpected.push(`${type}${char ? ` ${char.uuid}` : ''}`);
+            const err = type === 'read' ? new Error('read not in the recording') : null;
+            return setImmediate(() => cb(err, {}));
+        }
+        stats.skipped += this.records.slice(this.pos, i).filter(r => CALLS.includes(r.type)).length;
+        this.pos = i + 1;
+
+        const call = this.records[i];
+        if (type === 'write') {
+            if (call.data === hex(data)) stats.matched++;
+            else stats.differed.push({ t: call.t, char: char.uuid });
+        } else {
+            stats.matched++;
+        }
+
+        for (let j = i + 1; j < this.records.length && !CALLS.includes(this.records[j].type); j++) {
+            const ev = this.records[j];
+            setTimeout(() => this._event(ev), Math.max(0, ev.t - call.t));
+        }
+        const done = this.noble.session.done.get(call.n) || { t: call.t, error: null };
+        setTimeout(() => cb(done.error ? new Error(done.error) : null, done), Math.max(0, done.t - call.t));
+    }
+
+    _event(ev) {
+        if (ev.type === 'disconnected') return this._disconnected();
+        if (ev.type !== 'notify') return;
+        const char = this.chars.get(`${ev.service}/${ev.char}`);
+        if (char) char.emit('data', fromHex(ev.data), true);
+    }
+}
+
+class ReplayNoble extends EventEmitter {
+    constructor(session) {
+        super();
+        this.session     = session;
+        this.peripherals = new Map();
+        this.timers      = [];
+        this.scans       = 0;
+        this.reported    = false;
+        this.stats       = { matched: 0, skipped: 0, differed: [], unexpected: [] };
+
+        const states = session.records.filter(r => r.type === 'state');
+        this.state   = states[0]?.state || 'poweredOn';
+        for (const r of states.slice(1)) setTimeout(() => { this.state = r.state; this.emit('stateChange', r.state); }, r.t);
+        if (this.state === 'poweredOn') setImmediate(() => this.emit('stateChange', this.state));
+    }
+
+    /** Discoveries of the next recorded scan, at their recorded times after its start. */
+    startScanning(_serviceUuids, _allowDuplicates, cb) {
+        const recs  = this.session.records;
+        const scans = recs.map((r, i) => r.type === 'startScanning' ? i : -1).filter(i => i >= 0);
+        const from  = scans[this.scans++] ?? 0;
+        const t0    = recs[from]?.t ?? 0;
+        for (let i = from + 1; i < recs.length && recs[i].type !== 'stopScanning' && recs[i].type !== 'startScanning'; i++) {
+            const r = recs[i];
+            if (r.type !== 'discover') continue;
+            this.timers.push(setTimeout(() => {
+                let p = this.peripherals.get(r.id);
+                if (p) p.update(r);
+                else this.peripherals.set(r.id, p = new ReplayPeripheral(this, r));
+                this.emit('discover', p);
+            }, Math.max(0, r.t - t0)));
+        }
+        if (cb) setImmediate(cb);
+    }
+
+    stopScanning(cb) {
+        this.timers.forEach(clearTimeout);
+        this.timers = [];
+        if (cb) setImmediate(cb);
+    }
+
+    _summary() {
+        if (this.reported) return;
+        this.reported = true;
+        const s = this.stats;
+        const parts = [`${s.matched} call(s) as recorded`];
+        if (s.differed.length)   parts.push(`${s.differed.length} write(s) with different data (first at ${s.differed[0].t} ms, ${s.differed[0].char})`);
+        if (s.skipped)           parts.push(`${s.skipped} recorded call(s) not made`);
+        if (s.unexpected.length) parts.push(`${s.unexpected.length} call(s) not in the recording (first: ${s.unexpected[0]})`);
+        console.log(`Replay: ${parts.join(', ')}`);
+    }
+}
+
+/** A noble stand-in that plays back a session from load(). */
+function replay(session) {
+    return new ReplayNoble(session);
+}
+
+module.exports = { VERSION, Recorder, load, replay };
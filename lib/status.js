@@ -0,0 +1,239 @@
+'use strict';
+/**
+ * Printer status — per-protocol status queries and decoding of the replies
+ * that arrive on the notify characteristic.
+ *
+ *   escpos  DLE EOT 1–4 (one status byte each) + GS I 'A' (firmware string)
+ *   d1      10 FF 40 / 10 FF 50 F1 / 10 FF 20 F1 — replies are 1A <type> <value...>
+ *   gt01    device state (A3), battery (AB), device info (A8) — replies are 51 78 packets
+ *   phomemo 1F 11 11 / 12 / 08 / 07 — replies are 1A messages, as on the D1
+ *   niimbot heartbeat (DC), GET_INFO battery / soft version — replies are 55 55 packets
+ *
+ * Every field is null until the printer reports it.
+ */
+
+const gt01    = require('./gt01');
+const niimbot = require('./niimbot');
+const phomemo = require('./phomemo');
+
+function emptyStatus() {
+    return {
+        ready:       null, // idle and able to print
+        paperOut:    null,
+        coverOpen:   null,
+        overheating: null,
+        battery:     null, // percent
+        firmware:    null,
+        raw:         [],   // hex of every reply, for bug reports
+    };
+}
+
+// ── ESC/POS ───────────────────────────────────────────────────────────────────
+// DLE EOT replies always have bit 1 and bit 4 set and bits 0 and 7 clear
+
+const escPosByte = d => d.length >= 1 && (d[0] & 0x93) === 0x12 ? d[0] : null;
+
+const ESCPOS_QUERIES = [
+    { name: 'printer', buf: [0x10, 0x04, 0x01], parse(s, d) {
+        const b = escPosByte(d); if (b === null) return;
+        s.ready = !(b & 0x08);                              // bit 3: offline
+    } },
+    { name: 'offline', buf: [0x10, 0x04, 0x02], parse(s, d) {
+        const b = escPosByte(d); if (b === null) return;
+        s.coverOpen = !!(b & 0x04);                         // bit 2: cover open
+        if (b & 0x20) s.paperOut = true;                    // bit 5: stopped by paper end
+    } },
+    { name: 'error', buf: [0x10, 0x04, 0x03], parse(s, d) {
+        const b = escPosByte(d); if (b === null) return;
+        s.overheating = !!(b & 0x20);                       // bit 5: auto-recoverable error (head temperature)
+    } },
+    { name: 'paper', buf: [0x10, 0x04, 0x04], parse(s, d) {
+        const b = escPosByte(d); if (b === null) return;
+        s.paperOut = !!(b & 0x60);                          // bits 5–6: roll end
+    } },
+    { name: 'firmware', buf: [0x1D, 0x49, 0x41], parse(s, d) {
+        if (d[0] !== 0x5F) return;                          // "_" header, NUL-terminated string
+        s.firmware = d.subarray(1).toString('ascii').replace(/\0.*$/s, '').trim() || null;
+    } },
+];
+
+// ── D1 ────────────────────────────────────────────────────────────────────────
+// Self-describing 3-byte messages 1A <type> <value>; firmware is 1A 07 <major> <minor> <patch>
+
+const D1_MSG = { TEMPERATURE: 0x03, BATTERY: 0x04, COVER: 0x05, PAPER: 0x06, FIRMWARE: 0x07 };
+
+function parseD1(s, d) {
+    for (let i = 0; i + 2 < d.length; i++) {
+        if (d[i] !== 0x1A) continue;
+        const type = d[i + 1], v = d[i + 2];
+        switch (type) {
+            case D1_MSG.TEMPERATURE: s.overheating = v === 0xA9; break;   // A8 normal, A9 too hot
+            case D1_MSG.BATTERY:     s.battery     = Math.min(v, 100); break;
+            case D1_MSG.COVER:       s.coverOpen   = v === 0x98; break;   // 99 closed, 98 open
+            case D1_MSG.PAPER:       s.paperOut    = v === 0x89; break;   // 88 loaded, 89 out
+            case D1_MSG.FIRMWARE:
+                if (i + 4 < d.length) { s.firmware = `${v}.${d[i + 3]}.${d[i + 4]}`; i += 2; }
+                break;
+        }
+        i += 2;
+    }
+    if (s.paperOut !== null || s.coverOpen !== null || s.overheating !== null) {
+        s.ready = !s.paperOut && !s.coverOpen && !s.overheating;
+    }
+}
+
+const D1_QUERIES = [
+    { name: 'state',    buf: [0x10, 0xFF, 0x40],       parse: parseD1 },
+    { name: 'battery',  buf: [0x10, 0xFF, 0x50, 0xF1], parse: parseD1 },
+    { name: 'firmware', buf: [0x10, 0xFF, 0x20, 0xF1], parse: parseD1 },
+];
+
+// ── GT01 ──────────────────────────────────────────────────────────────────────
+
+const GT01_STATE = { PAPER_OUT: 0x01, COVER_OPEN: 0x02, OVERHEAT: 0x04, LOW_POWER: 0x08, PAUSED: 0x10, BUSY: 0x80 };
+
+function parseGt01(s, d) {
+    for (let i = d.indexOf(0x51); i >= 0 && i + 6 <= d.length; i = d.indexOf(0x51, i + 1)) {
+        if (d[i + 1] !== 0x78) continue;
+        const cmd  = d[i + 2];
+        const len  = d[i + 4] | (d[i + 5] << 8);
+        const data = d.subarray(i + 6, i + 6 + len);
+        if (data.length < len || d[i + 6 + len] !== gt01.crc8(data)) continue;
+
+        if (cmd === gt01.CMD.DEVICE_STATE && len) {
+            const f = data[0];
+            s.paperOut    = !!(f & GT01_STATE.PAPER_OUT);
+            s.coverOpen   = !!(f & GT01_STATE.COVER_OPEN);
+            s.overheating = !!(f & GT01_STATE.OVERHEAT);
+            s.ready       = !(f & (GT01_STATE.PAPER_OUT | GT01_STATE.COVER_OPEN | GT01_STATE.OVERHEAT | GT01_STATE.PAUSED | GT01_STATE.BUSY));
+        } else if (cmd === gt01.CMD.BATTERY && len) {
+            s.battery = Math.min(data[0], 100);
+        } else if (cmd === gt01.CMD.DEVICE_INFO && len) {
+            s.firmware = data.toString('ascii').replace(/\0.*$/s, '').trim() || null;
+        }
+        i += 7 + len;
+    }
+}
+
+const GT01_QUERIES = [
+    { name: 'state',    buf: gt01.deviceState(), parse: parseGt01 },
+    { name: 'battery',  buf: gt01.battery(),     parse: parseGt01 },
+    { name: 'info',     buf: gt01.deviceInfo(),  parse: parseGt01 },
+];
+
+// ── Phomemo ───────────────────────────────────────────────────────────────────
+// One query per field; the replies are D1 messages
+
+const PHOMEMO_QUERIES = [
+    { name: 'paper',    buf: phomemo.query(phomemo.QUERY.PAPER),    parse: parseD1 },
+    { name: 'cover',    buf: phomemo.query(phomemo.QUERY.COVER),    parse: parseD1 },
+    { name: 'battery',  buf: phomemo.query(phomemo.QUERY.BATTERY),  parse: parseD1 },
+    { name: 'firmware', buf: phomemo.query(phomemo.QUERY.FIRMWARE), parse: parseD1 },
+];
+
+// ── Niimbot ───────────────────────────────────────────────────────────────────
+// The heartbeat reply's layout depends on its length; the 13-byte form ends
+// in cover, battery level, paper and RFID state. Battery levels are 1–4.
+
+const NIIMBOT_HEARTBEAT = { COVER: 9, BATTERY: 10, PAPER: 11 };
+
+function parseNiimbot(s, d) {
+    for (let i = d.indexOf(0x55); i >= 0 && i + 4 <= d.length; i = d.indexOf(0x55, i + 1)) {
+        if (d[i + 1] !== 0x55) continue;
+        const cmd  = d[i + 2];
+        const len  = d[i + 3];
+        const data = d.subarray(i + 4, i + 4 + len);
+        if (data.length < len || d[i + 4 + len] !== niimbot.checksum(cmd, data)) continue;
+
+        if (cmd === niimbot.CMD.HEARTBEAT + 1 && len === 13) {
+            s.coverOpen = data[NIIMBOT_HEARTBEAT.COVER] !== 0;
+            s.paperOut  = data[NIIMBOT_HEARTBEAT.PAPER] !== 0;
+            s.battery   = Math.min(data[NIIMBOT_HEARTBEAT.BATTERY] * 25, 100);
+            s.ready     = !s.coverOpen && !s.paperOut;
+        } else if (cmd === niimbot.CMD.GET_INFO + niimbot.INFO.BATTERY && len) {
+            s.battery = Math.min(data[len - 1] * 25, 100);
+        } else if (cmd === niimbot.CMD.GET_INFO + niimbot.INFO.SOFT_VERSION && len) {
+            s.firmware = (data.reduce((n, b) => n * 256 + b, 0) / 100).toFixed(2);
+        }
+        i += 6 + len;
+    }
+}
+
+const NIIMBOT_QUERIES = [
+    { name: 'state',    buf: niimbot.heartbeat(),                          parse: parseNiimbot },
+    { name: 'battery',  buf: niimbot.getInfo(niimbot.INFO.BATTERY),        parse: parseNiimbot },
+    { name: 'firmware', buf: niimbot.getInfo(niimbot.INFO.SOFT_VERSION),   parse: parseNiimbot },
+];
+
+const QUERIES = { escpos: ESCPOS_QUERIES, d1: D1_QUERIES, gt01: GT01_QUERIES, phomemo: PHOMEMO_QUERIES, niimbot: NIIMBOT_QUERIES };
+
+/** Decode unsolicited notify data from a self-describing protocol (d1, gt01, phomemo, niimbot). */
+function decode(protocol, data) {
+    const s = emptyStatus();
+    if (protocol === 'd1' || protocol === 'phomemo') parseD1(s, data);
+    if (protocol === 'gt01')    parseGt01(s, data);
+    if (protocol === 'niimbot') parseNiimbot(s, data);
+    if (data.length) s.raw.push(data.toString('hex'));
+    return s;
+}
+
+const REPLY_SETTLE = 150; // ms of silence after a reply before the next query
+
+/**
+ * Subscribe to `notifyChars` (noble characteristics) and pair writes with
+ * replies: ask(writeChar, buf, timeout) writes `buf` and resolves with
+ * { data, from } — everything that arrived until REPLY_SETTLE ms of silence
+ * (or `timeout` ms of none), and the UUID it came on. close() stops listening.
+ */
+async function listen(notifyChars) {
+    let onReply = null;
+    const listeners = notifyChars.map(c => [c, data => { if (onReply) onReply(data, c.uuid); }]);
+    for (const [c, listener] of listeners) {
+        c.on('data', listener);
+        await new Promise(resolve => c.subscribe(() => resolve()));
+    }
+
+    const ask = (writeChar, buf, timeout) => new Promise((resolve, reject) => {
+        const got = [];
+        let from  = null;
+        const finish = () => { onReply = null; resolve({ data: Buffer.concat(got), from }); };
+        let timer = setTimeout(finish, timeout);
+        onReply = (data, uuid) => {
+            got.push(data);
+            from = from || uuid;
+            clearTimeout(timer);
+            timer = setTimeout(finish, REPLY_SETTLE);
+        };
+        writeChar.write(Buffer.from(buf), true, err => {
+            if (err) { clearTimeout(timer); onReply = null; reject(err); }
+        });
+    });
+    const close = () => listeners.forEach(([c, listener]) => c.removeListener('data', listener));
+    return { ask, close };
+}
+
+/**
+ * Send each status query for `protocol` on `writeChar` and decode what comes
+ * back on `notifyChar` (both noble characteristics). A query that gets no
+ * reply within `timeout` ms leaves its fields null.
+ */
+async function queryStatus(writeChar, notifyChar, protocol, { timeout = 1000 } = {}) {
+    const queries = QUERIES[protocol];
+    if (!queries) throw new Error(`No status query for protocol "${protocol}"`);
+
+    const status = emptyStatus();
+    const link   = await listen([notifyChar]);
+    try {
+        for (const q of queries) {
+            const { data } = await link.ask(writeChar, q.buf, timeout);
+            if (!data.length) continue;
+            status.raw.push(data.toString('hex'));
+            q.parse(status, data);
+        }
+    } finally {
+        link.close();
+    }
+    return status;
+}
+
+module.exports = { QUERIES, D1_MSG, GT01_STATE, NIIMBOT_HEARTBEAT, emptyStatus, decode, listen, queryStatus };
@@ -0,0 +1,142 @@
+'use strict';
+/**
+ * Text layout for receipts and labels.
+ *
+ * Markup, per line:
+ *   {left} {center} {right}   alignment
+ *   {bold} {double}           bold, double width + height
+ *   ---  ===                  alone on a line: thin / thick horizontal rule
+ *   left<TAB>right            one line with both ends filled, e.g. "Coffee\t3.50"
+ * Tags go at the start of a line and combine ("{center}{double}TOTAL").
+ * Untagged lines take the `align` / `bold` / `double` options.
+ *
+ * layout() wraps words to the paper width. The lines then go out as native
+ * ESC/POS text (lib/jobs) or are drawn here with the built-in 5×7 font for
+ * raster-only printers (D1, GT01). Both use the 12×24 dot cell of ESC/POS
+ * Font A, so a line breaks in the same place either way.
+ */
+
+const font = require('./font');
+
+const CELL_W = 12;
+const CELL_H = 24;
+const ALIGNS = ['left', 'center', 'right'];
+const TAG_RE = /^\{(left|center|right|bold|double)\}/;
+
+/** Characters per line for a paper width, at normal size. */
+const columns = widthPx => Math.max(1, Math.floor(widthPx / CELL_W));
+
+/** ASCII only: accents stripped ("é" → "e"), anything else becomes "?". */
+function toAscii(str) {
+    return str.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x20-\x7E\t\n]/g, '?');
+}
+
+/** Split text into lines of at most `cols` characters, breaking at spaces where possible. */
+function wrap(str, cols) {
+    const lines = [];
+    for (const para of str.split('\n')) {
+        let line = '';
+        for (const word of para.split(' ')) {
+            let w = word;
+            while (w.length > cols) {                      // a word longer than a line is split
+                if (line) { lines.push(line); line = ''; }
+                lines.push(w.slice(0, cols));
+                w = w.slice(cols);
+            }
+            if (!line) line = w;
+            else if (line.length + 1 + w.length <= cols) line += ` ${w}`;
+            else { lines.push(line); line = w; }
+        }
+        lines.push(line);
+    }
+    return lines;
+}
+
+/**
+ * Lay out marked-up text for a paper width. Returns lines of
+ * { text, align, bold, double } or { rule: 'thin' | 'thick' }.
+ */
+function layout(str, widthPx, { align = 'left', bold = false, double = false } = {}) {
+    if (!ALIGNS.includes(align)) throw new Error(`Unknown alignment "${align}" (use ${ALIGNS.join(', ')})`);
+    const out = [];
+
+    for (let line of toAscii(str.replace(/\r/g, '').replace(/\n+$/, '')).split('\n')) {
+        if (/^\s*-{3,}\s*$/.test(line)) { out.push({ rule: 'thin' });  continue; }
+        if (/^\s*={3,}\s*$/.test(line)) { out.push({ rule: 'thick' }); continue; }
+
+        const style = { align, bold, double };
+        for (let m; (m = TAG_RE.exec(line)); line = line.slice(m[0].length)) {
+            if (ALIGNS.includes(m[1])) style.align = m[1];
+            else style[m[1]] = true;
+        }
+
+        const cols = Math.max(1, Math.floor(columns(widthPx) / (style.double ? 2 : 1)));
+        const tab  = line.indexOf('\t');
+        if (tab < 0) {
+            for (const text of wrap(line, cols)) out.push({ text, ...style });
+            continue;
+        }
+        // left<TAB>right: pad between the two; if they don't fit, the right part gets its own line
+        const left  = line.slice(0, tab).trimEnd();
+        const right = line.slice(tab + 1).replace(/\t/g, ' ').trim();
+        if (left.length + 1 + right.length <= cols) {
+            out.push({ text: left + ' '.repeat(cols - left.length - right.length) + right, ...style, align: 'left' });
+        } else {
+            for (const text of wrap(left, cols)) out.push({ text, ...style, align: 'left' });
+            for (const text of wrap(right, cols)) out.push({ text, ...style, align: 'right' });
+        }
+    }
+    return out;
+}
+
+// ── Bitmap rendering ──────────────────────────────────────────────────────────
+
+const RULE_H = { thin: 2, thick: 4 };
+const RULE_BAND = CELL_H / 2;
+const LINE_GAP  = 6;          // ESC/POS default line spacing is 30 dots: a 24-dot cell + 6
+
+/**
+ * Draw laid-out lines (or a marked-up string) as a `widthPx`-wide bitmap
+ * (rows MSB-first, 1 = black). Glyphs are the 5×7 font at 2×3 per dot.
+ */
+function toBitmap(lines, widthPx, opts) {
+    if (typeof lines === 'string') lines = layout(lines, widthPx, opts);
+    const bytesPerRow = widthPx / 8;
+    const height      = lines.reduce((h, l) => h + (l.rule ? RULE_BAND : CELL_H * (l.double ? 2 : 1) + LINE_GAP), 0);
+    const data        = Buffer.alloc(bytesPerRow * Math.max(height, 1));
+    const fill = (x0, y0, w, h) => {
+        for (let y = y0; y < y0 + h; y++)
+            for (let x = Math.max(0, x0); x < Math.min(widthPx, x0 + w); x++) data[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+    };
+
+    let top = 0;
+    for (const line of lines) {
+        if (line.rule) {
+            fill(0, top + (RULE_BAND - RULE_H[line.rule]) / 2, widthPx, RULE_H[line.rule]);
+            top += RULE_BAND;
+            continue;
+        }
+        const k     = line.double ? 2 : 1;
+        const cw    = CELL_W * k;
+        const sx    = 2 * k;
+        const sy    = 3 * k;
+        const width = line.text.length * cw;
+        const free  = Math.max(0, widthPx - width);
+        let x = line.align === 'center' ? Math.floor(free / 2) : line.align === 'right' ? free : 0;
+
+        for (const ch of line.text) {
+            font.glyph(ch.charCodeAt(0)).forEach((col, gx) => {
+                for (let gy = 0; gy < font.HEIGHT; gy++) {
+                    if (!((col >> gy) & 1)) continue;
+                    fill(x + k + gx * sx, top + gy * sy, sx, sy);
+                    if (line.bold) fill(x + 2 * k + gx * sx, top + gy * sy, sx, sy);
+                }
+            });
+            x += cw;
+        }
+        top += CELL_H * k + LINE_GAP;
+    }
+    return { width: widthPx, height: Math.max(height, 1), bytesPerRow, data };
+}
+
+module.exports = { CELL_W, CELL_H, ALIGNS, columns, toAscii, wrap, layout, toBitmap };
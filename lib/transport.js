@@ -0,0 +1,81 @@
+'use strict';
+/**
+ * Sending jobs over a BLE write characteristic (noble-compatible), in chunks.
+ */
+
+const SETTLE = 2500; // ms for a printer that lost data to time out the half-received command
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function sendChunked(char, buf, chunkSize, delayMs, cb) {
+    const chunks = [];
+    for (let i = 0; i < buf.length; i += chunkSize) chunks.push(buf.slice(i, i + chunkSize));
+    let ci = 0;
+    function next() {
+        if (ci >= chunks.length) return cb(null);
+        char.write(chunks[ci++], true, err => err ? cb(err) : setTimeout(next, delayMs));
+    }
+    next();
+}
+
+const aborted = () => Object.assign(new Error('Job aborted'), { code: 'ABORTED' });
+
+// One write; an abort doesn't wait for a callback that a dropped link may never call
+function writeChunk(char, buf, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(aborted());
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        char.write(buf, true, err => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            err ? reject(err) : resolve();
+        });
+    });
+}
+
+/**
+ * Send job stages in order. `onStage(stage)` is called as each stage starts,
+ * `onStageDone(stage)` once it has been written and `onProgress({ sent, total })`
+ * after every chunk (bytes over the whole job).
+ *
+ * `from` ({ stage, offset }) starts part-way through. `signal` (an
+ * AbortSignal) stops between chunks, rejecting with code ABORTED. Any
+ * rejection carries `at`: the first byte not acknowledged, as { stage, offset }.
+ */
+async function runStages(writeChar, stages, { from = null, signal = null, onStage = () => {}, onStageDone = () => {}, onProgress = () => {} } = {}) {
+    const at    = { stage: from?.stage ?? 0, offset: from?.offset ?? 0 };
+    const total = stages.reduce((n, s) => n + s.buf.length, 0);
+    let   sent  = stages.slice(0, at.stage).reduce((n, s) => n + s.buf.length, 0) + at.offset;
+    try {
+        for (; at.stage < stages.length; at.stage++, at.offset = 0) {
+            const stage = stages[at.stage];
+            onStage(stage);
+            while (at.offset < stage.buf.length) {
+                if (signal?.aborted) throw aborted();
+                const chunk = stage.buf.subarray(at.offset, at.offset + stage.chunk);
+                await writeChunk(writeChar, chunk, signal);
+                at.offset += chunk.length;
+                sent      += chunk.length;
+                onProgress({ sent, total });
+                await sleep(stage.delay);
+            }
+            onStageDone(stage);
+            await sleep(stage.pauseAfter || 10);
+        }
+    } catch (e) {
+        throw Object.assign(e, { at: { ...at } });
+    }
+}
+
+/**
+ * Where to pick a job up again after it stopped at `at`: the start of the
+ * command that was cut off. Stages list command starts in `marks` (byte
+ * offsets, ascending); a stage without them is sent again from its start.
+ */
+function resumePoint(stages, at) {
+    if (at.stage >= stages.length) return at;
+    const marks = stages[at.stage].marks || [];
+    const mark  = marks.filter(m => m <= at.offset).pop() ?? 0;
+    return { stage: at.stage, offset: mark };
+}
+
+module.exports = { SETTLE, sleep, sendChunked, runStages, resumePoint };
@@ -0,0 +1,994 @@
+'use strict';
+/**
+ * Virtual BLE printer — a stand-in for @abandonware/noble.
+ *
+ * Advertises one simulated device per built-in model (pt210, d1, gt01, m110,
+ * d11), each with the same GATT layout as the matching profile. Everything written to
+ * the write characteristic is decoded and drawn onto a virtual paper roll,
+ * which is saved as a PNG when the CLI disconnects.
+ *
+ * The label printers (m110, d11) are loaded with die-cut label stock: the
+ * gaps between labels show grey on the PNG, so label alignment can be checked.
+ *
+ * Status queries (DLE EOT / GS I, D1 10 FF, GT01 device state, Phomemo 1F 11,
+ * Niimbot heartbeat / GET_INFO) are answered on
+ * the notify characteristic; `faults` simulates paper out, cover open, etc.,
+ * and an unreliable link: a first connect attempt that fails, or a link that
+ * drops once part-way through the first job. The paper survives reconnects.
+ *
+ * Each model also has a simple link: writes longer than MTU − 3 fail, and data
+ * goes through a receive buffer that drains at the print speed. Data sent
+ * faster than that overflows the buffer and is lost; the GT01 sends flow
+ * control (pause) packets before it gets there.
+ *
+ *   const noble = require('./lib/virtual-printer').createNoble({ pngPath: 'out.png', faults: ['paperOut'] });
+ */
+
+const { EventEmitter } = require('events');
+const fs      = require('fs');
+const barcode = require('./barcode');
+const font    = require('./font');
+const gt01    = require('./gt01');
+const niimbot = require('./niimbot');
+const phomemo = require('./phomemo');
+const png     = require('./png');
+const qr      = require('./qr');
+const status  = require('./status');
+
+// ── Models ────────────────────────────────────────────────────────────────────
+// UUIDs are in noble's format: lowercase, no dashes, SIG UUIDs in short form.
+// link: mtu, rxBuffer (bytes), drainRate (bytes per ms). label: the label
+// stock loaded, in mm.
+
+const MODELS = {
+    pt210: {
+        name:     'PT-210',
+        protocol: 'escpos',
+        widthPx:  384,
+        service:  'e7810a7173ae499d8c15faa9aef0c3f2',
+        write:    'bef8d6c99c214c9eb632bd58c1009f9f',
+        notify:   'bef8d6c99c214c9eb632bd58c1009f9f',
+        info:     { manufacturer: 'Virtual', model: 'PT-210', firmware: '1.0.0', serial: 'VPT210-0001' },
+        link:     { mtu: 185, rxBuffer: 2048, drainRate: 10 },
+    },
+    d1: {
+        name:     'PPS1',
+        protocol: 'd1',
+        widthPx:  384,
+        service:  'ff00',
+        write:    'ff02',
+        notify:   'ff01',
+        info:     { manufacturer: 'Virtual', model: 'PPS1', firmware: '1.0.0', serial: 'VPPS1-0001' },
+        link:     { mtu: 247, rxBuffer: 2048, drainRate: 24 },
+    },
+    gt01: {
+        name:     'GT01',
+        protocol: 'gt01',
+        widthPx:  384,
+        service:  'ae30',
+        write:    'ae01',
+        notify:   'ae02',
+        info:     { manufacturer: 'Virtual', model: 'GT01', firmware: '1.0.0', serial: 'VGT01-0001' },
+        link:     { mtu: 247, rxBuffer: 2048, drainRate: 8 },
+    },
+    m110: {
+        name:     'M110',
+        protocol: 'phomemo',
+        widthPx:  384,
+        service:  'ff00',
+        write:    'ff02',
+        notify:   'ff03',
+        info:     { manufacturer: 'Virtual', model: 'M110', firmware: '1.0.0', serial: 'VM110-0001' },
+        link:     { mtu: 185, rxBuffer: 4096, drainRate: 16 },
+        label:    { heightMm: 30, gapMm: 3 },
+    },
+    d11: {
+        name:     'D11',
+        protocol: 'niimbot',
+        widthPx:  96,
+        service:  'e7810a7173ae499d8c15faa9aef0c3f2',
+        write:    'bef8d6c99c214c9eb632bd58c1009f9f',
+        notify:   'bef8d6c99c214c9eb632bd58c1009f9f',
+        info:     { manufacturer: 'Virtual', model: 'D11', firmware: '1.0.0', serial: 'VD11-0001' },
+        link:     { mtu: 185, rxBuffer: 2048, drainRate: 8 },
+        label:    { heightMm: 40, gapMm: 4 },
+    },
+};
+
+const FAULTS = ['paperOut', 'coverOpen', 'overheating', 'lowBattery', 'connectFail', 'linkDrop'];
+
+const RSSI               = -40;
+const ADVERTISE_INTERVAL = 1000; // ms between advertisements when scanning with duplicates
+const LINK_DROP_AFTER    = 4096; // bytes received before the linkDrop fault cuts the link
+
+const DIS_SERVICE = '180a';
+const DIS_CHARS   = { manufacturer: '2a29', model: '2a24', firmware: '2a26', serial: '2a25' };
+
+// ── Paper ─────────────────────────────────────────────────────────────────────
+// One Uint8Array per dot row: 0 = white, 1 = black, 2 = cut mark, 3 = the
+// backing paper between two labels.
+
+const INK = { WHITE: 0, BLACK: 1, CUT: 2, GAP: 3 };
+
+const DOTS_PER_MM = 8;
+
+class Paper {
+    /** `label`: { heightMm, gapMm } for label stock, null for a paper roll. */
+    constructor(widthPx, { empty = false, label = null } = {}) {
+        this.width = widthPx;
+        this.rows  = [];
+        this.y     = 0;     // print head position (next row to print)
+        this.empty = empty; // out of paper — nothing prints or feeds
+        this.label = label && { height: label.heightMm * DOTS_PER_MM, gap: label.gapMm * DOTS_PER_MM };
+    }
+
+    row(y) {
+        while (this.rows.length <= y) this.rows.push(new Uint8Array(this.width));
+        return this.rows[y];
+    }
+
+    set(x, y, ink = INK.BLACK) {
+        if (this.empty || x < 0 || x >= this.width || y < 0) return;
+        this.row(y)[x] = ink;
+    }
+
+    fill(x, y, w, h, ink = INK.BLACK) {
+        for (let dy = 0; dy < h; dy++)
+            for (let dx = 0; dx < w; dx++) this.set(x + dx, y + dy, ink);
+    }
+
+    feed(dots) {
+        if (this.empty || dots <= 0) return;
+        this.y += dots;
+        this.row(this.y - 1);
+    }
+
+    /**
+     * Draw a 1-bit raster at the print head and advance past it.
+     * `lsbFirst` selects bit order within each byte; `invert` treats 0 bits as black.
+     */
+    raster(data, bytesPerRow, height, { x = 0, scaleX = 1, scaleY = 1, lsbFirst = false, invert = false } = {}) {
+        for (let r = 0; r < height; r++) {
+            for (let b = 0; b < bytesPerRow; b++) {
+                const byte = data[r * bytesPerRow + b] ?? 0;
+                for (let bit = 0; bit < 8; bit++) {
+                    const on = (byte >> (lsbFirst ? bit : 7 - bit)) & 1;
+                    if (on !== (invert ? 0 : 1)) continue;
+                    this.fill(x + (b * 8 + bit) * scaleX, this.y + r * scaleY, scaleX, scaleY);
+                }
+            }
+        }
+        this.feed(height * scaleY);
+    }
+
+    /**
+     * Feed to the top of the next label, as the printer's gap sensor does;
+     * the gaps fed through are drawn as backing paper. A short feed on a roll.
+     */
+    nextLabel() {
+        if (this.empty) return;
+        if (!this.label) { this.feed(3 * DOTS_PER_MM); return; }
+        const pitch = this.label.height + this.label.gap;
+        const top   = Math.ceil(this.y / pitch) * pitch;
+        for (let y = top - this.label.gap; y < top; y++) if (y >= 0) this.row(y).fill(INK.GAP);
+        this.y = top;
+    }
+
+    cut() {
+        if (this.empty) return;
+        const row = this.row(this.y);
+        for (let x = 0; x < this.width; x++) if ((x >> 2) % 2 === 0) row[x] = INK.CUT;
+        this.feed(1);
+    }
+
+    get isBlank() { return this.rows.length === 0; }
+
+    toPng() {
+        const height = Math.max(this.rows.length, 1);
+        const gray   = new Uint8Array(this.width * height).fill(255);
+        this.rows.forEach((row, y) => {
+            for (let x = 0; x < this.width; x++) {
+                if (row[x] === INK.BLACK) gray[y * this.width + x] = 0;
+                else if (row[x] === INK.CUT) gray[y * this.width + x] = 160;
+                else if (row[x] === INK.GAP) gray[y * this.width + x] = 220;
+            }
+        });
+        return png.encodeGray(this.width, height, gray);
+    }
+}
+
+// ── Streaming decoder base ────────────────────────────────────────────────────
+// Writes arrive in arbitrary chunks. Each decoder buffers what it has not yet
+// consumed and parses whole commands from the head; step() returns the number
+// of bytes used, or 0 when the command at the head is still incomplete.
+//
+// `printer` describes the simulated unit for status replies:
+//   { faults: Set, battery, firmware, reply(buf) } — reply() sends a notification.
+
+const PENDING_TIMEOUT = 2000; // ms
+
+class Decoder {
+    constructor(paper, printer) {
+        this.paper   = paper;
+        this.printer = printer;
+        this.pending = Buffer.alloc(0);
+        this.unknown = 0;
+        this.lastWrite = 0;
+    }
+
+    fault(name) { return this.printer.faults.has(name); }
+
+    get battery() { return this.fault('lowBattery') ? 8 : this.printer.battery; }
+
+    write(chunk) {
+        // Like real firmware, give up on a half-received command after a pause
+        const now = Date.now();
+        if (this.pending.length && now - this.lastWrite > PENDING_TIMEOUT) this.pending = Buffer.alloc(0);
+        this.lastWrite = now;
+
+        const buf = this.pending.length ? Buffer.concat([this.pending, chunk]) : Buffer.from(chunk);
+        let i = 0;
+        while (i < buf.length) {
+            const used = this.step(buf, i);
+            if (!used) break;
+            i += used;
+        }
+        this.pending = buf.subarray(i);
+    }
+
+    finish() {}
+}
+
+// ── ESC/POS (and the D1 and Phomemo dialects) ─────────────────────────────────
+
+const CELL_W       = 12; // Font A cell: 12×24 dots
+const CELL_H       = 24;
+const LINE_SPACING = 30; // ESC 2 default
+
+// D1 vendor commands: 10 FF <op> ... — total length by op byte
+const D1_CMD_LEN = { 0x10: 5, 0x40: 3 };
+const D1_CMD_LEN_DEFAULT = 4;
+
+class EscPosDecoder extends Decoder {
+    /**
+     * `d1` enables the 10 FF vendor commands and the D1's inverted raster
+     * polarity; `phomemo` the 1F commands and ESC N speed / density.
+     */
+    constructor(paper, printer, { d1 = false, phomemo = false } = {}) {
+        super(paper, printer);
+        this.d1      = d1;
+        this.phomemo = phomemo;
+        this.reset();
+    }
+
+    // DLE EOT n — one status byte; bits 1 and 4 are always set
+    realtimeStatus(n) {
+        let b = 0x12;
+        if (n === 1 && (this.fault('paperOut') || this.fault('coverOpen'))) b |= 0x08; // offline
+        if (n === 2 && this.fault('coverOpen'))   b |= 0x04;
+        if (n === 2 && this.fault('paperOut'))    b |= 0x20;
+        if (n === 3 && this.fault('overheating')) b |= 0x20;
+        if (n === 4 && this.fault('paperOut'))    b |= 0x60;
+        return Buffer.from([b]);
+    }
+
+    // D1 vendor queries — replies are 1A <type> <value...>
+    d1Query(op, arg) {
+        const { D1_MSG } = status;
+        if (op === 0x40) {
+            this.printer.reply(Buffer.from([
+                0x1A, D1_MSG.PAPER,       this.fault('paperOut')    ? 0x89 : 0x88,
+                0x1A, D1_MSG.COVER,       this.fault('coverOpen')   ? 0x98 : 0x99,
+                0x1A, D1_MSG.TEMPERATURE, this.fault('overheating') ? 0xA9 : 0xA8,
+            ]));
+        } else if (op === 0x50 && arg === 0xF1) {
+            this.printer.reply(Buffer.from([0x1A, D1_MSG.BATTERY, this.battery]));
+        } else if (op === 0x20 && arg === 0xF1) {
+            const [maj = 0, min = 0, patch = 0] = this.printer.firmware.split('.').map(Number);
+            this.printer.reply(Buffer.from([0x1A, D1_MSG.FIRMWARE, maj, min, patch]));
+        }
+    }
+
+    // Phomemo 1F 11 queries — the same 1A <type> <value> replies as the D1
+    phomemoQuery(what) {
+        const { D1_MSG } = status;
+        const Q = phomemo.QUERY;
+        if (what === Q.PAPER)   this.printer.reply(Buffer.from([0x1A, D1_MSG.PAPER, this.fault('paperOut')  ? 0x89 : 0x88]));
+        if (what === Q.COVER)   this.printer.reply(Buffer.from([0x1A, D1_MSG.COVER, this.fault('coverOpen') ? 0x98 : 0x99]));
+        if (what === Q.BATTERY) this.printer.reply(Buffer.from([0x1A, D1_MSG.BATTERY, this.battery]));
+        if (what === Q.FIRMWARE) {
+            const [maj = 0, min = 0, patch = 0] = this.printer.firmware.split('.').map(Number);
+            this.printer.reply(Buffer.from([0x1A, D1_MSG.FIRMWARE, maj, min, patch]));
+        }
+    }
+
+    reset() {
+        this.line        = [];
+        this.bold        = false;
+        this.underline   = 0;
+        this.scaleW      = 1;
+        this.scaleH      = 1;
+        this.inverse     = false;
+        this.align       = 0;
+        this.lineSpacing = LINE_SPACING;
+        this.leftMargin  = 0;                                      // GS L
+        this.areaWidth   = null;                                   // GS W — null: to the right edge
+        this.bar         = { hri: 0, height: 162, width: 3 };      // GS H / GS h / GS w defaults
+        this.qr          = { scale: 3, ec: 'L', data: null };      // GS ( k defaults
+    }
+
+    step(b, i) {
+        const need = n => i + n <= b.length;
+        const op   = b[i];
+
+        if (op === 0x0A) { this.printLine(true); return 1; }           // LF
+        if (op === 0x0D || op === 0x00) return 1;                        // CR, NUL (D1 wake padding)
+        if (op === 0x09) { for (let s = 0; s < 4; s++) this.addChar(0x20); return 1; }
+
+        if (op === 0x1B) {                                               // ESC
+            if (!need(2)) return 0;
+            const c = b[i + 1];
+            switch (c) {
+                case 0x40: this.reset(); return 2;                                    // ESC @
+                case 0x32: this.lineSpacing = LINE_SPACING; return 2;                 // ESC 2
+            }
+            if (!need(3)) return 0;
+            const n = b[i + 2];
+            switch (c) {
+                case 0x21:                                                           // ESC ! n
+                    this.bold      = !!(n & 0x08);
+                    this.scaleH    = n & 0x10 ? 2 : 1;
+                    this.scaleW    = n & 0x20 ? 2 : 1;
+                    this.underline = n & 0x80 ? 1 : 0;
+                    return 3;
+                case 0x2D: this.underline = n & 0x03; return 3;                      // ESC - n (0–2 or '0'–'2')
+                case 0x45: case 0x47: this.bold = !!(n & 1); return 3;               // ESC E n / ESC G n
+                case 0x61: this.align = n & 0x03; return 3;                          // ESC a n
+                case 0x33: this.lineSpacing = n; return 3;                           // ESC 3 n
+                case 0x2A: return this.bitImage(b, i);                               // ESC * m nL nH d…
+                case 0x4A: this.printLine(false); this.paper.feed(n); return 3;      // ESC J n
+                case 0x64: this.printLine(false); this.paper.feed(n * this.lineSpacing); return 3; // ESC d n
+                case 0x4D: case 0x52: case 0x74: case 0x56: case 0x7B: case 0x20: return 3; // font, charset, codepage, rotate, upside-down, char spacing
+                case 0x4E: if (this.phomemo) return need(4) ? 4 : 0; break;          // ESC N 0D n / 04 n — Phomemo speed, density
+            }
+            this.unknown++;
+            return 2;
+        }
+
+        if (op === 0x1D) {                                               // GS
+            if (!need(2)) return 0;
+            const c = b[i + 1];
+            if (c === 0x76) {                                                        // GS v 0 m xL xH yL yH d...
+                if (!need(8)) return 0;
+                const m   = b[i + 3];
+                const bpr = b[i + 4] | (b[i + 5] << 8);
+                const h   = b[i + 6] | (b[i + 7] << 8);
+                if (!need(8 + bpr * h)) return 0;
+                this.printLine(false);
+                const scaleX = m & 1 ? 2 : 1;
+                const scaleY = m & 2 ? 2 : 1;
+                this.paper.raster(b.subarray(i + 8, i + 8 + bpr * h), bpr, h, {
+                    x: this.alignOffset(bpr * 8 * scaleX), scaleX, scaleY, invert: this.d1,
+                });
+                return 8 + bpr * h;
+            }
+            if (c === 0x56) {                                                        // GS V m [n]
+                if (!need(3)) return 0;
+                const m = b[i + 2];
+                if (m === 0x41 || m === 0x42) {
+                    if (!need(4)) return 0;
+                    this.printLine(false);
+                    this.paper.feed(b[i + 3]);
+                    this.paper.cut();
+                    return 4;
+                }
+                this.printLine(false);
+                this.paper.cut();
+                return 3;
+            }
+            if (c === 0x6B) return this.barcode(b, i);                               // GS k
+            if (c === 0x28) {                                                        // GS ( fn pL pH ...
+                if (!need(5)) return 0;
+                const len = 5 + (b[i + 3] | (b[i + 4] << 8));
+                if (!need(len)) return 0;
+                const known = b[i + 2] === 0x6B ? this.qrFunction(b.subarray(i + 5, i + len))
+                            : b[i + 2] === 0x4B && b[i + 5] === 0x31;               // GS ( K fn 49 — print density
+                if (!known) this.unknown++;
+                return len;
+            }
+            if (!need(3)) return 0;
+            const n = b[i + 2];
+            switch (c) {
+                case 0x21: this.scaleW = ((n >> 4) & 0x07) + 1; this.scaleH = (n & 0x07) + 1; return 3; // GS ! n
+                case 0x42: this.inverse = !!(n & 1); return 3;                        // GS B n
+                case 0x49:                                                           // GS I n — printer ID
+                    if (n === 0x41) this.printer.reply(Buffer.concat([Buffer.from([0x5F]), Buffer.from(this.printer.firmware, 'ascii'), Buffer.from([0x00])]));
+                    return 3;
+                case 0x48: this.bar.hri = n & 0x03; return 3;                         // GS H n — HRI position
+                case 0x68: this.bar.height = n || 1; return 3;                        // GS h n — bar height
+                case 0x77: this.bar.width = n; return 3;                              // GS w n — module width
+                case 0x66: case 0x61: case 0x72: return 3;                            // HRI font, status enables
+                case 0x4C: case 0x57: {                                               // GS L / GS W nL nH
+                    if (!need(4)) return 0;
+                    this.printLine(false);
+                    const v = b[i + 2] | (b[i + 3] << 8);
+                    if (c === 0x4C) this.leftMargin = v; else this.areaWidth = v;
+                    return 4;
+                }
+            }
+            this.unknown++;
+            return 2;
+        }
+
+        if (op === 0x10) {                                               // DLE
+            if (!need(2)) return 0;
+            if (b[i + 1] === 0x04) {                                                  // DLE EOT n
+                if (!need(3)) return 0;
+                this.printer.reply(this.realtimeStatus(b[i + 2]));
+                return 3;
+            }
+            if (this.d1 && b[i + 1] === 0xFF) {                                       // D1 vendor: 10 FF op ...
+                if (!need(3)) return 0;
+                const len = D1_CMD_LEN[b[i + 2]] || D1_CMD_LEN_DEFAULT;
+                if (!need(len)) return 0;
+                this.d1Query(b[i + 2], b[i + 3]);
+                return len;
+            }
+            this.unknown++;
+            return 2;
+        }
+
+        if (op === 0x1F && this.phomemo) {                               // Phomemo 1F ...
+            if (!need(3)) return 0;
+            if (b[i + 1] === 0x11) {                                                  // 1F 11 n — query or media type
+                if (Object.values(phomemo.QUERY).includes(b[i + 2])) this.phomemoQuery(b[i + 2]);
+                else if (!Object.values(phomemo.MEDIA).includes(b[i + 2])) this.unknown++;
+                return 3;
+            }
+            if (b[i + 1] === 0xF0) {                                                  // 1F F0 n 00 — paper handling
+                if (!need(4)) return 0;
+                this.printLine(false);
+                if (b[i + 2] === 0x05) this.paper.nextLabel();
+                else if (b[i + 2] !== 0x03) this.unknown++;                           // 03: end of job
+                return 4;
+            }
+            this.unknown++;
+            return 2;
+        }
+
+        if (op >= 0x20) { this.addChar(op); return 1; }
+
+        this.unknown++;
+        return 1;
+    }
+
+    // ESC * m nL nH d… — column-format bit image, drawn at the print head; the
+    // line feed after it advances the paper. m 0/1: 8 dots high, 32/33: 24
+    // dots; even m is single density (each dot two wide), and 8-dot images
+    // are three rows per dot.
+    bitImage(b, i) {
+        if (i + 5 > b.length) return 0;
+        const m     = b[i + 2];
+        const cols  = b[i + 3] | (b[i + 4] << 8);
+        const bytes = m >= 32 ? 3 : 1;
+        const len   = 5 + cols * bytes;
+        if (i + len > b.length) return 0;
+        if (![0, 1, 32, 33].includes(m)) { this.unknown++; return len; }
+        this.printLine(false);
+        const sx = m % 2 ? 1 : 2;
+        const sy = m >= 32 ? 1 : 3;
+        const x0 = this.alignOffset(cols * sx);
+        for (let c = 0; c < cols; c++) {
+            for (let k = 0; k < bytes * 8; k++) {
+                if (b[i + 5 + c * bytes + (k >> 3)] & (0x80 >> (k & 7))) this.paper.fill(x0 + c * sx, this.paper.y + k * sy, sx, sy);
+            }
+        }
+        return len;
+    }
+
+    // GS k m d… NUL (m 0–6) or GS k m n d… (m 65–73)
+    barcode(b, i) {
+        if (i + 3 > b.length) return 0;
+        const m = b[i + 2];
+        let data, len;
+        if (m <= 6) {
+            const end = b.indexOf(0x00, i + 3);
+            if (end < 0) return 0;
+            data = b.subarray(i + 3, end);
+            len  = end - i + 1;
+        } else {
+            if (i + 4 > b.length) return 0;
+            len = 4 + b[i + 3];
+            if (i + len > b.length) return 0;
+            data = b.subarray(i + 4, i + len);
+        }
+        let code = null;
+        try { code = barcode.fromEscPos(m <= 6 ? m + 65 : m, data); } catch { /* bad data prints nothing */ }
+        const { height, width } = this.bar;
+        const hri   = barcode.HRI[this.bar.hri];
+        const barsW = code ? code.bars.reduce((n, w) => n + w, 0) * width : 0;
+        if (!code || !width || barsW > this.paper.width) {
+            this.unknown++;
+            return len;
+        }
+        this.printLine(false);
+        const textW = hri === 'none' ? 0 : code.text.length * CELL_W;
+        this.drawAligned(Math.min(this.paper.width, Math.max(barsW, textW)), w => barcode.toBitmap(code, w, { scale: width, height, hri }));
+        return len;
+    }
+
+    // GS ( k cn fn … for cn 49 (QR code); false for anything not understood
+    qrFunction(args) {
+        const [cn, fn] = args;
+        if (cn !== 0x31) return false;
+        switch (fn) {
+            case 0x41: return true;                                                  // fn 165 — model
+            case 0x43: this.qr.scale = args[2]; return true;                         // fn 167 — module size
+            case 0x45: this.qr.ec = qr.EC_LEVELS[args[2] - 0x30] || this.qr.ec; return true; // fn 169 — error correction
+            case 0x50: this.qr.data = Buffer.from(args.subarray(3)); return true;    // fn 180 — store
+            case 0x51: {                                                             // fn 181 — print
+                if (!this.qr.data) return false;
+                let code;
+                try { code = qr.encode(this.qr.data, { ec: this.qr.ec }); } catch { return false; }
+                const side = code.size * this.qr.scale;
+                if (!this.qr.scale || side > this.paper.width) return false;
+                this.printLine(false);
+                this.drawAligned(side, w => qr.toBitmap(code, w, { scale: this.qr.scale }));
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // A bitmap `width` dots wide from draw(widthPx), placed per ESC a
+    drawAligned(width, draw) {
+        const widthPx = Math.ceil(width / 8) * 8;
+        const bmp     = draw(widthPx);
+        this.paper.raster(bmp.data, bmp.bytesPerRow, bmp.height, { x: this.alignOffset(widthPx) });
+    }
+
+    addChar(code) {
+        const ch = { code, bold: this.bold, underline: this.underline, inverse: this.inverse, w: this.scaleW, h: this.scaleH };
+        if (this.lineWidth() + CELL_W * ch.w > this.area()) this.printLine(false);
+        this.line.push(ch);
+    }
+
+    lineWidth() {
+        return this.line.reduce((sum, ch) => sum + CELL_W * ch.w, 0);
+    }
+
+    // Print area width per GS L / GS W
+    area() {
+        return Math.max(CELL_W, Math.min(this.areaWidth ?? Infinity, this.paper.width - this.leftMargin));
+    }
+
+    alignOffset(width) {
+        const free = Math.max(0, this.area() - width);
+        return this.leftMargin + (this.align === 1 ? Math.floor(free / 2) : this.align === 2 ? free : 0);
+    }
+
+    /** Render the line buffer. `feedEmpty` advances one line even when nothing is buffered (LF). */
+    printLine(feedEmpty) {
+        if (!this.line.length) {
+            if (feedEmpty) this.paper.feed(this.lineSpacing);
+            return;
+        }
+        const paper  = this.paper;
+        const height = Math.max(...this.line.map(ch => CELL_H * ch.h));
+        let x = this.alignOffset(this.lineWidth());
+
+        for (const ch of this.line) {
+            const cw   = CELL_W * ch.w;
+            const ch_h = CELL_H * ch.h;
+            const top  = paper.y + height - ch_h; // share a baseline with taller characters
+            const sx   = 2 * ch.w;
+            const sy   = 3 * ch.h;
+            const fg   = ch.inverse ? INK.WHITE : INK.BLACK;
+            if (ch.inverse) paper.fill(x, top, cw, ch_h);
+
+            font.glyph(ch.code).forEach((col, gx) => {
+                for (let gy = 0; gy < font.HEIGHT; gy++) {
+                    if (!((col >> gy) & 1)) continue;
+                    const px = x + ch.w + gx * sx;
+                    const py = top + gy * sy;
+                    paper.fill(px, py, sx, sy, fg);
+                    if (ch.bold) paper.fill(px + ch.w, py, sx, sy, fg);
+                }
+            });
+            if (ch.underline) paper.fill(x, top + ch_h - 2 * ch.underline, cw, ch.underline * ch.h, fg);
+            x += cw;
+        }
+
+        paper.feed(Math.max(height, this.lineSpacing));
+        this.line = [];
+    }
+
+    finish() { this.printLine(false); }
+}
+
+// ── GT01 ──────────────────────────────────────────────────────────────────────
+// Packet: 51 78 <cmd> 00 <lenLo> <lenHi> <data...> <crc8(data)> FF
+// Bitmap rows are LSB-first, 1 = black.
+
+const GT01 = gt01.CMD;
+
+class Gt01Decoder extends Decoder {
+    constructor(paper, printer) {
+        super(paper, printer);
+        this.badCrc = 0;
+    }
+
+    stateFlags() {
+        const S = status.GT01_STATE;
+        return (this.fault('paperOut')    ? S.PAPER_OUT  : 0) |
+               (this.fault('coverOpen')   ? S.COVER_OPEN : 0) |
+               (this.fault('overheating') ? S.OVERHEAT   : 0) |
+               (this.fault('lowBattery')  ? S.LOW_POWER  : 0);
+    }
+
+    step(b, i) {
+        if (b[i] === 0x00) return 1;                                     // padding between packets
+        if (b[i] !== 0x51) { this.unknown++; return 1; }
+        if (i + 6 > b.length) return 0;
+        if (b[i + 1] !== 0x78) { this.unknown++; return 1; }
+        const cmd = b[i + 2];
+        const len = b[i + 4] | (b[i + 5] << 8);
+        const total = 6 + len + 2;
+        if (i + total > b.length) return 0;
+
+        const data = b.subarray(i + 6, i + 6 + len);
+        if (b[i + 6 + len] !== gt01.crc8(data) || b[i + 7 + len] !== 0xFF) {
+            this.badCrc++; // a real GT01 drops the packet
+            return total;
+        }
+
+        const paper = this.paper;
+        switch (cmd) {
+            case GT01.BITMAP:
+                paper.raster(data, data.length, 1, { lsbFirst: true });
+                break;
+            case GT01.COMPRESSED: {
+                // Run-length row: bit 7 = colour, bits 0–6 = run length
+                let x = 0;
+                for (const run of data) {
+                    const n = run & 0x7F;
+                    if (run & 0x80) paper.fill(x, paper.y, n, 1);
+                    x += n;
+                }
+                paper.feed(1);
+                break;
+            }
+            case GT01.FEED:
+                paper.feed(data[0] | ((data[1] || 0) << 8));
+                break;
+            case GT01.DEVICE_STATE:
+                this.printer.reply(gt01.packet(GT01.DEVICE_STATE, [this.stateFlags()]));
+                break;
+            case GT01.BATTERY:
+                this.printer.reply(gt01.packet(GT01.BATTERY, [this.battery]));
+                break;
+            case GT01.DEVICE_INFO:
+                this.printer.reply(gt01.packet(GT01.DEVICE_INFO, Buffer.from(this.printer.firmware, 'ascii')));
+                break;
+            case GT01.RETRACT: case GT01.QUALITY: case GT01.LATTICE:
+            case GT01.ENERGY:  case GT01.SPEED:   case GT01.DRAW_MODE:
+                break;
+            default:
+                this.unknown++;
+        }
+        return total;
+    }
+}
+
+// ── Niimbot ───────────────────────────────────────────────────────────────────
+// Packet: 55 55 <cmd> <len> <data...> <xor> AA AA
+// Rows are addressed by number within the page; END_PAGE_PRINT moves on to
+// the next label.
+
+const NIIM = niimbot.CMD;
+
+class NiimbotDecoder extends Decoder {
+    constructor(paper, printer) {
+        super(paper, printer);
+        this.badCrc = 0;
+        this.top    = 0;                            // paper row of the page's first row
+        this.page   = { height: 0, width: 0 };      // SET_DIMENSION
+    }
+
+    // The 13-byte heartbeat reply: cover, battery level (1–4), paper, RFID
+    heartbeat() {
+        const H    = status.NIIMBOT_HEARTBEAT;
+        const data = Buffer.alloc(13);
+        data[H.COVER]   = this.fault('coverOpen') ? 1 : 0;
+        data[H.BATTERY] = Math.ceil(this.battery / 25);
+        data[H.PAPER]   = this.fault('paperOut') ? 1 : 0;
+        return data;
+    }
+
+    info(key) {
+        const I = niimbot.INFO;
+        if (key === I.BATTERY) return [Math.ceil(this.battery / 25)];
+        if (key === I.SOFT_VERSION) {
+            const [maj = 0, min = 0] = this.printer.firmware.split('.').map(Number);
+            const v = maj * 100 + min;
+            return [v >> 8, v & 0xFF];
+        }
+        return null;
+    }
+
+    step(b, i) {
+        if (b[i] !== 0x55) { this.unknown++; return 1; }
+        if (i + 4 > b.length) return 0;
+        if (b[i + 1] !== 0x55) { this.unknown++; return 1; }
+        const cmd   = b[i + 2];
+        const len   = b[i + 3];
+        const total = 4 + len + 3;
+        if (i + total > b.length) return 0;
+
+        const data = b.subarray(i + 4, i + 4 + len);
+        if (b[i + 4 + len] !== niimbot.checksum(cmd, data) || b[i + 5 + len] !== 0xAA || b[i + 6 + len] !== 0xAA) {
+            this.badCrc++; // a real Niimbot drops the packet
+            return total;
+        }
+
+        const paper = this.paper;
+        switch (cmd) {
+            case NIIM.HEARTBEAT:
+                this.printer.reply(niimbot.packet(NIIM.HEARTBEAT + 1, this.heartbeat()));
+                break;
+            case NIIM.GET_INFO: {
+                const value = this.info(data[0]);
+                if (value) this.printer.reply(niimbot.packet(NIIM.GET_INFO + data[0], value));
+                else this.unknown++;
+                break;
+            }
+            case NIIM.START_PAGE_PRINT:
+                this.top = paper.y;
+                break;
+            case NIIM.SET_DIMENSION:
+                this.page = { height: (data[0] << 8) | data[1], width: (data[2] << 8) | data[3] };
+                break;
+            case NIIM.BITMAP_ROW: {
+                const y   = (data[0] << 8) | data[1];
+                const row = data.subarray(6);
+                for (let r = 0; r < data[5]; r++) {
+                    for (let x = 0; x < row.length * 8; x++) {
+                        if (row[x >> 3] & (0x80 >> (x & 7))) paper.set(x, this.top + y + r);
+                    }
+                }
+                break;
+            }
+            case NIIM.END_PAGE_PRINT:
+                paper.feed(this.top + this.page.height - paper.y);
+                paper.nextLabel();
+                break;
+            case NIIM.BLANK_ROWS: case NIIM.START_PRINT: case NIIM.END_PRINT: case NIIM.SET_QUANTITY:
+            case NIIM.SET_LABEL_DENSITY: case NIIM.SET_LABEL_TYPE:
+                break;
+            default:
+                this.unknown++;
+        }
+        return total;
+    }
+}
+
+// ── GATT objects (noble-compatible surface) ───────────────────────────────────
+
+class VirtualCharacteristic extends EventEmitter {
+    constructor(uuid, properties, { onWrite = null, value = null, maxWrite = 512 } = {}) {
+        super();
+        this.uuid       = uuid;
+        this.name       = null;
+        this.type       = null;
+        this.properties = properties;
+        this.subscribed = false;
+        this._onWrite   = onWrite;
+        this._value     = value;
+        this._maxWrite  = maxWrite;
+    }
+
+    write(data, withoutResponse, cb) {
+        setImmediate(() => {
+            if (!this._onWrite) return cb && cb(new Error('Write not permitted'));
+            if (data.length > this._maxWrite) return cb && cb(new Error(`Write of ${data.length} bytes exceeds MTU`));
+            const err = this._onWrite(Buffer.from(data));
+            if (cb) cb(err || null);
+        });
+    }
+
+    read(cb) {
+        setImmediate(() => cb(this._value ? null : new Error('Read not permitted'), this._value));
+    }
+
+    subscribe(cb) {
+        this.subscribed = true;
+        setImmediate(() => cb && cb(null));
+    }
+
+    unsubscribe(cb) {
+        this.subscribed = false;
+        setImmediate(() => cb && cb(null));
+    }
+
+    /** Deliver a notification to subscribers. */
+    push(data) {
+        if (this.subscribed) setImmediate(() => this.emit('data', Buffer.from(data), true));
+    }
+}
+
+class VirtualPeripheral extends EventEmitter {
+    constructor(id, modelId, model, { pngPath, faults }) {
+        super();
+        this.id           = id;
+        this.uuid         = id;
+        this.address      = id.match(/../g).join(':');
+        this.addressType  = 'public';
+        this.connectable  = true;
+        this.rssi         = RSSI;
+        this.state        = 'disconnected';
+        this.modelId      = modelId;
+        this.model        = model;
+        this.pngPath      = pngPath || `virtual-${modelId}.png`;
+        this.faults       = new Set(faults);
+        this.mtu          = null;
+        this.paper        = null;
+        this.failedOnce   = false;   // connectFail fault used up
+        this.dropped      = false;   // linkDrop fault used up
+        this.advertisement = {
+            localName:        model.name,
+            serviceUuids:     [model.service],
+            manufacturerData: null,
+            txPowerLevel:     0,
+        };
+    }
+
+    connect(cb) {
+        if (this.faults.has('connectFail') && !this.failedOnce) {
+            this.failedOnce = true;
+            return setImmediate(() => cb && cb(new Error('Connection failed (virtual connectFail fault)')));
+        }
+        this.state    = 'connected';
+        this.mtu      = this.model.link.mtu;
+        this.rx       = { level: 0, time: Date.now(), paused: false, overruns: this.rx?.overruns || 0 };
+        this._buildGatt();
+        if (!this.paper) this._loadPaper();
+        setImmediate(() => { this.emit('connect'); if (cb) cb(null); });
+    }
+
+    // The paper and the decoder's state belong to the printer, not the link
+    _loadPaper() {
+        this.received = 0;
+        this.paper    = new Paper(this.model.widthPx, { empty: this.faults.has('paperOut'), label: this.model.label });
+        const printer = {
+            faults:   this.faults,
+            battery:  80,
+            firmware: this.model.info.firmware,
+            reply:    data => this.notifyChar.push(data),
+        };
+        const protocol = this.model.protocol;
+        this.decoder = protocol === 'gt01'    ? new Gt01Decoder(this.paper, printer)
+                     : protocol === 'niimbot' ? new NiimbotDecoder(this.paper, printer)
+                     : new EscPosDecoder(this.paper, printer, { d1: protocol === 'd1', phomemo: protocol === 'phomemo' });
+    }
+
+    _buildGatt() {
+        const m = this.model;
+        const onWrite  = data => this._receive(data);
+        const maxWrite = m.link.mtu - 3;
+        const chars = [];
+        if (m.write === m.notify) {
+            chars.push(new VirtualCharacteristic(m.write, ['read', 'write', 'writeWithoutResponse', 'notify'], { onWrite, maxWrite }));
+        } else {
+            chars.push(new VirtualCharacteristic(m.notify, ['notify']));
+            chars.push(new VirtualCharacteristic(m.write, ['write', 'writeWithoutResponse'], { onWrite, maxWrite }));
+        }
+        const disChars = Object.entries(DIS_CHARS)
+            .map(([field, uuid]) => new VirtualCharacteristic(uuid, ['read'], { value: Buffer.from(m.info[field], 'utf8') }));
+
+        this.services = [
+            { uuid: m.service,   characteristics: chars },
+            { uuid: DIS_SERVICE, characteristics: disChars },
+        ];
+        this.notifyChar = chars.find(c => c.uuid === m.notify);
+    }
+
+    // Receive buffer: drains at the model's drainRate; data that doesn't fit is lost.
+    // Returns an Error for a write that fails.
+    _receive(data) {
+        if (this.state !== 'connected') return new Error('Not connected');
+        this.received += data.length;
+        if (this.faults.has('linkDrop') && !this.dropped && this.received > LINK_DROP_AFTER) {
+            this.dropped = true;
+            this.state   = 'disconnected';
+            this.emit('disconnect');
+            return new Error('Link lost (virtual linkDrop fault)');
+        }
+
+        const { rxBuffer, drainRate } = this.model.link;
+        const rx  = this.rx;
+        const now = Date.now();
+        rx.level = Math.max(0, rx.level - (now - rx.time) * drainRate);
+        rx.time  = now;
+
+        if (this.model.protocol === 'gt01') {
+            if (!rx.paused && rx.level > rxBuffer * 0.75) { rx.paused = true;  this.notifyChar.push(gt01.packet(GT01.FLOW_CONTROL, [0x01])); }
+            if (rx.paused  && rx.level < rxBuffer * 0.25) { rx.paused = false; this.notifyChar.push(gt01.packet(GT01.FLOW_CONTROL, [0x00])); }
+        }
+        if (rx.level + data.length > rxBuffer) { rx.overruns++; return; }
+        rx.level += data.length;
+        this.decoder.write(data);
+    }
+
+    discoverAllServicesAndCharacteristics(cb) {
+        setImmediate(() => cb(null, this.services, this.services.flatMap(s => s.characteristics)));
+    }
+
+    disconnect(cb) {
+        if (this.state === 'connected') {
+            this.state = 'disconnected';
+            this._savePaper();
+            this.emit('disconnect');
+        }
+        if (cb) setImmediate(cb);
+    }
+
+    _savePaper() {
+        this.decoder.finish();
+        const issues = [];
+        if (this.decoder.unknown) issues.push(`${this.decoder.unknown} unrecognised command(s)`);
+        if (this.decoder.badCrc)  issues.push(`${this.decoder.badCrc} packet(s) dropped for bad CRC`);
+        if (this.rx.overruns)     issues.push(`${this.rx.overruns} write(s) lost to receive buffer overrun`);
+        if (issues.length) console.log(`Virtual printer [${this.modelId}]: ${issues.join(', ')}`);
+
+        if (this.paper.isBlank) return;
+        fs.writeFileSync(this.pngPath, this.paper.toPng());
+        console.log(`Virtual printer [${this.modelId}]: ${this.paper.rows.length} dot rows written to ${this.pngPath}`);
+    }
+}
+
+// ── noble stand-in ────────────────────────────────────────────────────────────
+
+class VirtualNoble extends EventEmitter {
+    constructor({ pngPath = null, models = Object.keys(MODELS), faults = [] } = {}) {
+        super();
+        const bad = faults.filter(f => !FAULTS.includes(f));
+        if (bad.length) throw new Error(`Unknown virtual printer fault "${bad[0]}" (known: ${FAULTS.join(', ')})`);
+        this.state       = 'poweredOn';
+        this.scanning    = false;
+        this.peripherals = models.map((id, n) => {
+            if (!MODELS[id]) throw new Error(`Unknown virtual printer model "${id}" (known: ${Object.keys(MODELS).join(', ')})`);
+            return new VirtualPeripheral(`00005e00${String(n + 1).padStart(4, '0')}`, id, MODELS[id], { pngPath, faults });
+        });
+        setImmediate(() => this.emit('stateChange', this.state));
+    }
+
+    // With allowDuplicates every printer keeps advertising, RSSI wobbling by a few dB
+    startScanning(_serviceUuids, allowDuplicates, cb) {
+        this.scanning = true;
+        this.peripherals.forEach((p, n) => {
+            setTimeout(() => { if (this.scanning) this.emit('discover', p); }, 100 * (n + 1));
+        });
+        if (allowDuplicates) {
+            this._advertising = setInterval(() => {
+                for (const p of this.peripherals) {
+                    if (p.state === 'connected') continue;
+                    p.rssi = RSSI + Math.round((Math.random() - 0.5) * 8);
+                    this.emit('discover', p);
+                }
+            }, ADVERTISE_INTERVAL);
+        }
+        if (cb) setImmediate(cb);
+    }
+
+    stopScanning(cb) {
+        this.scanning = false;
+        clearInterval(this._advertising);
+        if (cb) setImmediate(cb);
+    }
+}
+
+function createNoble(opts) {
+    return new VirtualNoble(opts);
+}
+
+module.exports = { createNoble, MODELS, FAULTS, Paper, EscPosDecoder, Gt01Decoder, NiimbotDecoder };
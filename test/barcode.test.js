@@ -0,0 +1,62 @@
+'use strict';
+
+const test    = require('node:test');
+const assert  = require('node:assert/strict');
+const barcode = require('../lib/barcode');
+
+// Bar / space run lengths back to a module string, 1 = bar
+const moduleString = bars => bars.map((w, i) => (i % 2 ? '0' : '1').repeat(w)).join('');
+
+test('EAN / UPC check digits', () => {
+    assert.equal(barcode.eanCheck('400638133393'), '1');   // EAN-13 4006381333931
+    assert.equal(barcode.eanCheck('590123412345'), '7');   // EAN-13 5901234123457
+    assert.equal(barcode.eanCheck('9638507'), '4');        // EAN-8 96385074
+    assert.equal(barcode.eanCheck('03600029145'), '2');    // UPC-A 036000291452
+    assert.equal(barcode.encode('ean13', '590123412345').text, '5901234123457');
+    assert.equal(barcode.encode('upca', '03600029145').text, '036000291452');
+});
+
+test('a wrong check digit is BAD_INPUT', () => {
+    assert.throws(() => barcode.encode('ean13', '5901234123458'), { code: 'BAD_INPUT', message: /is 7, not 8/ });
+    assert.throws(() => barcode.encode('ean8', '123'), { code: 'BAD_INPUT' });
+});
+
+test('EAN-13 5901234123457 modules', () => {
+    // First digit 5 sets the left half's parity to LGGLLG
+    const left  = ['0001011', '0100111', '0110011', '0010011', '0111101', '0011101'];      // 9 0 1 2 3 4
+    const right = ['1100110', '1101100', '1000010', '1011100', '1001110', '1000100'];      // 1 2 3 4 5 7
+    const code  = barcode.encode('ean13', '5901234123457');
+    assert.equal(moduleString(code.bars), `101${left.join('')}01010${right.join('')}101`);
+    assert.equal(barcode.modules(code), 95 + 2 * barcode.QUIET);
+});
+
+test('EAN-8 and UPC-A widths', () => {
+    assert.equal(moduleString(barcode.encode('ean8', '96385074').bars).length, 67);
+    assert.equal(moduleString(barcode.encode('upca', '036000291452').bars).length, 95);
+});
+
+test('Code 128 start, stop and check symbol', () => {
+    // PJJ123C in code set B: 104 + 48·1 + 42·2 + 42·3 + 17·4 + 18·5 + 19·6 + 35·7 = 879,
+    // 879 mod 103 = 55 — the value of "W" in code set B
+    const code   = barcode.encode('code128', 'PJJ123C');
+    const symbol = (bars, n) => bars.slice(n * 6, n * 6 + 6).join('');
+    assert.equal(symbol(code.bars, 0), '211214');                          // start B
+    assert.equal(symbol(code.bars, 8), symbol(barcode.encode('code128', 'W').bars, 1));
+    assert.equal(code.bars.slice(-7).join(''), '2331112');                 // stop
+    assert.equal(moduleString(code.bars).length, 9 * 11 + 13);
+});
+
+test('Code 128 switches to code set C for digit runs', () => {
+    assert.deepEqual(barcode.encode('code128', '12345678').segments, [{ set: 'C', chars: '12345678' }]);
+    assert.deepEqual(barcode.encode('code128', 'AB12345').segments, [{ set: 'B', chars: 'AB1' }, { set: 'C', chars: '2345' }]);
+    assert.equal(barcode.encode('code128', '12345678').bars.slice(0, 6).join(''), '211232');   // start C
+});
+
+test('GS k data decodes to the same code', () => {
+    for (const [type, data] of [['code128', 'AB12345{x'], ['ean13', '5901234123457'], ['code39', 'CODE-39'], ['itf', '1234']]) {
+        const code = barcode.encode(type, data);
+        const back = barcode.fromEscPos(barcode.ESCPOS_TYPE[type], barcode.escPosData(code));
+        assert.deepEqual(back.bars, code.bars, type);
+        assert.equal(back.text, code.text, type);
+    }
+});
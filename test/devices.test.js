@@ -0,0 +1,57 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const devices = require('../lib/devices');
+
+// A Scanner 'device' with ranked matches as rankProfiles() gives them
+const device = ({ id = 'aa', name = 'Q3-1234', rssi = -60, matches = [] } = {}) => ({
+    id, name, rssi,
+    advertisement: { serviceUuids: ['ff00'], manufacturerData: Buffer.from([0x34, 0x12, 0x01]) },
+    matches: matches.map(([pid, confidence]) => ({ profile: { id: pid }, confidence })),
+});
+
+test('record: JSON-friendly, with the company id and rounded match confidence', () => {
+    const rec = devices.record(device({ matches: [['d1', 0.954], ['phomemo_m02', 0.4]] }));
+    assert.equal(rec.manufacturerId, 0x1234);
+    assert.equal(rec.manufacturerData, '341201');
+    assert.deepEqual(rec.matches, [{ id: 'd1', confidence: 0.95 }, { id: 'phomemo_m02', confidence: 0.4 }]);
+    assert.equal(JSON.parse(JSON.stringify(rec)).address, null);
+});
+
+test('filter --match: any match, or the best match by id', () => {
+    const best   = devices.record(device({ matches: [['d1', 0.95], ['phomemo_m02', 0.4]] }));
+    const none   = devices.record(device({ matches: [] }));
+    const any    = devices.filter({ match: true });
+    assert.equal(any(best), true);
+    assert.equal(any(none), false);
+    assert.equal(devices.filter({ match: 'd1' })(best), true);
+    // A weaker match further down the list doesn't count
+    assert.equal(devices.filter({ match: 'phomemo_m02' })(best), false);
+    assert.equal(devices.filter({ match: 'd1' })(none), false);
+    assert.equal(devices.filter()(none), true);
+});
+
+test('filter: minimum RSSI and a name pattern', () => {
+    const near = devices.record(device({ rssi: -50 }));
+    const far  = devices.record(device({ rssi: -85 }));
+    assert.equal(devices.filter({ minRssi: -70 })(near), true);
+    assert.equal(devices.filter({ minRssi: -70 })(far), false);
+    assert.equal(devices.filter({ name: '^q3' })(near), true);
+    assert.equal(devices.filter({ name: /^q3/ })(near), false);
+    assert.equal(devices.filter({ name: 'q3' })(devices.record(device({ name: null }))), false);
+});
+
+test('Tracker: applies the filter to the smoothed RSSI', t => {
+    const scanner = new EventEmitter();
+    const tracker = new devices.Tracker(scanner, { filter: devices.filter({ minRssi: -70 }), smoothing: 0.5 });
+    t.after(() => scanner.emit('stop'));
+    const events = [];
+    for (const e of ['appear', 'update', 'disappear']) tracker.on(e, rec => events.push([e, rec.rssi]));
+
+    for (const rssi of [-60, -80, -90, -40]) scanner.emit('device', device({ rssi }));
+    // -60, then -70 (still in), -80 (gone), -60 (back)
+    assert.deepEqual(events, [['appear', -60], ['update', -70], ['disappear', -80], ['appear', -60]]);
+    assert.deepEqual(tracker.present().map(r => r.id), ['aa']);
+});
@@ -0,0 +1,38 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { unifiedDiff } = require('../lib/discovery');
+
+const lines = (...l) => `${l.join('\n')}\n`;
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => String(from + i));
+
+// Expected hunks are GNU diff -u output for the same two files
+test('unifiedDiff: two hunks with three lines of context', () => {
+    const before = lines(...'abcdefghijklm');
+    const after  = lines('a', 'B', ...'cdefghijklm', 'n');
+    assert.equal(unifiedDiff(before, after, 'profiles.json'), lines(
+        '--- a/profiles.json',
+        '+++ b/profiles.json',
+        '@@ -1,5 +1,5 @@', ' a', '-b', '+B', ' c', ' d', ' e',
+        '@@ -11,3 +11,4 @@', ' k', ' l', ' m', '+n',
+    ));
+});
+
+test('unifiedDiff: lines added at the end', () => {
+    assert.equal(unifiedDiff(lines(...range(1, 8)), lines(...range(1, 10)), 'f'), lines(
+        '--- a/f', '+++ b/f',
+        '@@ -6,3 +6,5 @@', ' 6', ' 7', ' 8', '+9', '+10',
+    ));
+});
+
+test('unifiedDiff: changes whose context overlaps share a hunk', () => {
+    assert.equal(unifiedDiff(lines(...range(1, 8)), lines('x', ...range(1, 3)), 'f'), lines(
+        '--- a/f', '+++ b/f',
+        '@@ -1,8 +1,4 @@', '+x', ' 1', ' 2', ' 3', '-4', '-5', '-6', '-7', '-8',
+    ));
+});
+
+test('unifiedDiff: equal texts give no patch', () => {
+    assert.equal(unifiedDiff(lines('a', 'b'), lines('a', 'b'), 'f'), '');
+});
@@ -0,0 +1,34 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const gt01   = require('../lib/gt01');
+
+const hex = buf => Buffer.from(buf).toString('hex');
+
+test('CRC-8 check value', () => {
+    // CRC-8/SMBUS (poly 0x07, init 0) over "123456789"
+    assert.equal(gt01.crc8(Buffer.from('123456789', 'ascii')), 0xF4);
+    assert.equal(gt01.crc8([]), 0x00);
+});
+
+// Packets as captured from the vendor app and listed by the open-source
+// cat printer drivers (e.g. rbaron/catprinter)
+test('captured packets', () => {
+    assert.equal(hex(gt01.packet(gt01.CMD.QUALITY, [0x32])), '5178a4000100329eff');
+    assert.equal(hex(gt01.latticeStart()), '5178a6000b00aa551738445f5f5f44382ca1ff');
+    assert.equal(hex(gt01.latticeEnd()),   '5178a6000b00aa5517000000000000001711ff');
+    assert.equal(hex(gt01.feed(0x30)),     '5178a10002003000f9ff');
+    assert.equal(hex(gt01.deviceState()),  '5178a30001000000ff');
+    assert.equal(hex(gt01.drawMode(gt01.DRAW_MODE.TEXT)), '5178be0001000107ff');
+});
+
+test('length is little-endian', () => {
+    const p = gt01.packet(gt01.CMD.BITMAP, new Array(0x130).fill(0));
+    assert.equal(hex(p.subarray(0, 6)), '5178a2003001');
+    assert.equal(p.length, 6 + 0x130 + 2);
+});
+
+test('bitmap rows go least significant bit first', () => {
+    assert.equal(hex(gt01.bitmapRow([0x80, 0x01, 0xF0])), hex(gt01.packet(gt01.CMD.BITMAP, [0x01, 0x80, 0x0F])));
+});
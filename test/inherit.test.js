@@ -0,0 +1,27 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { merge, inherit } = require('../lib/inherit');
+
+test('merge: objects key by key, anything else replaced', () => {
+    assert.deepEqual(
+        merge({ name: 'A', variants: ['A1'], paper: { widthPx: 384, widthMm: 58 } }, { variants: ['B1'], paper: { widthPx: 96 }, name: undefined }),
+        { name: 'A', variants: ['B1'], paper: { widthPx: 96, widthMm: 58 } });
+});
+
+test('inherit: a chain of bases, in the DB or its parents', () => {
+    const parents = { profiles: { root: { id: 'root', protocol: 'd1', ble: { serviceUuid: 'ff00', writeCharUuid: 'ff02' } } } };
+    const db      = { profiles: { mid: { id: 'mid', extends: 'root', ble: { writeCharUuid: 'ff03' } } } };
+    assert.deepEqual(inherit({ id: 'leaf', extends: 'mid', name: 'Leaf' }, db, parents), {
+        id: 'leaf', name: 'Leaf', protocol: 'd1', ble: { serviceUuid: 'ff00', writeCharUuid: 'ff03' },
+    });
+});
+
+test('inherit: a missing base or a loop is BAD_EXTENDS', () => {
+    const db = { profiles: { a: { id: 'a', extends: 'b' }, b: { id: 'b', extends: 'a' } } };
+    assert.throws(() => inherit(db.profiles.a, db), { code: 'BAD_EXTENDS', message: /a → b → a/ });
+    assert.throws(() => inherit({ id: 'c', extends: 'nope' }, db), { code: 'BAD_EXTENDS' });
+    // Only the DB's own ids count, not what every object inherits
+    assert.throws(() => inherit({ id: 'c', extends: 'constructor' }, db), { code: 'BAD_EXTENDS' });
+});
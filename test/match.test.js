@@ -0,0 +1,64 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const match  = require('../lib/match');
+
+// A family profile on ff00 that some firmware also exposes as ESC/POS on 18f0
+const family = {
+    id: 'family', name: 'Family', protocol: 'd1',
+    ble: { serviceUuid: 'ff00', writeCharUuid: 'ff02', notifyCharUuid: 'ff01' },
+    paper: { widthPx: 384 },
+    capabilities: { status: true, density: true },
+    endpoints: [{ protocol: 'escpos', ble: { serviceUuid: '18f0', writeCharUuid: '2af1' } }],
+    overrides: [
+        { deviceInfo: { firmware: '^1\\.' }, capabilities: { status: false } },
+        { deviceInfo: { model: 'X2', firmware: '^1\\.' }, ble: { chunkSize: 20 }, notes: 'old X2 firmware' },
+    ],
+};
+
+test('endpoints: the profile\'s own first, extra ones over its ble', () => {
+    assert.deepEqual(match.endpoints(family), [
+        { protocol: 'd1',     ble: family.ble },
+        { protocol: 'escpos', ble: { serviceUuid: '18f0', writeCharUuid: '2af1', notifyCharUuid: 'ff01' } },
+    ]);
+});
+
+test('effective: the endpoint the unit has, by characteristic, then service', () => {
+    assert.equal(match.effective(family, { charUuids: ['2AF1'] }).protocol, 'escpos');
+    assert.equal(match.effective(family, { charUuids: ['ff02', '2af1'] }).protocol, 'd1');
+    assert.equal(match.effective(family, { serviceUuids: ['000018f0-0000-1000-8000-00805f9b34fb'] }).protocol, 'escpos');
+    assert.equal(match.effective(family, {}).protocol, 'd1');
+    assert.equal(match.effective(family, { charUuids: ['2af1'] }).ble.serviceUuid, '18f0');
+});
+
+test('effective: a protocol picks its endpoint, or none', () => {
+    assert.equal(match.effective(family, { protocol: 'escpos' }).ble.writeCharUuid, '2af1');
+    assert.equal(match.effective(family, { protocol: 'gt01' }), null);
+});
+
+test('effective: matching overrides apply in order, and the rest don\'t', () => {
+    const plain = match.effective(family, { deviceInfo: { model: 'X1', firmware: '2.0' } });
+    assert.deepEqual(plain.capabilities, { status: true, density: true });
+    assert.equal(plain.endpoints, undefined);
+    assert.equal(plain.overrides, undefined);
+
+    const x1 = match.effective(family, { deviceInfo: { model: 'X1', firmware: '1.4' } });
+    assert.deepEqual(x1.capabilities, { status: false, density: true });
+    assert.equal(x1.ble.chunkSize, undefined);
+
+    const x2 = match.effective(family, { deviceInfo: { model: 'X2', firmware: '1.4' } });
+    assert.equal(x2.ble.chunkSize, 20);
+    assert.equal(x2.ble.writeCharUuid, 'ff02');
+    assert.equal(x2.notes, 'old X2 firmware');
+    assert.deepEqual(match.overridesFor(family, { model: 'X2', firmware: '1.4' }), family.overrides);
+    assert.deepEqual(match.overridesFor(family, null), []);
+});
+
+test('rankProfiles: a model comes before the family it extends', () => {
+    const db = { version: 1, profiles: { family, x2: { id: 'x2', extends: 'family', name: 'X2', variants: ['X2'] } } };
+    const ranked = match.rankProfiles({ name: 'X2-1234', serviceUuids: ['ff00'], deviceInfo: { firmware: '1.0', model: 'X2' } }, db);
+    assert.deepEqual(ranked.map(r => r.profile.id), ['x2', 'family']);
+    assert.equal(ranked[0].profile.ble.chunkSize, 20);
+    assert.equal(ranked[0].profile.extends, undefined);
+});
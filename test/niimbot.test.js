@@ -0,0 +1,32 @@
+'use strict';
+
+const test    = require('node:test');
+const assert  = require('node:assert/strict');
+const niimbot = require('../lib/niimbot');
+
+const hex = buf => Buffer.from(buf).toString('hex');
+
+// Packets as the vendor app sends them (and the niimprint driver builds them):
+// 55 55 <cmd> <len> <data> <cmd ^ len ^ data...> AA AA
+test('captured packets', () => {
+    assert.equal(hex(niimbot.packet(0xC1, [0x01])), '5555c10101c1aaaa');                  // connect
+    assert.equal(hex(niimbot.heartbeat()), '5555dc0101dcaaaa');
+    assert.equal(hex(niimbot.labelDensity(3)), '555521010323aaaa');
+    assert.equal(hex(niimbot.labelType('gap')), '555523010123aaaa');
+    assert.equal(hex(niimbot.getInfo(niimbot.INFO.SERIAL)), '555540010b4aaaaa');
+    assert.equal(hex(niimbot.startPrint()), '555501010101aaaa');
+});
+
+test('XOR checksum covers command, length and data; values are big-endian', () => {
+    // 13 ^ 04 ^ 00 ^ F0 ^ 01 ^ 80 = 66
+    assert.equal(hex(niimbot.dimension(240, 384)), '5555130400f0018066aaaa');
+    // 15 ^ 02 ^ 01 ^ 02 = 14
+    assert.equal(hex(niimbot.quantity(0x0102)), '55551502010214aaaa');
+});
+
+test('bitmap rows carry the row number, the repeat count and the dots', () => {
+    const p = niimbot.bitmapRow(0x0105, Buffer.from([0xFF, 0x00]));
+    assert.equal(hex(p.subarray(2, 4)), '8508');
+    assert.equal(hex(p.subarray(4, 12)), '010500000001ff00');
+    assert.equal(p[12], niimbot.checksum(0x85, p.subarray(4, 12)));
+});
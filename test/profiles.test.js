@@ -0,0 +1,76 @@
+'use strict';
+
+const test     = require('node:test');
+const assert   = require('node:assert/strict');
+const fs       = require('fs');
+const os       = require('os');
+const path     = require('path');
+const profiles = require('../lib/profiles');
+
+const bundled = profiles.read(profiles.PATH);
+
+test('merge: your profiles win, and a remote change under one is a conflict', () => {
+    const base = { version: 3, profiles: { a: { id: 'a', name: 'A' }, b: { id: 'b', name: 'B' }, c: { id: 'c', name: 'C' } } };
+    const user = {
+        profiles: { b: { id: 'b', name: 'my B' }, c: { id: 'c', name: 'my C' }, d: { id: 'd', name: 'D' } },
+        bases: {
+            b: profiles.profileHash(base.profiles.b),           // started from the current remote b
+            c: profiles.profileHash({ id: 'c', name: 'old C' }), // the remote changed c since
+        },
+    };
+    const m = profiles.merge(base, user);
+    assert.equal(m.db.version, 3);
+    assert.deepEqual(Object.keys(m.db.profiles).sort(), ['a', 'b', 'c', 'd']);
+    assert.equal(m.db.profiles.b.name, 'my B');
+    assert.deepEqual(m.added, ['d']);
+    assert.deepEqual(m.overridden, ['b', 'c']);
+    assert.deepEqual(m.conflicts, ['c']);
+    assert.equal(base.profiles.b.name, 'B');
+});
+
+test('merge: an override without a recorded base is not a conflict', () => {
+    const m = profiles.merge({ version: 1, profiles: { a: { id: 'a' } } }, { profiles: { a: { id: 'a', name: 'mine' } } });
+    assert.deepEqual(m.overridden, ['a']);
+    assert.deepEqual(m.conflicts, []);
+});
+
+test('update: first download drops a bundled profile, then a later download re-adds it', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const opts  = { cache: path.join(dir, 'cache', 'profiles.json'), userFile: path.join(dir, 'profiles.user.json') };
+    const write = (name, db) => {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, JSON.stringify(db));
+        return file;
+    };
+
+    const { gt01, ...rest } = bundled.profiles;
+    const first = await profiles.update({ ...opts, force: true, source: write('v1.json', { ...bundled, profiles: rest }) });
+    assert.equal(first.remoteError, null);
+    assert.deepEqual(first.kept, ['gt01']);
+    assert.deepEqual(first.added, ['gt01']);
+    assert.deepEqual(profiles.read(opts.userFile).bases, { gt01: profiles.profileHash(gt01) });
+
+    const readded = { ...gt01, name: 'GT01 (remote)' };
+    const second  = await profiles.update({ ...opts, force: true, source: write('v2.json', { ...bundled, profiles: { ...rest, gt01: readded } }) });
+    assert.deepEqual(second.kept, []);
+    assert.deepEqual(second.changes.added, ['gt01']);
+    assert.deepEqual(second.overridden, ['gt01']);
+    assert.deepEqual(second.conflicts, ['gt01']);
+    assert.deepEqual(second.db.profiles.gt01, gt01);
+});
+
+test('update: a re-added profile equal to the kept copy is no conflict', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const opts   = { cache: path.join(dir, 'cache', 'profiles.json'), userFile: path.join(dir, 'profiles.user.json') };
+    const source = path.join(dir, 'remote.json');
+
+    const { d1, ...rest } = bundled.profiles;
+    fs.writeFileSync(source, JSON.stringify({ ...bundled, profiles: rest }));
+    await profiles.update({ ...opts, force: true, source });
+    fs.writeFileSync(source, JSON.stringify(bundled));
+    const r = await profiles.update({ ...opts, force: true, source });
+    assert.deepEqual(r.overridden, ['d1']);
+    assert.deepEqual(r.conflicts, []);
+});
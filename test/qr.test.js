@@ -0,0 +1,71 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const qr     = require('../lib/qr');
+
+// ISO/IEC 18004 "HELLO WORLD" at 1-M, as worked through on thonky.com:
+// 16 data codewords and the 10 error correction codewords they give
+const HELLO_DATA = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+const HELLO_EC   = [196, 35, 39, 119, 235, 215, 231, 226, 93, 23];
+
+// Format information strings (level + mask, BCH-coded and masked), bit 14 first
+const FORMAT = {
+    L: ['111011111000100', '111001011110011', '111110110101010', '111100010011101',
+        '110011000101111', '110001100011000', '110110001000001', '110100101110110'],
+    M: ['101010000010010', '101000100100101', '101111001111100', '101101101001011',
+        '100010111111001', '100000011001110', '100111110010111', '100101010100000'],
+};
+
+// The format string as placed next to the top-left finder: along row 8
+// (skipping the timing column), then up column 8 (skipping the timing row)
+function formatBits(code) {
+    const cells = [[0, 8], [1, 8], [2, 8], [3, 8], [4, 8], [5, 8], [7, 8], [8, 8],
+                   [8, 7], [8, 5], [8, 4], [8, 3], [8, 2], [8, 1], [8, 0]];
+    return cells.map(([x, y]) => code.dark(x, y) ? '1' : '0').join('');
+}
+
+test('Reed-Solomon codewords for HELLO WORLD 1-M', () => {
+    assert.deepEqual(qr.rsRemainder(HELLO_DATA, qr.rsDivisor(10)), HELLO_EC);
+});
+
+test('byte-mode capacity per level at version 40', () => {
+    assert.deepEqual(qr.EC_LEVELS.map(ec => qr.capacity(ec)), [2953, 2331, 1663, 1273]);
+});
+
+test('version 1 holds 17 / 14 / 11 / 7 bytes at L / M / Q / H', () => {
+    for (const [ec, max] of [['L', 17], ['M', 14], ['Q', 11], ['H', 7]]) {
+        assert.equal(qr.encode('x'.repeat(max), { ec }).version, 1, `${max} bytes at ${ec}`);
+        assert.equal(qr.encode('x'.repeat(max + 1), { ec }).version, 2, `${max + 1} bytes at ${ec}`);
+    }
+});
+
+test('format information for every mask at L and M', () => {
+    for (const ec of ['L', 'M']) {
+        FORMAT[ec].forEach((bits, mask) => assert.equal(formatBits(qr.encode('HELLO WORLD', { ec, mask })), bits, `${ec} mask ${mask}`));
+    }
+});
+
+test('finder patterns, timing and the dark module', () => {
+    const code = qr.encode('https://example.com/');
+    const { size } = code;
+    assert.equal(size, code.version * 4 + 17);
+    for (const [x0, y0] of [[0, 0], [size - 7, 0], [0, size - 7]]) {
+        for (let y = 0; y < 7; y++) {
+            for (let x = 0; x < 7; x++) {
+                const ring = Math.max(Math.abs(x - 3), Math.abs(y - 3));
+                assert.equal(code.dark(x0 + x, y0 + y), ring !== 2, `finder at ${x0},${y0}: ${x},${y}`);
+            }
+        }
+    }
+    for (let i = 8; i < size - 8; i++) {
+        assert.equal(code.dark(i, 6), i % 2 === 0);
+        assert.equal(code.dark(6, i), i % 2 === 0);
+    }
+    assert.ok(code.dark(8, size - 8));
+});
+
+test('too much data is BAD_INPUT', () => {
+    assert.throws(() => qr.encode(Buffer.alloc(2332), { ec: 'M' }), { code: 'BAD_INPUT' });
+    assert.throws(() => qr.encode('x', { ec: 'X' }), { code: 'BAD_INPUT' });
+});
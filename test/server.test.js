@@ -0,0 +1,102 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const http   = require('http');
+const { PrintServer } = require('../lib/server');
+
+// A connected printer that records what it is asked to print
+function fakePrinter({ protocol = 'escpos', printError = null, statusError = null } = {}) {
+    const error = (code, message) => Object.assign(new Error(message), { code });
+    return {
+        id: 'fake', address: null, name: 'Fake', connected: true,
+        profile: { id: 'fake', protocol, paper: { widthPx: 384 } },
+        printed: [],
+        async print(input, opts) {
+            if (printError) throw error(printError, 'printer said no');
+            this.printed.push({ input, opts });
+        },
+        async status() {
+            if (statusError) throw error(statusError, 'no status');
+            return { paper: true };
+        },
+    };
+}
+
+async function serve(printer) {
+    const server = new PrintServer(printer, { host: '127.0.0.1', rawPort: null, httpPort: 0 });
+    const { http: port } = await server.listen();
+    const request = (method, path, body = null, headers = {}) => new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, method, path, headers }, res => {
+            const chunks = [];
+            res.on('data', c => chunks.push(c));
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString('utf8')) }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+    return { server, request };
+}
+
+const TEXT = { 'Content-Type': 'text/plain' };
+
+test('a text job prints with its query options', async () => {
+    const printer = fakePrinter();
+    const { server, request } = await serve(printer);
+    const res = await request('POST', '/print?align=center&bold=1&double=0', 'hello', TEXT);
+    await server.close();
+    assert.equal(res.status, 200);
+    assert.equal(res.body.kind, 'text');
+    assert.equal(printer.printed[0].input, 'hello');
+    assert.equal(printer.printed[0].opts.align, 'center');
+    assert.equal(printer.printed[0].opts.bold, true);
+    assert.equal(printer.printed[0].opts.double, false);
+});
+
+test('a bad option is 400 and never queued', async () => {
+    const printer = fakePrinter();
+    const { server, request } = await serve(printer);
+    const queued = [];
+    server.on('queued', job => queued.push(job));
+    for (const query of ['align=middle', 'dither=blur', 'bold=maybe']) {
+        const res = await request('POST', `/print?${query}`, 'hello', TEXT);
+        assert.equal(res.status, 400, query);
+        assert.equal(res.body.code, 'BAD_INPUT', query);
+    }
+    await server.close();
+    assert.equal(queued.length, 0);
+    assert.equal(printer.printed.length, 0);
+});
+
+test('error codes map to HTTP status', async () => {
+    const cases = [
+        [fakePrinter(),                          'POST', '/print', 'not a png', { 'Content-Type': 'image/png' },                400],
+        [fakePrinter({ protocol: 'd1' }),        'POST', '/print', 'raw',       { 'Content-Type': 'application/octet-stream' }, 415],
+        [fakePrinter({ printError: 'PAPER_OUT' }), 'POST', '/print', 'hello',   TEXT,                                          503],
+        [fakePrinter({ statusError: 'NO_STATUS' }), 'GET', '/status', null,     {},                                            501],
+        [fakePrinter(),                          'GET',  '/nowhere', null,      {},                                            404],
+    ];
+    for (const [printer, method, path, body, headers, status] of cases) {
+        const { server, request } = await serve(printer);
+        const res = await request(method, path, body, headers);
+        await server.close();
+        assert.equal(res.status, status, `${method} ${path} ${JSON.stringify(headers)}`);
+    }
+});
+
+test('a body over the limit is answered with 413', async () => {
+    const { server, request } = await serve(fakePrinter());
+    const res = await request('POST', '/print', Buffer.alloc(9 * 1024 * 1024), { 'Content-Type': 'application/octet-stream' });
+    await server.close();
+    assert.equal(res.status, 413);
+    assert.equal(res.body.code, 'TOO_LARGE');
+});
+
+test('GET / shows the printer and the queue', async () => {
+    const { server, request } = await serve(fakePrinter());
+    await request('POST', '/print', 'hello', TEXT);
+    const res = await request('GET', '/');
+    await server.close();
+    assert.equal(res.body.profile.protocol, 'escpos');
+    assert.deepEqual(res.body.queue, { pending: 0, done: 1, failed: 0 });
+});